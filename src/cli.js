@@ -0,0 +1,270 @@
+// src/cli.js
+const fs = require('fs');
+
+const { processExcelFile } = require('./index');
+const CliArgs = require('./utils/cli-args');
+const FileUtils = require('./utils/file-utils');
+const RunController = require('./utils/run-controller');
+const configService = require('./services/config-service');
+const inboxService = require('./services/inbox-service');
+const {
+  CLI_EXIT_CODE,
+  FAILED_OUTCOMES,
+  LOOKUP_STRATEGY,
+  OUTPUT_MODE,
+  BROWSER_CONFIG,
+  PROCESSING_CONFIG,
+  RESULT_OUTCOME_LABELS
+} = require('./config/constants');
+
+/**
+ * Arma el resumen de la ejecución, usado en la consola y en los reportes de la carpeta de entrada
+ * @param {Object} result - Resultado de processExcelFile
+ * @param {boolean} dryRun - Si la ejecución fue una simulación
+ * @returns {Array<string>} - Líneas del resumen
+ */
+function formatSummary(result, dryRun) {
+  const stats = result.stats || {};
+  const lines = [result.cancelled ? 'Ejecución interrumpida.' : 'Ejecución finalizada.'];
+  if (result.account) {
+    lines.push(`Cuenta del portal: ${result.account.profile} (${result.account.username})`);
+  }
+  lines.push(`Modo: ${dryRun ? 'simulación' : 'aceptación'}`);
+  lines.push(`Expedientes revisados: ${result.revisados} de ${result.total}`);
+  lines.push(`Con costo: ${stats.totalConCosto || 0}`);
+  lines.push(`Aceptados: ${stats.totalAceptados || 0}`);
+  for (const [outcome, count] of Object.entries(stats.porResultado || {})) {
+    if (count > 0) {
+      lines.push(`  ${RESULT_OUTCOME_LABELS[outcome] || outcome}: ${count}`);
+    }
+  }
+  if (result.outputPath) {
+    lines.push(`Resultados: ${result.outputPath}`);
+  }
+  if (result.evidenceDir) {
+    lines.push(`Evidencias: ${result.evidenceDir}`);
+  }
+  return lines;
+}
+
+/**
+ * Determina el código de salida según el resultado de la ejecución
+ * @param {Object} result - Resultado de processExcelFile
+ * @returns {number} - Código de CLI_EXIT_CODE
+ */
+function getExitCode(result) {
+  if (result.cancelled) {
+    return CLI_EXIT_CODE.CANCELLED;
+  }
+  return countFailures(result) > 0
+    ? CLI_EXIT_CODE.ROW_FAILURES
+    : CLI_EXIT_CODE.SUCCESS;
+}
+
+/**
+ * Cuenta los expedientes que terminaron con error en la ejecución
+ * @param {Object} result - Resultado de processExcelFile
+ * @returns {number} - Expedientes con un resultado de FAILED_OUTCOMES
+ */
+function countFailures(result) {
+  const porResultado = (result.stats && result.stats.porResultado) || {};
+  return FAILED_OUTCOMES.reduce((total, outcome) => total + (porResultado[outcome] || 0), 0);
+}
+
+/**
+ * Muestra los mensajes de progreso sin repetir el último
+ * @returns {Function} - Callback de progreso para processExcelFile
+ */
+function createProgressPrinter() {
+  let lastMessage = null;
+  return async (progress) => {
+    if (progress.message && progress.message !== lastMessage) {
+      lastMessage = progress.message;
+      console.log(progress.message);
+    }
+  };
+}
+
+/**
+ * Verifica la licencia y las credenciales guardadas antes de procesar
+ * @param {Object} options - Opciones de CliArgs.parse
+ * @param {Object} licenseHandler - Manejador de licencias de la aplicación
+ * @returns {Promise<Object>} - { credentials } o { exitCode } si no se puede continuar
+ */
+async function checkPrerequisites(options, licenseHandler) {
+  // Cifrar credenciales guardadas en texto plano por versiones anteriores
+  configService.migrateCredentials();
+
+  const license = await licenseHandler.checkInitialLicense();
+  if (!license || !license.valid) {
+    console.error(`Licencia no válida: ${(license && license.message) || 'sin licencia'}. Active la licencia desde la aplicación.`);
+    return { exitCode: CLI_EXIT_CODE.LICENSE };
+  }
+  if (license.offlineMode) {
+    console.warn(`Aviso: ${license.message || 'licencia validada sin conexión'}`);
+  }
+
+  const credentials = configService.getCredentials(options.profile);
+  if (!credentials) {
+    console.error(options.profile
+      ? `No hay credenciales guardadas para la cuenta "${options.profile}".`
+      : 'No hay credenciales guardadas. Configure una cuenta desde la aplicación.');
+    return { exitCode: CLI_EXIT_CODE.CREDENTIALS };
+  }
+
+  return { credentials };
+}
+
+/**
+ * Arma las opciones de processExcelFile a partir de los argumentos y de la configuración guardada
+ * @param {Object} options - Opciones de CliArgs.parse
+ * @param {Object} credentials - Credenciales de la cuenta elegida
+ * @param {RunController} controller - Controlador de la ejecución
+ * @returns {Object} - Opciones de ejecución
+ */
+function getRunOptions(options, credentials, controller) {
+  return {
+    dryRun: options.dryRun,
+    workers: Math.min(
+      options.workers || configService.get('workers', PROCESSING_CONFIG.DEFAULT_WORKERS),
+      PROCESSING_CONFIG.MAX_WORKERS
+    ),
+    strategy: options.strategy || configService.get('lookupStrategy', LOOKUP_STRATEGY.DOM),
+    outputMode: configService.get('outputMode', OUTPUT_MODE.SOURCE),
+    outputDir: options.outputDir,
+    columnMapping: configService.getColumnMapping(),
+    costRules: configService.getCostMatchingRules(),
+    headless: !options.showBrowser,
+    viewport: configService.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT),
+    profile: credentials.profile,
+    controller
+  };
+}
+
+/**
+ * Procesa un único archivo (--process)
+ * @param {Object} options - Opciones de CliArgs.parse
+ * @param {Object} credentials - Credenciales de la cuenta elegida
+ * @returns {Promise<number>} - Código de salida (CLI_EXIT_CODE)
+ */
+async function runFile(options, credentials) {
+  if (options.outputDir && !FileUtils.ensureDirectoryExists(options.outputDir)) {
+    console.error(`No se pudo crear la carpeta de resultados: ${options.outputDir}`);
+    return CLI_EXIT_CODE.USAGE;
+  }
+
+  const controller = new RunController();
+  const cancel = () => {
+    console.log('Interrupción recibida, deteniendo al terminar los expedientes en curso...');
+    controller.cancel();
+  };
+  process.once('SIGINT', cancel);
+  process.once('SIGTERM', cancel);
+
+  const runOptions = getRunOptions(options, credentials, controller);
+  console.log(`Procesando ${options.filePath} (simulación: ${options.dryRun}, pestañas: ${runOptions.workers}, consulta: ${runOptions.strategy}, cuenta: ${credentials.profile})`);
+
+  try {
+    const result = await processExcelFile(options.filePath, createProgressPrinter(), runOptions);
+
+    console.log('');
+    formatSummary(result, options.dryRun).forEach(line => console.log(line));
+    return getExitCode(result);
+  } catch (error) {
+    console.error(`Error en la ejecución: ${error.message}`);
+    return CLI_EXIT_CODE.RUN_FAILED;
+  } finally {
+    process.removeListener('SIGINT', cancel);
+    process.removeListener('SIGTERM', cancel);
+  }
+}
+
+/**
+ * Vigila una carpeta de entrada (--watch) hasta que se interrumpa. Los
+ * resultados se escriben en el mismo libro, que después se mueve a processed/, o
+ * a failed/ si algún expediente terminó con error. Un libro interrumpido se queda
+ * en la carpeta y continúa en la siguiente sesión.
+ * @param {Object} options - Opciones de CliArgs.parse
+ * @param {Object} credentials - Credenciales de la cuenta elegida
+ * @returns {Promise<number>} - Código de salida (CLI_EXIT_CODE)
+ */
+async function runWatch(options, credentials) {
+  let controller = null;
+
+  const handler = async (filePath) => {
+    controller = new RunController();
+    console.log(`Procesando ${filePath} (simulación: ${options.dryRun}, cuenta: ${credentials.profile})`);
+    const result = await processExcelFile(filePath, createProgressPrinter(), {
+      ...getRunOptions(options, credentials, controller),
+      resume: true,
+      outputMode: OUTPUT_MODE.SOURCE,
+      outputDir: null
+    });
+
+    const lines = formatSummary({ ...result, outputPath: null }, options.dryRun);
+    lines.forEach(line => console.log(line));
+    return { cancelled: result.cancelled, failed: countFailures(result), lines };
+  };
+
+  inboxService.start(options.watchDir, handler, { columnMapping: configService.getColumnMapping() });
+  console.log(`Vigilando ${options.watchDir}. Presione Ctrl+C para terminar.`);
+
+  await new Promise(resolve => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      console.log('Interrupción recibida, deteniendo la vigilancia...');
+      if (controller) {
+        controller.cancel();
+      }
+      inboxService.stop().then(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+
+  return CLI_EXIT_CODE.SUCCESS;
+}
+
+/**
+ * Procesa un archivo o vigila una carpeta desde la línea de comandos, sin
+ * ventanas, con la licencia y las credenciales guardadas por la aplicación
+ * @param {Array<string>} argv - Argumentos del proceso
+ * @param {Object} deps - { licenseHandler }
+ * @returns {Promise<number>} - Código de salida (CLI_EXIT_CODE)
+ */
+async function runBatch(argv, { licenseHandler }) {
+  let options;
+  try {
+    options = CliArgs.parse(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.log(CliArgs.usage());
+    return CLI_EXIT_CODE.USAGE;
+  }
+
+  if (options.help) {
+    console.log(CliArgs.usage());
+    return CLI_EXIT_CODE.SUCCESS;
+  }
+
+  if (options.filePath && !fs.existsSync(options.filePath)) {
+    console.error(`No se encontró el archivo: ${options.filePath}`);
+    return CLI_EXIT_CODE.USAGE;
+  }
+  if (options.watchDir && !(fs.existsSync(options.watchDir) && fs.statSync(options.watchDir).isDirectory())) {
+    console.error(`No se encontró la carpeta: ${options.watchDir}`);
+    return CLI_EXIT_CODE.USAGE;
+  }
+
+  const { credentials, exitCode } = await checkPrerequisites(options, licenseHandler);
+  if (!credentials) {
+    return exitCode;
+  }
+
+  return options.watchDir
+    ? runWatch(options, credentials)
+    : runFile(options, credentials);
+}
+
+module.exports = { runBatch, getExitCode };
@@ -57,6 +57,273 @@ const UPDATE_CONFIG = {
   RELEASE_TYPE: 'draft'
 };
 
+/**
+ * Configuración del portal de proveedores de IKE
+ * Las rutas de API_ENDPOINTS NO están confirmadas contra el portal: son las que se
+ * suponen para la estrategia LOOKUP_STRATEGY.API y deben verificarse en la pestaña
+ * Red de las herramientas de desarrollador (ver README, "Estrategia de consulta por API").
+ * Si no responden, cada expediente se resuelve por la interfaz. La API solo se usa
+ * para consultar: las aceptaciones siempre se hacen por la interfaz.
+ */
+const PORTAL_CONFIG = {
+  BASE_URL: 'https://portalproveedores.ikeasistencia.com',
+  PENDIENTES_PATH: '/admin/services/pendientes',
+  API_ENDPOINTS: {
+    SEARCH_PENDIENTES: '/api/services/pendientes'
+  },
+  API_TIMEOUT: 15000
+};
+
+/**
+ * Estrategias disponibles para consultar y aceptar expedientes
+ */
+const LOOKUP_STRATEGY = {
+  DOM: 'dom',              // Automatización de la interfaz del portal
+  API: 'api'               // Consulta directa a la API del portal (solo lectura), con respaldo en DOM
+};
+
+/**
+ * Configuración del procesamiento de expedientes
+ */
+const PROCESSING_CONFIG = {
+  DEFAULT_WORKERS: 1,      // Pestañas del navegador trabajando en paralelo
+  MAX_WORKERS: 5
+};
+
+/**
+ * Configuración del navegador automatizado
+ */
+const BROWSER_CONFIG = {
+  DEFAULT_HEADLESS: false,   // Por defecto el navegador es visible
+  DEFAULT_VIEWPORT: { width: 1366, height: 768 },
+  MIN_VIEWPORT: { width: 800, height: 600 },
+  MAX_VIEWPORT: { width: 3840, height: 2160 }
+};
+
+/**
+ * Perfil de columnas por defecto para los archivos de expedientes.
+ * Cada columna se indica con su letra (una o dos letras, p. ej. 'A') o con
+ * el nombre del encabezado (p. ej. 'No. Expediente').
+ * Las columnas de salida indicadas por nombre que no existan se agregan después
+ * de la última columna usada, para no escribir sobre columnas del cliente.
+ */
+const DEFAULT_COLUMN_MAPPING = {
+  headerRow: 'auto',       // 'auto' para detectarla, 0 si no hay encabezado, o el número de fila
+  input: {
+    expediente: 'A',
+    costo: 'B'
+    // Opcionales: servicio y subservicio, para elegir entre varios servicios del expediente
+  },
+  output: {
+    costo: 'C',
+    estatus: 'D',
+    notas: 'E',
+    fechaRegistro: 'F',
+    servicio: 'G',
+    subservicio: 'H',
+    validacion: 'I',
+    regla: 'Regla de costo',
+    servicios: 'Servicios encontrados',   // Resultado de cada servicio encontrado para el expediente
+    evidencia: 'Evidencia de errores',    // Captura de pantalla guardada cuando el expediente falla
+    resultado: 'Resultado del proceso'    // Categoría del resultado (RESULT_OUTCOME_LABELS)
+  }
+};
+
+/**
+ * Acción a tomar cuando el costo del portal difiere del guardado pero
+ * dentro de la tolerancia configurada
+ */
+const COST_MATCH_ACTION = {
+  ACCEPT: 'accept',        // Aceptar el expediente
+  REVIEW: 'review'         // No aceptar y marcarlo para revisión
+};
+
+/**
+ * Regla aplicada al comparar costos; se registra en la columna de salida "regla"
+ */
+const COST_MATCH_RULE = {
+  EXACT: 'exact',
+  WITHIN_TOLERANCE: 'within_tolerance',
+  OUT_OF_TOLERANCE: 'out_of_tolerance',
+  INVALID: 'invalid'
+};
+
+/**
+ * Tolerancias por defecto para comparar costos.
+ * Con ambas en 0 solo se aceptan costos idénticos al centavo.
+ */
+const DEFAULT_COST_MATCHING = {
+  absoluteTolerance: 0,    // Diferencia máxima en pesos
+  percentTolerance: 0,     // Diferencia máxima en % del costo guardado
+  withinToleranceAction: COST_MATCH_ACTION.REVIEW
+};
+
+/**
+ * Formatos de archivo de entrada aceptados.
+ * Los formatos que no se pueden reescribir guardan los resultados en un
+ * nuevo .xlsx junto al original.
+ */
+const INPUT_FILE_CONFIG = {
+  EXTENSIONS: ['xlsx', 'xls', 'csv'],
+  WRITABLE_EXTENSIONS: ['xlsx'],
+  RESULT_SUFFIX: '_resultados',
+  CSV_DELIMITERS: [',', ';', '\t', '|']
+};
+
+/**
+ * Copias de seguridad del archivo original antes de cada ejecución
+ */
+const BACKUP_CONFIG = {
+  DIR: 'backups',
+  MAX_PER_FILE: 10     // Respaldos que se conservan por nombre de archivo; los más antiguos se eliminan
+};
+
+/**
+ * Destino de los resultados de un archivo .xlsx
+ */
+const OUTPUT_MODE = {
+  SOURCE: 'source',        // Escribir en el archivo original
+  COPY: 'copy'             // Escribir en una copia con fecha y hora junto al original
+};
+
+/**
+ * Perfil de selectores del portal (src/config/selectors.json).
+ * Se puede reemplazar con un archivo del mismo nombre en la carpeta de datos
+ * del usuario; solo se acepta si declara la misma versión de formato.
+ */
+const SELECTOR_PROFILE_CONFIG = {
+  VERSION: 1,
+  FILE_NAME: 'selectors.json'
+};
+
+/**
+ * Resultado de cada selector en el diagnóstico de selectores
+ */
+const SELECTOR_CHECK_STATUS = {
+  OK: 'ok',                // Encontrado en la página
+  MISSING: 'missing',      // No hay elementos que coincidan
+  INVALID: 'invalid',      // El selector no es válido
+  SKIPPED: 'skipped'       // No se puede comprobar en el diagnóstico
+};
+
+/**
+ * Evidencia de los expedientes que fallan (userData/logs/run_<fecha>)
+ */
+const FAILURE_CAPTURE_CONFIG = {
+  LOGS_DIR: 'logs',
+  RUN_PREFIX: 'run_'
+};
+
+/**
+ * Verificación de la aceptación: aviso del portal y nueva consulta del expediente
+ */
+const ACCEPTANCE_CHECK_CONFIG = {
+  SNACKBAR_TIMEOUT: 5000,  // Espera máxima del aviso del portal (ms)
+  REQUERY_DELAY: 1500,     // Espera antes de leer la nueva consulta (ms)
+  // Si no se puede volver a consultar, solo un aviso con estos textos (y sin
+  // ninguno de error) cuenta como aceptación confirmada
+  SUCCESS_NOTICES: ['aceptado', 'aceptada', 'exitosamente', 'con éxito', 'correctamente'],
+  ERROR_NOTICES: ['error', 'no se pudo', 'falló', 'fallo', 'rechaz', 'incorrect', 'inválid', 'invalid']
+};
+
+/**
+ * Resultado de la revisión de un expediente. Se escribe en la columna
+ * "resultado" del archivo y se cuenta en las estadísticas de la ejecución.
+ */
+const RESULT_OUTCOME = {
+  NOT_FOUND: 'not_found',          // El portal no muestra el expediente
+  ZERO_COST: 'zero_cost',          // El expediente no tiene costo capturado
+  MISMATCH: 'mismatch',            // Tiene costo pero no se acepta (diferencia, revisión o varios servicios)
+  ACCEPTED: 'accepted',            // Aceptado y confirmado en el portal
+  WOULD_ACCEPT: 'would_accept',    // Simulación: los costos coinciden y se aceptaría (no cuenta como aceptado)
+  ACCEPT_FAILED: 'accept_failed',  // Los costos coinciden pero falló la aceptación
+  ACCEPT_UNCONFIRMED: 'accept_unconfirmed', // Se confirmó el diálogo pero el estatus no cambió
+  ERROR: 'error'                   // Falló la consulta
+};
+
+/**
+ * Texto de cada resultado en el archivo de salida
+ */
+const RESULT_OUTCOME_LABELS = {
+  [RESULT_OUTCOME.NOT_FOUND]: 'No encontrado',
+  [RESULT_OUTCOME.ZERO_COST]: 'Sin costo',
+  [RESULT_OUTCOME.MISMATCH]: 'Sin coincidencia',
+  [RESULT_OUTCOME.ACCEPTED]: 'Aceptado',
+  [RESULT_OUTCOME.WOULD_ACCEPT]: 'Se aceptaría',
+  [RESULT_OUTCOME.ACCEPT_FAILED]: 'Error en aceptación',
+  [RESULT_OUTCOME.ACCEPT_UNCONFIRMED]: 'Aceptación no confirmada',
+  [RESULT_OUTCOME.ERROR]: 'Error en consulta'
+};
+
+/**
+ * Resultados que cuentan como fallidos: la fila se reintenta al continuar
+ * y el modo de línea de comandos termina con CLI_EXIT_CODE.ROW_FAILURES
+ */
+const FAILED_OUTCOMES = [RESULT_OUTCOME.ERROR, RESULT_OUTCOME.ACCEPT_FAILED, RESULT_OUTCOME.ACCEPT_UNCONFIRMED];
+
+/**
+ * Estados de una fila registrada en la bitácora de procesamiento
+ */
+const JOURNAL_ROW_STATUS = {
+  ACCEPTED: 'accepted',    // Expediente aceptado en el portal
+  PROCESSED: 'processed',  // Revisado sin errores (sin aceptación)
+  FAILED: 'failed'         // Falló la consulta o la aceptación; se reintenta al continuar
+};
+
+/**
+ * Historial de ejecuciones (userData/history): un índice y un archivo por ejecución
+ */
+const HISTORY_CONFIG = {
+  DIR: 'history',
+  INDEX_FILE: 'index.json',
+  MAX_RUNS: 200,       // Ejecuciones que se conservan; las más antiguas se eliminan
+  SEARCH_LIMIT: 200    // Resultados máximos de una búsqueda por expediente
+};
+
+/**
+ * Estado de una ejecución registrada en el historial
+ */
+const RUN_STATUS = {
+  RUNNING: 'running',      // En curso (o la aplicación se cerró sin terminarla)
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Cuentas del portal (perfiles de credenciales cifradas)
+ */
+const CREDENTIAL_PROFILES_CONFIG = {
+  DEFAULT_NAME: 'Principal',  // Nombre de la cuenta migrada de versiones con una sola cuenta
+  MAX_NAME_LENGTH: 40,
+  PROBE_MAX_AGE_MS: 5 * 60 * 1000  // Vigencia de una prueba de conexión para guardar esas credenciales
+};
+
+/**
+ * Códigos de salida del modo de línea de comandos (--process y --watch)
+ */
+const CLI_EXIT_CODE = {
+  SUCCESS: 0,
+  ROW_FAILURES: 1,   // La ejecución terminó, pero algunos expedientes fallaron
+  USAGE: 2,          // Argumentos inválidos o archivo inexistente
+  LICENSE: 3,        // No hay licencia válida
+  CREDENTIALS: 4,    // No hay credenciales para la cuenta indicada
+  RUN_FAILED: 5,     // Un error detuvo la ejecución
+  CANCELLED: 6       // Interrumpida (Ctrl+C o señal del sistema)
+};
+
+/**
+ * Carpeta de entrada vigilada (--watch): los libros que se dejan en ella se
+ * procesan en orden y se mueven a una subcarpeta con su reporte
+ */
+const INBOX_CONFIG = {
+  PROCESSED_DIR: 'processed',
+  FAILED_DIR: 'failed',
+  EXTENSIONS: ['xlsx'],
+  POLL_INTERVAL_MS: 5000,          // Las carpetas compartidas no siempre notifican cambios; se revisan periódicamente
+  REPORT_SUFFIX: '_reporte.txt'
+};
+
 /**
  * Exportar constantes
  */
@@ -64,5 +331,29 @@ module.exports = {
   API_CONFIG,
   TOKEN_STATUS,
   ERROR_MESSAGES,
-  UPDATE_CONFIG
+  UPDATE_CONFIG,
+  PORTAL_CONFIG,
+  LOOKUP_STRATEGY,
+  PROCESSING_CONFIG,
+  BROWSER_CONFIG,
+  DEFAULT_COLUMN_MAPPING,
+  COST_MATCH_ACTION,
+  COST_MATCH_RULE,
+  DEFAULT_COST_MATCHING,
+  INPUT_FILE_CONFIG,
+  BACKUP_CONFIG,
+  OUTPUT_MODE,
+  SELECTOR_PROFILE_CONFIG,
+  SELECTOR_CHECK_STATUS,
+  FAILURE_CAPTURE_CONFIG,
+  ACCEPTANCE_CHECK_CONFIG,
+  RESULT_OUTCOME,
+  RESULT_OUTCOME_LABELS,
+  FAILED_OUTCOMES,
+  JOURNAL_ROW_STATUS,
+  HISTORY_CONFIG,
+  RUN_STATUS,
+  CREDENTIAL_PROFILES_CONFIG,
+  CLI_EXIT_CODE,
+  INBOX_CONFIG
 };
\ No newline at end of file
@@ -1,82 +1,253 @@
 // src/index.js
-const path = require('path');
-const fs = require('fs');
+const { pathToFileURL } = require('url');
 
 const { readExpedientesAndRows } = require('./utils/readExcel');
-const BrowserHandler = require('./utils/browserHandler');
+const RunController = require('./utils/run-controller');
+const ColumnMapping = require('./utils/column-mapping');
+const FileUtils = require('./utils/file-utils');
+const FailureCapture = require('./utils/failure-capture');
+const browserService = require('./services/browser-service');
+const journalService = require('./services/journal-service');
+const historyService = require('./services/history-service');
+const {
+  JOURNAL_ROW_STATUS,
+  PROCESSING_CONFIG,
+  DEFAULT_COLUMN_MAPPING,
+  OUTPUT_MODE,
+  RESULT_OUTCOME,
+  RESULT_OUTCOME_LABELS,
+  FAILED_OUTCOMES,
+  RUN_STATUS
+} = require('./config/constants');
 
-async function processExcelFile(filePath, progressCallback) {
+/**
+ * Determina el estado con el que se registra una fila en la bitácora
+ * @param {Object} result - Resultado de searchExpediente
+ * @param {boolean} dryRun - Si la ejecución es de prueba (no acepta expedientes)
+ * @returns {string} - Estado de JOURNAL_ROW_STATUS
+ */
+function getJournalStatus(result, dryRun) {
+  if (!result || !result.outcome || FAILED_OUTCOMES.includes(result.outcome)) {
+    return JOURNAL_ROW_STATUS.FAILED;
+  }
+  if (result.outcome === RESULT_OUTCOME.ACCEPTED && !dryRun) {
+    return JOURNAL_ROW_STATUS.ACCEPTED;
+  }
+  return JOURNAL_ROW_STATUS.PROCESSED;
+}
+
+/**
+ * Texto del resultado que se escribe en la columna "resultado"
+ * @param {Object} result - Resultado de searchExpediente
+ * @returns {string} - Etiqueta del resultado
+ */
+function getOutcomeLabel(result) {
+  return RESULT_OUTCOME_LABELS[result.outcome] || RESULT_OUTCOME_LABELS[RESULT_OUTCOME.ERROR];
+}
+
+/**
+ * Arma la fila que se registra en el historial de ejecuciones
+ * @param {Object} row - { rowNumber, expediente, costoGuardado }
+ * @param {Object} result - Resultado de searchExpediente
+ * @param {boolean} dryRun - Si la ejecución es de prueba
+ * @returns {Object} - Fila del historial
+ */
+function buildHistoryEntry({ rowNumber, expediente, costoGuardado }, result, dryRun) {
+  return {
+    rowNumber,
+    expediente,
+    costoGuardado,
+    costo: result.costo || '',
+    estatus: result.estatus || '',
+    notas: result.notas || '',
+    fechaRegistro: result.fechaRegistro || '',
+    servicio: result.servicio || '',
+    subservicio: result.subservicio || '',
+    validacion: result.validacion,
+    outcome: result.outcome || null,
+    resultado: getOutcomeLabel(result),
+    aceptado: result.outcome === RESULT_OUTCOME.ACCEPTED && !dryRun,
+    verificacion: result.verificacion || null
+  };
+}
+
+/**
+ * Escribe el resultado de un expediente en las columnas de salida del perfil.
+ * La evidencia se escribe como vínculo al archivo de la captura.
+ * @param {Object} row - Fila de ExcelJS
+ * @param {Object} outputColumns - Campo → número de columna
+ * @param {Object} result - Resultado de searchExpediente
+ */
+function writeResultCells(row, outputColumns, result) {
+  for (const [field, column] of Object.entries(outputColumns)) {
+    const fallback = field === 'costo' ? 'Error' : 'N/A';
+    if (field === 'evidencia' && result.evidencia) {
+      row.getCell(column).value = { text: result.evidencia, hyperlink: pathToFileURL(result.evidencia).href };
+    } else {
+      row.getCell(column).value = result[field] || fallback;
+    }
+  }
+  row.commit();
+}
+
+/**
+ * Procesa los expedientes de un archivo Excel contra el portal de IKE.
+ * @param {string} filePath - Ruta del archivo de expedientes (.xlsx, .xls o .csv)
+ * @param {Function} progressCallback - Recibe las actualizaciones de progreso
+ * @param {Object} [options] - Opciones de ejecución
+ * @param {boolean} [options.dryRun=false] - Simula el proceso sin aceptar expedientes
+ * @param {boolean} [options.resume=false] - Continúa la ejecución registrada en la bitácora
+ * @param {RunController} [options.controller] - Permite pausar o cancelar la ejecución
+ * @param {number} [options.workers=1] - Pestañas del navegador que procesan en paralelo
+ * @param {string} [options.strategy] - Estrategia de consulta (LOOKUP_STRATEGY); por defecto la guardada
+ * @param {Object} [options.columnMapping] - Perfil de columnas de entrada y salida
+ * @param {Object} [options.costRules] - Tolerancias para comparar costos; por defecto coincidencia exacta
+ * @param {boolean} [options.headless] - Ejecutar el navegador sin ventana; por defecto el valor guardado
+ * @param {Object} [options.viewport] - Tamaño de la ventana sin interfaz ({ width, height })
+ * @param {string} [options.outputMode] - Destino de los resultados (OUTPUT_MODE); por defecto el original
+ * @param {string} [options.outputDir] - Carpeta donde guardar una copia de resultados en lugar del original
+ * @param {string} [options.profile] - Cuenta del portal; por defecto la cuenta activa
+ * @returns {Promise<Object>} - Resumen de la ejecución ({ cancelled, revisados, total, outputPath, evidenceDir, stats, reauthentications, account })
+ */
+async function processExcelFile(filePath, progressCallback, options = {}) {
+  const {
+    dryRun = false,
+    resume = false,
+    controller = new RunController(),
+    workers = PROCESSING_CONFIG.DEFAULT_WORKERS,
+    strategy,
+    columnMapping = DEFAULT_COLUMN_MAPPING,
+    costRules,
+    headless,
+    viewport,
+    outputMode = OUTPUT_MODE.SOURCE,
+    outputDir = null,
+    profile
+  } = options;
+  let run = null;
   try {
-    console.log(`Iniciando procesamiento de archivo: ${filePath}`);
+    console.log(`Iniciando procesamiento de archivo: ${filePath}${dryRun ? ' (modo simulación)' : ''}`);
     progressCallback({ message: 'Leyendo archivo Excel...' });
     
-    const { workbook, worksheet, filas } = await readExpedientesAndRows(filePath);
+    // Al continuar se sigue escribiendo en el archivo de resultados de la ejecución anterior
+    const previous = resume ? journalService.getResumeInfo(filePath) : null;
+    const previousOutput = previous && previous.dryRun === dryRun ? previous.outputPath : null;
+
+    const { workbook, worksheet, filas, columns, outputPath } = await readExpedientesAndRows(filePath, columnMapping, {
+      resume,
+      outputMode,
+      outputDir,
+      outputPath: previousOutput
+    });
+    if (outputPath !== filePath) {
+      console.log(`Los resultados se guardarán en: ${outputPath}`);
+    }
     if (filas.length === 0) {
       throw new Error('No se encontraron expedientes en el archivo.');
     }
 
-    const browserHandler = new BrowserHandler();
+    // Respaldo del original antes de escribir cualquier resultado
+    const backupPath = FileUtils.backupFile(filePath);
+    if (!backupPath && outputPath === filePath) {
+      throw new Error('No se pudo crear la copia de seguridad del archivo. El proceso no modificará el original.');
+    }
+
+    // Bitácora para poder continuar la ejecución si se interrumpe
+    const journal = journalService.start(filePath, { resume, dryRun, outputPath });
+    const pendientes = filas.filter(({ rowNumber }) => !journalService.isRowDone(journal, rowNumber));
+    if (pendientes.length < filas.length) {
+      console.log(`Continuando ejecución: ${filas.length - pendientes.length} filas ya resueltas se omitirán`);
+      progressCallback({ message: `Continuando desde la fila ${journal.lastRowNumber + 1}...` });
+    }
+
+    // Carpeta para las capturas de los expedientes que fallen en esta ejecución
+    const runDir = FailureCapture.createRunDir();
+    let evidencias = 0;
+
+    browserService.configure({ strategy, costRules, headless, viewport, runDir, profile });
+    const account = browserService.getAccount();
+    if (!account) {
+      throw new Error(profile ? `No hay credenciales guardadas para la cuenta "${profile}".` : 'No hay credenciales configuradas.');
+    }
+    console.log(`Cuenta del portal: ${account.profile} (${account.username})`);
+
+    // Historial de ejecuciones para consultar después los resultados por expediente
+    run = historyService.startRun(filePath, { dryRun, resume, strategy: browserService.strategy, outputPath, account });
     progressCallback({ message: 'Inicializando navegador...' });
     
-    const initialized = await browserHandler.initialize();
+    const initialized = await browserService.initialize();
     if (!initialized) {
       throw new Error('No se pudo inicializar el navegador.');
     }
 
-    const resultados = [];
-    const batchSize = 5;
+    const workerCount = Math.max(1, Math.min(workers, pendientes.length));
+    const pages = await browserService.openWorkerPages(workerCount);
+    let siguiente = 0;
+    let revisados = 0;
+    let completados = 0;
+
+    // Las escrituras del libro se encadenan para que nunca se solapen entre pestañas
+    let saveChain = Promise.resolve();
+    const saveWorkbook = () => {
+      saveChain = saveChain
+        .catch(() => {})
+        .then(() => FileUtils.writeFileAtomic(outputPath, tempPath => workbook.xlsx.writeFile(tempPath)))
+        .then(() => journalService.updateFileHash(journal));
+      return saveChain;
+    };
 
-    for (let i = 0; i < filas.length; i++) {
+    const processRow = async ({ expediente, rowNumber }, page, numero) => {
       let result = null;
+      let costoGuardado = null;
       try {
-        const { expediente, rowNumber } = filas[i];
         const row = worksheet.getRow(rowNumber);
-        const costoGuardado = row.getCell(2).value || 0;
+        costoGuardado = ColumnMapping.getCellText(row.getCell(columns.input.costo).value) || 0;
+        // Servicio y subservicio opcionales para elegir entre varios servicios del expediente
+        const servicio = columns.input.servicio ? ColumnMapping.getCellText(row.getCell(columns.input.servicio).value) : '';
+        const subservicio = columns.input.subservicio ? ColumnMapping.getCellText(row.getCell(columns.input.subservicio).value) : '';
 
-        const progressPercent = Math.round(((i + 1) / filas.length) * 100);
+        const progressPercent = Math.round((completados / pendientes.length) * 100);
         
         // Actualización de progreso por expediente
         progressCallback({ 
-          message: `Revisando expediente ${i + 1} de ${filas.length} (${progressPercent}%)`,
+          message: `Revisando expediente ${numero} de ${pendientes.length} (${progressPercent}%)`,
           detail: `Expediente: ${expediente} - Fila: ${rowNumber}`,
           progress: progressPercent,
-          stats: browserHandler.stats
+          stats: browserService.stats,
+          dryRun
         });
 
-        result = await browserHandler.searchExpediente(expediente, costoGuardado);
+        result = await browserService.searchExpediente(expediente, costoGuardado, { dryRun, page, servicio, subservicio });
         
         // === Actualización de celdas ===
-        row.getCell(3).value = result.costo || 'Error';
-        row.getCell(4).value = result.estatus || 'N/A';
-        row.getCell(5).value = result.notas || 'N/A';
-        row.getCell(6).value = result.fechaRegistro || 'N/A';
-        row.getCell(7).value = result.servicio || 'N/A';
-        row.getCell(8).value = result.subservicio || 'N/A';
-        row.getCell(9).value = result.validacion || 'N/A';
-        row.commit();
+        writeResultCells(row, columns.output, { ...result, resultado: getOutcomeLabel(result) });
+
+        if (result.evidencia) {
+          evidencias++;
+          progressCallback({
+            detail: `Expediente ${expediente} (fila ${rowNumber}): ${result.validacion}`,
+            evidence: result.evidencia
+          });
+        }
 
         // Guardado para debug
         try {
-          await workbook.xlsx.writeFile(filePath);
+          await saveWorkbook();
         } catch (saveError) {
-          console.error(`Error al guardar fila ${i + 1}:`, saveError.message);
+          console.error(`Error al guardar fila ${rowNumber}:`, saveError.message);
           throw saveError;
         }
 
-        if (result.costo && result.costo !== '$0.00') {
-          resultados.push({
-            expediente,
-            costoGuardado: `$${costoGuardado}`,
-            costoSistema: result.costo,
-            estatus: result.estatus,
-            notas: result.notas,
-            fechaRegistro: result.fechaRegistro,
-            servicio: result.servicio,
-            subservicio: result.subservicio,
-            validacion: result.validacion,
-            fechaConsulta: new Date().toISOString()
-          });
-        }
+        // La fila se registra solo cuando ya está en el libro: si la aplicación se cierra
+        // antes de guardarlo, al continuar se vuelve a procesar en lugar de omitirse
+        journalService.recordRow(journal, rowNumber, {
+          expediente,
+          status: getJournalStatus(result, dryRun),
+          validacion: result.validacion,
+          outcome: result.outcome,
+          verificacion: result.verificacion
+        });
+        historyService.recordRow(run, buildHistoryEntry({ rowNumber, expediente, costoGuardado }, result, dryRun));
 
       } catch (error) {
         console.error(`Error procesando expediente: ${error.message}`);
@@ -87,34 +258,106 @@ async function processExcelFile(filePath, progressCallback) {
           fechaRegistro: '',
           servicio: '',
           subservicio: '',
-          validacion: 'Error en consulta',
-          stats: browserHandler.stats
+          validacion: RESULT_OUTCOME_LABELS[RESULT_OUTCOME.ERROR],
+          outcome: RESULT_OUTCOME.ERROR,
+          stats: browserService.stats
         };
+        browserService.countOutcome(RESULT_OUTCOME.ERROR);
+        journalService.recordRow(journal, rowNumber, {
+          expediente,
+          status: JOURNAL_ROW_STATUS.FAILED,
+          validacion: result.validacion,
+          outcome: result.outcome,
+          error: error.message
+        });
+        historyService.recordRow(run, {
+          ...buildHistoryEntry({ rowNumber, expediente, costoGuardado }, result, dryRun),
+          error: error.message
+        });
+      } finally {
+        completados++;
       }
+    };
 
-      // Guardado parcial sin actualizar progreso
-      if ((i + 1) % batchSize === 0 || i === filas.length - 1) {
-        await workbook.xlsx.writeFile(filePath);
+    // Cada pestaña toma el siguiente expediente pendiente de la cola compartida
+    const runWorker = async (page) => {
+      while (siguiente < pendientes.length) {
+        // Pausa y cancelación solo se aplican entre expedientes
+        if (controller.paused) {
+          console.log('Proceso en pausa');
+          progressCallback({ message: 'Proceso en pausa', paused: true, stats: browserService.stats, dryRun });
+          await controller.waitIfPaused();
+          if (!controller.cancelled) {
+            console.log('Proceso reanudado');
+            progressCallback({ message: 'Reanudando proceso...', paused: false, stats: browserService.stats, dryRun });
+          }
+        }
+        if (controller.cancelled || siguiente >= pendientes.length) {
+          break;
+        }
+
+        const fila = pendientes[siguiente++];
+        revisados++;
+        await processRow(fila, page, revisados);
       }
+    };
+
+    console.log(`Procesando ${pendientes.length} expedientes con ${pages.length} pestaña(s)`);
+    await Promise.all(pages.map(page => runWorker(page)));
+
+    if (controller.cancelled) {
+      console.log(`Proceso cancelado después de ${revisados} expedientes`);
     }
 
-    await browserHandler.close();
+    // Guardado final
+    await saveWorkbook();
+
+    // Si se canceló, la bitácora queda abierta para continuar después
+    const cancelled = controller.cancelled;
+    await browserService.close();
+    if (!cancelled) {
+      journalService.finish(journal);
+    }
+    historyService.finishRun(run, {
+      status: cancelled ? RUN_STATUS.CANCELLED : RUN_STATUS.COMPLETED,
+      stats: browserService.stats
+    });
 
     // Generar reporte CSV
     console.log('Reporte CSV omitido por configuración actual.');
 
     progressCallback({ 
-      message: `Proceso finalizado. Se revisaron ${filas.length} expedientes.`,
-      progress: 100,
+      message: cancelled
+        ? `Proceso cancelado. Se revisaron ${revisados} de ${pendientes.length} expedientes.`
+        : `Proceso finalizado. Se revisaron ${revisados} expedientes.`,
+      progress: cancelled ? Math.round((revisados / pendientes.length) * 100) : 100,
       final: true,
-      stats: browserHandler.stats
+      cancelled,
+      outputPath,
+      evidenceDir: evidencias > 0 ? runDir : null,
+      stats: browserService.stats,
+      reauthentications: browserService.reauthentications,
+      dryRun
     });
 
-    return true;
+    return {
+      cancelled,
+      revisados,
+      total: pendientes.length,
+      outputPath,
+      evidenceDir: evidencias > 0 ? runDir : null,
+      stats: browserService.stats,
+      reauthentications: browserService.reauthentications,
+      account
+    };
   } catch (error) {
     console.error(`Error crítico: ${error.message}`);
+    await browserService.closeBrowserQuietly();
+    if (run) {
+      historyService.finishRun(run, { status: RUN_STATUS.FAILED, stats: browserService.stats, error: error.message });
+    }
     throw error;
   }
 }
 
-module.exports = { processExcelFile };
\ No newline at end of file
+module.exports = { processExcelFile };
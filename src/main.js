@@ -1,9 +1,21 @@
 // src/main.js
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
 const { processExcelFile } = require('./index');
+const { runBatch } = require('./cli');
+const CliArgs = require('./utils/cli-args');
 const LicenseHandler = require('./utils/licenseHandler');
 const ConfigHandler = require('./utils/configHandler');
+const journalService = require('./services/journal-service');
+const historyService = require('./services/history-service');
+const configService = require('./services/config-service');
+const RunController = require('./utils/run-controller');
+const BrowserLocator = require('./utils/browser-locator');
+const browserService = require('./services/browser-service');
+const SelectorProfile = require('./utils/selector-profile');
+const FailureCapture = require('./utils/failure-capture');
+const { PROCESSING_CONFIG, LOOKUP_STRATEGY, INPUT_FILE_CONFIG, OUTPUT_MODE, BROWSER_CONFIG, PORTAL_CONFIG, CREDENTIAL_PROFILES_CONFIG } = require('./config/constants');
 // Agregar estas importaciones
 const { autoUpdater } = require('electron-updater');
 const log = require('electron-log');
@@ -21,6 +33,9 @@ const configHandler = new ConfigHandler();
 
 let mainWindow;
 let loadingWindow;
+let historyWindow = null;
+let activeRun = null; // Controlador de la ejecución en curso (pausa/cancelación)
+let lastProbe = null; // Última prueba de conexión exitosa: { fingerprint, at }
 
 /**
  * Crea y devuelve una nueva ventana de carga.
@@ -349,11 +364,21 @@ function setupAutoUpdater() {
 }
 
 app.whenReady().then(async () => {
+  // Modo de línea de comandos: procesa el archivo sin ventanas y termina
+  if (CliArgs.isBatch(process.argv)) {
+    const exitCode = await runBatch(process.argv, { licenseHandler });
+    app.exit(exitCode);
+    return;
+  }
+
   try {
     console.log('Aplicación lista, creando ventana de carga...');
     loadingWindow = await createLoadingWindow();
     console.log('Ventana de carga creada exitosamente');
 
+    // Cifrar credenciales guardadas en texto plano por versiones anteriores
+    configService.migrateCredentials();
+
     // Configurar actualizador automático
     setupAutoUpdater();
 
@@ -448,10 +473,73 @@ ipcMain.handle('token:verify', async (event, token) => {
   }
 });
 
+/**
+ * Huella de unas credenciales y del portal, para reconocer la última prueba
+ * de conexión sin guardar la contraseña en memoria
+ */
+function credentialFingerprint({ username, password }) {
+  return crypto.createHash('sha256').update(`${PORTAL_CONFIG.BASE_URL}\n${username}\n${password}`).digest('hex');
+}
+
+/**
+ * Inicia sesión en el portal con las credenciales, sin procesar expedientes.
+ * Si el portal las acepta se recuerda la prueba para poder guardarlas.
+ * @param {Object} account - { username, password }
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function probeCredentials(account) {
+  if (activeRun) {
+    return { success: false, message: 'Ya hay un proceso en ejecución' };
+  }
+  if (!account.username || !account.password) {
+    return { success: false, message: 'Usuario y contraseña son requeridos' };
+  }
+
+  // Se ocupa el lugar de una ejecución para no iniciar un proceso durante la prueba
+  activeRun = new RunController();
+  browserService.configure({
+    headless: configHandler.get('headless', BROWSER_CONFIG.DEFAULT_HEADLESS),
+    viewport: configHandler.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT)
+  });
+  try {
+    console.log(`Probando la conexión al portal con el usuario ${account.username}...`);
+    const result = await browserService.probeLogin({ username: account.username, password: account.password });
+    console.log(`Prueba de conexión: ${result.message}`);
+    lastProbe = result.success ? { fingerprint: credentialFingerprint(account), at: Date.now() } : null;
+    return result;
+  } finally {
+    activeRun = null;
+  }
+}
+
+/**
+ * Verifica que el portal aceptó las credenciales antes de guardarlas: vale una
+ * prueba reciente con las mismas credenciales; si no la hay, se prueban ahora
+ * @param {Object} account - { username, password }
+ * @returns {Promise<string|null>} - Mensaje de error, o null si se pueden guardar
+ */
+async function ensureCredentialsProbed(account) {
+  const recent = lastProbe &&
+    lastProbe.fingerprint === credentialFingerprint(account) &&
+    Date.now() - lastProbe.at <= CREDENTIAL_PROFILES_CONFIG.PROBE_MAX_AGE_MS;
+  if (recent) {
+    return null;
+  }
+
+  const result = await probeCredentials(account);
+  return result.success ? null : `No se guardaron las credenciales. ${result.message}`;
+}
+
 ipcMain.handle('save-config', async (event, credentials) => {
   try {
-    console.log(`Guardando configuración con credenciales: ${JSON.stringify(credentials)}`);
-    const result = configHandler.saveCredentials(credentials.username, credentials.password);
+    const probeError = await ensureCredentialsProbed(credentials);
+    if (probeError) {
+      return { success: false, error: probeError };
+    }
+    lastProbe = null;
+
+    console.log(`Guardando credenciales del usuario ${credentials.username}`);
+    const result = configService.saveCredentials(credentials.username, credentials.password, credentials.profile || undefined);
     
     if (result) {
       const loadingScreen = await createLoadingWindow();
@@ -509,7 +597,7 @@ ipcMain.handle('dialog:openFile', async () => {
     console.log('Abriendo diálogo para seleccionar archivo...');
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ['openFile'],
-      filters: [{ name: 'Excel Files', extensions: ['xlsx', 'xls'] }]
+      filters: [{ name: 'Archivos de expedientes', extensions: INPUT_FILE_CONFIG.EXTENSIONS }]
     });
 
     if (!result.canceled && result.filePaths.length > 0) {
@@ -526,20 +614,79 @@ ipcMain.handle('dialog:openFile', async () => {
   }
 });
 
+/**
+ * Ajusta el tamaño de ventana sin interfaz a los límites permitidos
+ * @param {Object} viewport - { width, height }
+ * @returns {Object} - Tamaño válido
+ */
+function normalizeViewport(viewport = {}) {
+  const clamp = (value, min, max, fallback) => Math.min(Math.max(parseInt(value, 10) || fallback, min), max);
+  return {
+    width: clamp(viewport.width, BROWSER_CONFIG.MIN_VIEWPORT.width, BROWSER_CONFIG.MAX_VIEWPORT.width, BROWSER_CONFIG.DEFAULT_VIEWPORT.width),
+    height: clamp(viewport.height, BROWSER_CONFIG.MIN_VIEWPORT.height, BROWSER_CONFIG.MAX_VIEWPORT.height, BROWSER_CONFIG.DEFAULT_VIEWPORT.height)
+  };
+}
+
+/**
+ * Acumula los expedientes por resultado conservando el valor más alto de cada uno
+ * @param {Object} accumulated - Conteo acumulado
+ * @param {Object} [current] - Conteo recibido en el progreso
+ * @returns {Object} - Conteo combinado
+ */
+function mergeOutcomeCounts(accumulated, current = {}) {
+  const merged = { ...accumulated };
+  for (const [outcome, count] of Object.entries(current)) {
+    merged[outcome] = Math.max(merged[outcome] || 0, count || 0);
+  }
+  return merged;
+}
+
 // src/main.js (sección process:start)
-ipcMain.handle('process:start', async (event, filePath) => {
+ipcMain.handle('process:start', async (event, filePath, options = {}) => {
+  if (activeRun) {
+    return { success: false, message: 'Ya hay un proceso en ejecución' };
+  }
+
+  activeRun = new RunController();
   try {
-    console.log(`Iniciando procesamiento del archivo: ${filePath}`);
+    const dryRun = options.dryRun === true;
+    const resume = options.resume === true;
+    const workers = Math.min(
+      Math.max(parseInt(options.workers, 10) || configHandler.get('workers', PROCESSING_CONFIG.DEFAULT_WORKERS), 1),
+      PROCESSING_CONFIG.MAX_WORKERS
+    );
+    configHandler.set('workers', workers);
+    const strategy = Object.values(LOOKUP_STRATEGY).includes(options.strategy)
+      ? options.strategy
+      : configHandler.get('lookupStrategy', LOOKUP_STRATEGY.DOM);
+    configHandler.set('lookupStrategy', strategy);
+    const outputMode = Object.values(OUTPUT_MODE).includes(options.outputMode)
+      ? options.outputMode
+      : configHandler.get('outputMode', OUTPUT_MODE.SOURCE);
+    configHandler.set('outputMode', outputMode);
+    const headless = typeof options.headless === 'boolean'
+      ? options.headless
+      : configHandler.get('headless', BROWSER_CONFIG.DEFAULT_HEADLESS);
+    configHandler.set('headless', headless);
+    const viewport = normalizeViewport(options.viewport || configHandler.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT));
+    configHandler.set('viewport', viewport);
+    const profile = options.profile
+      ? configService.setActiveCredentialProfile(options.profile)
+      : configService.getActiveCredentialProfile();
+    console.log(`Iniciando procesamiento del archivo: ${filePath} (simulación: ${dryRun}, continuar: ${resume}, pestañas: ${workers}, consulta: ${strategy}, resultados: ${outputMode}, sin ventana: ${headless}, cuenta: ${profile})`);
     mainWindow.webContents.send('process:progress', {
-      message: 'Iniciando procesamiento...',
+      message: dryRun ? 'Iniciando simulación...' : 'Iniciando procesamiento...',
       progress: 0,
-      stats: { totalRevisados: 0, totalConCosto: 0, totalAceptados: 0 }
+      stats: { totalRevisados: 0, totalConCosto: 0, totalAceptados: 0, totalReautenticaciones: 0 },
+      dryRun
     });
 
     let accumulatedStats = {
       totalRevisados: 0,
       totalConCosto: 0,
-      totalAceptados: 0
+      totalAceptados: 0,
+      totalReautenticaciones: 0,
+      porResultado: {}
     };
 
     const result = await processExcelFile(filePath, async (progress) => {
@@ -550,7 +697,9 @@ ipcMain.handle('process:start', async (event, filePath) => {
         accumulatedStats = { 
           totalRevisados: Math.max(accumulatedStats.totalRevisados, progress.stats.totalRevisados),
           totalConCosto: Math.max(accumulatedStats.totalConCosto, progress.stats.totalConCosto),
-          totalAceptados: Math.max(accumulatedStats.totalAceptados, progress.stats.totalAceptados)
+          totalAceptados: Math.max(accumulatedStats.totalAceptados, progress.stats.totalAceptados),
+          totalReautenticaciones: Math.max(accumulatedStats.totalReautenticaciones, progress.stats.totalReautenticaciones || 0),
+          porResultado: mergeOutcomeCounts(accumulatedStats.porResultado, progress.stats.porResultado)
         };
       }
 
@@ -558,21 +707,339 @@ ipcMain.handle('process:start', async (event, filePath) => {
         ...progress,
         stats: accumulatedStats
       });
+    }, {
+      dryRun,
+      resume,
+      workers,
+      strategy,
+      outputMode,
+      columnMapping: configService.getColumnMapping(),
+      costRules: configService.getCostMatchingRules(),
+      headless,
+      viewport,
+      profile,
+      controller: activeRun
     });
 
+    if (result.cancelled) {
+      const message = `Proceso cancelado. Se revisaron ${result.revisados} de ${result.total} expedientes.`;
+      mainWindow.webContents.send('process:progress', {
+        final: true,
+        cancelled: true,
+        message,
+        outputPath: result.outputPath,
+        evidenceDir: result.evidenceDir,
+        stats: accumulatedStats,
+        reauthentications: result.reauthentications,
+        account: result.account,
+        dryRun
+      });
+
+      console.log('Proceso cancelado por el usuario');
+      return { success: true, cancelled: true, message, stats: accumulatedStats };
+    }
+
     mainWindow.webContents.send('process:progress', {
       final: true,
-      message: 'Proceso completado',
+      message: dryRun ? 'Simulación completada' : 'Proceso completado',
+      outputPath: result.outputPath,
+      evidenceDir: result.evidenceDir,
       stats: accumulatedStats,
-      progress: 100
+      reauthentications: result.reauthentications,
+      account: result.account,
+      progress: 100,
+      dryRun
     });
 
     console.log('Proceso completado con éxito');
-    return { success: true, message: 'Proceso completado con éxito' };
+    return {
+      success: true,
+      message: dryRun ? 'Simulación completada con éxito' : 'Proceso completado con éxito',
+      outputPath: result.outputPath
+    };
   } catch (error) {
     console.error('Error en el proceso:', error);
     console.log(`Error en el proceso: ${error.message}`);
     return { success: false, message: error.message };
+  } finally {
+    activeRun = null;
+  }
+});
+
+ipcMain.handle('process:pause', async () => {
+  if (!activeRun || !activeRun.pause()) {
+    return { success: false, state: activeRun ? activeRun.state : 'idle' };
+  }
+  console.log('Pausa solicitada para el proceso en curso');
+  mainWindow.webContents.send('process:progress', {
+    message: 'Pausando después del expediente actual...',
+    paused: true
+  });
+  return { success: true, state: activeRun.state };
+});
+
+ipcMain.handle('process:resume', async () => {
+  if (!activeRun || !activeRun.resume()) {
+    return { success: false, state: activeRun ? activeRun.state : 'idle' };
+  }
+  console.log('Reanudación solicitada para el proceso en curso');
+  return { success: true, state: activeRun.state };
+});
+
+ipcMain.handle('process:cancel', async () => {
+  if (!activeRun || !activeRun.cancel()) {
+    return { success: false, state: activeRun ? activeRun.state : 'idle' };
+  }
+  console.log('Cancelación solicitada para el proceso en curso');
+  mainWindow.webContents.send('process:progress', {
+    message: 'Cancelando: se guardará el archivo y se cerrará el navegador...'
+  });
+  return { success: true, state: activeRun.state };
+});
+
+ipcMain.handle('process:getSettings', async () => {
+  return {
+    workers: configHandler.get('workers', PROCESSING_CONFIG.DEFAULT_WORKERS),
+    maxWorkers: PROCESSING_CONFIG.MAX_WORKERS,
+    lookupStrategy: configHandler.get('lookupStrategy', LOOKUP_STRATEGY.DOM),
+    outputMode: configHandler.get('outputMode', OUTPUT_MODE.SOURCE),
+    headless: configHandler.get('headless', BROWSER_CONFIG.DEFAULT_HEADLESS),
+    viewport: configHandler.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT),
+    accounts: configService.listCredentialProfiles()
+  };
+});
+
+ipcMain.handle('accounts:list', async () => {
+  return configService.listCredentialProfiles();
+});
+
+ipcMain.handle('accounts:save', async (event, account) => {
+  try {
+    const probeError = await ensureCredentialsProbed(account);
+    if (probeError) {
+      return { success: false, error: probeError };
+    }
+    lastProbe = null;
+
+    configService.saveCredentials(account.username, account.password, account.profile);
+    console.log(`Cuenta del portal guardada: ${account.profile}`);
+    return { success: true, accounts: configService.listCredentialProfiles() };
+  } catch (error) {
+    console.error('Error al guardar la cuenta:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('accounts:delete', async (event, name) => {
+  if (activeRun) {
+    return { success: false, error: 'No se pueden eliminar cuentas mientras hay un proceso en ejecución' };
+  }
+  const deleted = configService.deleteCredentialProfile(name);
+  return deleted
+    ? { success: true, accounts: configService.listCredentialProfiles() }
+    : { success: false, error: `No existe la cuenta "${name}"` };
+});
+
+ipcMain.handle('accounts:test', async (event, account = {}) => {
+  return probeCredentials(account);
+});
+
+ipcMain.handle('accounts:open', async () => {
+  try {
+    await configService.showConfigWindow();
+    return { success: true, accounts: configService.listCredentialProfiles() };
+  } catch (error) {
+    console.error('Error al abrir la administración de cuentas:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mapping:get', async () => {
+  return configService.getColumnMapping();
+});
+
+ipcMain.handle('mapping:save', async (event, profile) => {
+  try {
+    const saved = configService.saveColumnMapping(profile);
+    return { success: true, mapping: saved };
+  } catch (error) {
+    console.error('Error al guardar el perfil de columnas:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('costRules:get', async () => {
+  return configService.getCostMatchingRules();
+});
+
+ipcMain.handle('costRules:save', async (event, rules) => {
+  try {
+    const saved = configService.saveCostMatchingRules(rules);
+    return { success: true, rules: saved };
+  } catch (error) {
+    console.error('Error al guardar las reglas de costos:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('browser:get', async () => {
+  const executablePath = configService.getBrowserExecutablePath();
+  try {
+    const detected = await BrowserLocator.find({ executablePath });
+    return { executablePath, detected };
+  } catch (error) {
+    console.error('Error al detectar el navegador:', error.message);
+    return { executablePath, detected: null, error: error.message };
+  }
+});
+
+ipcMain.handle('browser:save', async (event, executablePath) => {
+  try {
+    const saved = configService.saveBrowserExecutablePath(executablePath);
+    return { success: true, executablePath: saved };
+  } catch (error) {
+    console.error('Error al guardar la ruta del navegador:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('dialog:selectBrowser', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Seleccionar navegador',
+      properties: ['openFile']
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+      console.log(`Navegador seleccionado: ${result.filePaths[0]}`);
+      return { success: true, filePath: result.filePaths[0] };
+    }
+    return { success: false, filePath: null };
+  } catch (error) {
+    console.error('Error al abrir diálogo de navegador:', error);
+    return { success: false, filePath: null };
+  }
+});
+
+ipcMain.handle('selectors:get', async () => {
+  const { profile, source, overridePath, error } = SelectorProfile.load();
+  return { revision: profile.revision, source, overridePath, error };
+});
+
+ipcMain.handle('selectors:export', async () => {
+  try {
+    const overridePath = SelectorProfile.exportDefault();
+    shell.showItemInFolder(overridePath);
+    return { success: true, overridePath };
+  } catch (error) {
+    console.error('Error al crear el perfil de selectores:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('selectors:test', async (event, options = {}) => {
+  if (activeRun) {
+    return { success: false, checks: [], error: 'Ya hay un proceso en ejecución' };
+  }
+
+  // Se ocupa el lugar de una ejecución para no iniciar un proceso durante el diagnóstico
+  activeRun = new RunController();
+  browserService.configure({
+    headless: configHandler.get('headless', BROWSER_CONFIG.DEFAULT_HEADLESS),
+    viewport: configHandler.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT)
+  });
+  try {
+    const expediente = String(options.expediente || '').trim();
+    console.log(`Probando selectores del portal${expediente ? ` con el expediente ${expediente}` : ''}...`);
+    const result = await browserService.testSelectors({ expediente });
+    console.log(`Diagnóstico de selectores: ${JSON.stringify(result)}`);
+    return result;
+  } catch (error) {
+    console.error('Error al probar los selectores:', error);
+    return { success: false, checks: [], error: error.message };
+  } finally {
+    await browserService.closeBrowserQuietly();
+    activeRun = null;
+  }
+});
+
+ipcMain.handle('evidence:open', async (event, filePath) => {
+  // Solo se abren archivos de la carpeta de evidencias
+  if (!FailureCapture.isArtifactPath(filePath)) {
+    return { success: false, error: 'La ruta no pertenece a la carpeta de evidencias' };
+  }
+  const error = await shell.openPath(filePath);
+  return error ? { success: false, error } : { success: true };
+});
+
+/**
+ * Abre la ventana del historial de ejecuciones (o la enfoca si ya está abierta)
+ */
+async function createHistoryWindow() {
+  if (historyWindow) {
+    historyWindow.focus();
+    return;
+  }
+
+  historyWindow = new BrowserWindow({
+    width: 1000,
+    height: 700,
+    parent: mainWindow,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    }
+  });
+  historyWindow.on('closed', () => {
+    historyWindow = null;
+  });
+  await historyWindow.loadFile(path.join(__dirname, '..', 'ui', 'history.html'));
+}
+
+ipcMain.handle('history:open', async () => {
+  try {
+    await createHistoryWindow();
+    return { success: true };
+  } catch (error) {
+    console.error('Error al abrir el historial:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('history:list', async () => {
+  try {
+    return { success: true, runs: historyService.listRuns() };
+  } catch (error) {
+    console.error('Error al leer el historial:', error);
+    return { success: false, error: error.message, runs: [] };
+  }
+});
+
+ipcMain.handle('history:search', async (event, query) => {
+  try {
+    const results = historyService.searchExpediente(query);
+    console.log(`Búsqueda en el historial de "${query}": ${results.length} resultados`);
+    return { success: true, results };
+  } catch (error) {
+    console.error('Error al buscar en el historial:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+ipcMain.handle('history:getRun', async (event, runId) => {
+  const run = historyService.getRun(runId);
+  return run ? { success: true, run } : { success: false, error: 'No se encontró la ejecución' };
+});
+
+ipcMain.handle('process:resumeInfo', async (event, filePath) => {
+  try {
+    const info = journalService.getResumeInfo(filePath);
+    console.log(`Información de continuación para ${filePath}: ${JSON.stringify(info)}`);
+    return { success: true, resumeInfo: info };
+  } catch (error) {
+    console.error('Error al obtener información de continuación:', error);
+    return { success: false, resumeInfo: null, error: error.message };
   }
 });
 
@@ -6,9 +6,121 @@ contextBridge.exposeInMainWorld('electronAPI', {
     const result = await ipcRenderer.invoke('dialog:openFile');
     return result;
   },
-  startProcess: async (filePath) => {
-    console.log(`startProcess invoked with filePath: ${filePath}`);
-    const result = await ipcRenderer.invoke('process:start', filePath);
+  startProcess: async (filePath, options = {}) => {
+    console.log(`startProcess invoked with filePath: ${filePath}, options: ${JSON.stringify(options)}`);
+    const result = await ipcRenderer.invoke('process:start', filePath, options);
+    return result;
+  },
+  pauseProcess: async () => {
+    console.log('pauseProcess invoked');
+    const result = await ipcRenderer.invoke('process:pause');
+    return result;
+  },
+  resumeProcess: async () => {
+    console.log('resumeProcess invoked');
+    const result = await ipcRenderer.invoke('process:resume');
+    return result;
+  },
+  cancelProcess: async () => {
+    console.log('cancelProcess invoked');
+    const result = await ipcRenderer.invoke('process:cancel');
+    return result;
+  },
+  getProcessSettings: async () => {
+    const result = await ipcRenderer.invoke('process:getSettings');
+    return result;
+  },
+  getAccounts: async () => {
+    const result = await ipcRenderer.invoke('accounts:list');
+    return result;
+  },
+  saveAccount: async (account) => {
+    console.log(`saveAccount invoked: ${account.profile}`);
+    const result = await ipcRenderer.invoke('accounts:save', account);
+    return result;
+  },
+  testAccount: async (account) => {
+    console.log('testAccount invoked');
+    const result = await ipcRenderer.invoke('accounts:test', account);
+    return result;
+  },
+  deleteAccount: async (name) => {
+    const result = await ipcRenderer.invoke('accounts:delete', name);
+    return result;
+  },
+  openAccounts: async () => {
+    const result = await ipcRenderer.invoke('accounts:open');
+    return result;
+  },
+  getColumnMapping: async () => {
+    const result = await ipcRenderer.invoke('mapping:get');
+    return result;
+  },
+  saveColumnMapping: async (profile) => {
+    console.log(`saveColumnMapping invoked with profile: ${JSON.stringify(profile)}`);
+    const result = await ipcRenderer.invoke('mapping:save', profile);
+    return result;
+  },
+  getCostRules: async () => {
+    const result = await ipcRenderer.invoke('costRules:get');
+    return result;
+  },
+  saveCostRules: async (rules) => {
+    console.log(`saveCostRules invoked with rules: ${JSON.stringify(rules)}`);
+    const result = await ipcRenderer.invoke('costRules:save', rules);
+    return result;
+  },
+  getBrowserSettings: async () => {
+    const result = await ipcRenderer.invoke('browser:get');
+    return result;
+  },
+  saveBrowserPath: async (executablePath) => {
+    console.log(`saveBrowserPath invoked with executablePath: ${executablePath}`);
+    const result = await ipcRenderer.invoke('browser:save', executablePath);
+    return result;
+  },
+  selectBrowser: async () => {
+    const result = await ipcRenderer.invoke('dialog:selectBrowser');
+    return result;
+  },
+  getSelectorProfile: async () => {
+    const result = await ipcRenderer.invoke('selectors:get');
+    return result;
+  },
+  exportSelectorProfile: async () => {
+    const result = await ipcRenderer.invoke('selectors:export');
+    return result;
+  },
+  testSelectors: async (options = {}) => {
+    console.log(`testSelectors invoked with options: ${JSON.stringify(options)}`);
+    const result = await ipcRenderer.invoke('selectors:test', options);
+    return result;
+  },
+  openHistory: async () => {
+    const result = await ipcRenderer.invoke('history:open');
+    return result;
+  },
+  getRunHistory: async () => {
+    const result = await ipcRenderer.invoke('history:list');
+    return result;
+  },
+  searchHistory: async (query) => {
+    console.log(`searchHistory invoked with query: ${query}`);
+    const result = await ipcRenderer.invoke('history:search', query);
+    return result;
+  },
+  getHistoryRun: async (runId) => {
+    const result = await ipcRenderer.invoke('history:getRun', runId);
+    return result;
+  },
+  openEvidence: async (filePath) => {
+    console.log(`openEvidence invoked with filePath: ${filePath}`);
+    const result = await ipcRenderer.invoke('evidence:open', filePath);
+    return result;
+  },
+  getResumeInfo: async (filePath) => {
+    console.log(`getResumeInfo invoked with filePath: ${filePath}`);
+    const result = await ipcRenderer.invoke('process:resumeInfo', filePath);
     return result;
   },
   onProgress: (callback) => {
@@ -34,7 +146,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return result;
   },
   saveConfig: async (credentials) => {
-    console.log(`saveConfig invoked with credentials: ${JSON.stringify(credentials)}`);
+    console.log('saveConfig invoked');
     const result = await ipcRenderer.invoke('save-config', credentials);
     return result;
   },
@@ -1,202 +1,356 @@
+// src/services/browser-service.js
 const puppeteer = require('puppeteer-core');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { app } = require('electron');
 const logger = require('../utils/logger').scope('BrowserService');
 const configService = require('./config-service');
+const portalApiService = require('./portal-api-service');
+const CostMatcher = require('../utils/cost-matcher');
+const ServiceMatcher = require('../utils/service-matcher');
+const BrowserLocator = require('../utils/browser-locator');
+const SelectorProfile = require('../utils/selector-profile');
+const FailureCapture = require('../utils/failure-capture');
+const {
+  LOOKUP_STRATEGY,
+  DEFAULT_COST_MATCHING,
+  BROWSER_CONFIG,
+  PORTAL_CONFIG,
+  SELECTOR_CHECK_STATUS,
+  ACCEPTANCE_CHECK_CONFIG,
+  RESULT_OUTCOME,
+  RESULT_OUTCOME_LABELS
+} = require('../config/constants');
+
+// Límite de páginas de resultados que se revisan por expediente
+const MAX_RESULT_PAGES = 20;
 
 /**
- * Servicio para automatización de navegador
+ * Servicio de automatización del portal: abre el navegador, inicia sesión,
+ * consulta los expedientes (por la interfaz o por la API) y acepta los que coinciden
  */
 class BrowserService {
   constructor() {
     // Inicializar propiedades
     this.browser = null;
     this.page = null;
-    
-    // Estadísticas de procesamiento
-    this.stats = {
-      totalRevisados: 0,
-      totalConCosto: 0,
-      totalAceptados: 0
-    };
-    
+
     // Configuración de timeouts
     this.navigationTimeout = 60000;
     this.defaultTimeout = 30000;
-    
+
     // Configuración de retries
     this.maxRetries = 3;
     this.retryDelay = 2000;
-    
+
+    this.configure();
+
     logger.info('BrowserService inicializado');
   }
 
   /**
-   * Obtiene la ruta del navegador en el sistema
+   * Prepara el servicio para una ejecución: opciones, pestañas y estadísticas.
+   * Las opciones no indicadas se toman de la configuración guardada.
+   * @param {Object} [options] - { strategy, costRules, selectors, runDir, headless, viewport, profile }
+   * @returns {BrowserService} - El mismo servicio
+   */
+  configure(options = {}) {
+    // Cuenta del portal con la que se inicia sesión; por defecto la cuenta activa
+    this.profile = options.profile || null;
+
+    // Estrategia de consulta: DOM del portal o API directa con respaldo en DOM
+    this.strategy = options.strategy || configService.get('lookupStrategy', LOOKUP_STRATEGY.DOM);
+
+    // Tolerancias para comparar el costo del portal con el guardado
+    this.costRules = options.costRules || DEFAULT_COST_MATCHING;
+
+    // Selectores del portal: perfil de la aplicación o el del usuario en userData
+    this.selectors = options.selectors || SelectorProfile.load().profile;
+
+    // Carpeta de la ejecución donde se guarda la evidencia de los expedientes que fallan
+    this.runDir = options.runDir || null;
+
+    // Ejecución sin ventana; si el login o un selector fallan se reabre visible
+    this.headless = options.headless !== undefined
+      ? options.headless === true
+      : configService.get('headless', BROWSER_CONFIG.DEFAULT_HEADLESS);
+    this.viewport = options.viewport || configService.get('viewport', BROWSER_CONFIG.DEFAULT_VIEWPORT);
+    this.workerPages = [];
+    this.pageReplacements = new Map();
+    this.relaunching = null;
+    this.acceptsInFlight = new Set();
+
+    // Sesión del portal: se marca como expirada al recibir un 401 y se vuelve a iniciar
+    this.sessionExpired = false;
+    this.reauthenticating = null;
+    this.reauthentications = [];
+
+    this.resetStats();
+    return this;
+  }
+
+  /**
+   * Restablece las estadísticas
+   */
+  resetStats() {
+    this.stats = {
+      totalRevisados: 0,
+      totalConCosto: 0,
+      totalAceptados: 0,
+      totalReautenticaciones: 0,
+      // Expedientes por resultado (RESULT_OUTCOME)
+      porResultado: Object.fromEntries(Object.values(RESULT_OUTCOME).map(outcome => [outcome, 0]))
+    };
+  }
+
+  /**
+   * Cuenta un expediente en las estadísticas por resultado
+   * @param {string} outcome - Resultado (RESULT_OUTCOME)
+   */
+  countOutcome(outcome) {
+    if (outcome in this.stats.porResultado) {
+      this.stats.porResultado[outcome]++;
+    }
+  }
+
+  /**
+   * Obtiene la ruta del navegador: la configurada por el usuario o la detectada en el sistema
    * @returns {Promise<string>} - Ruta al ejecutable del navegador
    */
   async getBrowserPath() {
     logger.info('Detectando navegador instalado...');
-    
-    if (os.platform() !== 'win32') {
-      // Lógica para Mac (mantener tu versión anterior)
-      const macPaths = [
-        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        path.join(os.homedir(), 'Applications/Google Chrome.app/Contents/MacOS/Google Chrome')
-      ];
-      
-      for (const p of macPaths) {
-        if (fs.existsSync(p)) {
-          logger.info(`Navegador encontrado en: ${p}`);
-          return p;
-        }
-      }
-      
-      throw new Error('Chrome no encontrado en macOS');
-    }
 
-    // ========== Lógica mejorada para Windows ==========
-    // 1. Primera prioridad: Chrome
-    const chromePaths = [
-      process.env.PROGRAMFILES + '\\Google\\Chrome\\Application\\chrome.exe',
-      process.env['PROGRAMFILES(X86)'] + '\\Google\\Chrome\\Application\\chrome.exe',
-      path.join(os.homedir(), 'AppData\\Local\\Google\\Chrome\\Application\\chrome.exe')
-    ];
+    const { path: browserPath, source } = await BrowserLocator.find({
+      executablePath: configService.getBrowserExecutablePath()
+    });
+    logger.info(`Navegador encontrado (${source}): ${browserPath}`);
+    return browserPath;
+  }
 
-    for (const p of chromePaths) {
-      if (fs.existsSync(p)) {
-        logger.info(`Chrome encontrado en: ${p}`);
-        return p;
+  /**
+   * Abre el navegador e inicia sesión. Sin ventana, si falla se reintenta visible.
+   * @returns {Promise<boolean>} - true si se inicializó correctamente
+   */
+  async initialize() {
+    try {
+      logger.info(`Inicializando navegador${this.headless ? ' sin ventana' : ''}...`);
+      await this.launch();
+      return true;
+    } catch (error) {
+      if (this.headless) {
+        logger.warn(`Falló el inicio sin ventana (${error.message}); reintentando con el navegador visible...`);
+        await this.closeBrowserQuietly();
+        this.headless = false;
+        return this.initialize();
       }
+      logger.error('Error inicializando navegador:', error.message);
+      throw new Error('No se pudo iniciar ningún navegador. Instala Chrome o Edge para continuar.');
     }
+  }
 
-    // 2. Segunda prioridad: Navegador predeterminado del sistema
-    try {
-      const defaultBrowser = await this.getDefaultBrowserWindows();
-      if (defaultBrowser) {
-        logger.info(`Navegador predeterminado encontrado: ${defaultBrowser}`);
-        return defaultBrowser;
-      }
-    } catch (e) {
-      logger.error('Error detectando navegador predeterminado:', e);
-    }
-
-    // 3. Último recurso: Buscar otros navegadores comunes
-    const commonBrowsers = [
-      'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
-      'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe',
-      path.join(os.homedir(), 'AppData\\Local\\Microsoft\\Edge\\Application\\msedge.exe'),
-      'C:\\Program Files\\Mozilla Firefox\\firefox.exe'
-    ];
-
-    for (const p of commonBrowsers) {
-      if (fs.existsSync(p)) {
-        logger.info(`Navegador alternativo encontrado: ${p}`);
-        return p;
-      }
+  /**
+   * Opciones de puppeteer según el modo: sin ventana con el tamaño configurado,
+   * o visible y maximizado
+   */
+  getLaunchOptions(executablePath) {
+    if (this.headless) {
+      const { width, height } = this.viewport;
+      return {
+        headless: true,
+        defaultViewport: { width, height },
+        args: [`--window-size=${width},${height}`],
+        executablePath,
+        timeout: this.navigationTimeout
+      };
     }
 
-    throw new Error('No se encontró ningún navegador compatible instalado');
+    return {
+      headless: false,
+      defaultViewport: null,
+      args: ['--start-maximized'],
+      executablePath,
+      timeout: this.navigationTimeout
+    };
   }
 
   /**
-   * Detecta el navegador predeterminado en Windows
-   * @returns {Promise<string|null>} - Ruta al navegador predeterminado
+   * Abre el navegador, la pestaña principal e inicia sesión en el portal
    */
-  async getDefaultBrowserWindows() {
-    const { execSync } = require('child_process');
-    try {
-      // Obtener navegador predeterminado desde el registro
-      const regQuery = execSync(
-        'reg query "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\Shell\\Associations\\UrlAssociations\\http\\UserChoice" /v ProgId'
-      ).toString();
-      
-      const browserId = regQuery.split('REG_SZ')[1].trim();
-      const association = execSync(
-        `reg query "HKEY_CLASSES_ROOT\\${browserId}\\shell\\open\\command" /ve`
-      ).toString();
-      
-      const fullPath = association.split('REG_SZ')[1].trim().replace(/"/g, '');
-      return path.normalize(fullPath.split(' ')[0]); // Extraer solo la ruta
-    } catch (e) {
-      logger.error('No se pudo detectar el navegador predeterminado:', e.message);
-      return null;
+  async launch() {
+    const browserPath = await this.getBrowserPath();
+
+    this.browser = await puppeteer.launch(this.getLaunchOptions(browserPath));
+
+    this.page = await this.browser.newPage();
+    await this.page.setDefaultNavigationTimeout(this.navigationTimeout);
+    this.watchSession(this.page);
+
+    if (this.strategy === LOOKUP_STRATEGY.API) {
+      // Capturar el token que usa el portal para sus llamadas a la API
+      portalApiService.clearSession();
+      portalApiService.attachToPage(this.page);
+    }
+
+    await this.login();
+
+    if (this.strategy === LOOKUP_STRATEGY.API && !(await portalApiService.captureFromStorage(this.page))) {
+      logger.info('No se capturó el token del portal; se usará la interfaz del portal');
     }
   }
 
   /**
-   * Inicializa el navegador y la página
-   * @returns {Promise<boolean>} - true si se inicializó correctamente
+   * Cierra el navegador ignorando errores (por ejemplo, si ya se cerró)
    */
-  async initialize() {
+  async closeBrowserQuietly() {
+    if (!this.browser) return;
     try {
-      logger.info('Inicializando navegador...');
-      const browserPath = await this.getBrowserPath();
-      
-      this.browser = await puppeteer.launch({
-        headless: false,
-        defaultViewport: null,
-        args: ['--start-maximized'],
-        executablePath: browserPath,
-        timeout: this.navigationTimeout
+      await this.browser.close();
+    } catch (error) {
+      logger.warn('No se pudo cerrar el navegador:', error.message);
+    }
+    this.browser = null;
+  }
+
+  /**
+   * Reabre el navegador en modo visible con el mismo número de pestañas.
+   * Si varias pestañas fallan a la vez, todas esperan la misma reapertura.
+   * Antes de cerrar el navegador se esperan las aceptaciones en curso de las
+   * demás pestañas. Las pestañas anteriores se reemplazan por las nuevas (ver resolvePage).
+   * Si el navegador ya es visible no hace nada.
+   */
+  async relaunchVisible(reason) {
+    if (!this.relaunching) {
+      if (!this.headless) return;
+
+      this.relaunching = (async () => {
+        logger.warn(`Falló la ejecución sin ventana (${reason}); reabriendo el navegador visible...`);
+        await this.waitForAccepts();
+        const oldPages = this.workerPages.length > 0 ? this.workerPages : [this.page];
+
+        await this.closeBrowserQuietly();
+        this.headless = false;
+        await this.launch();
+
+        const newPages = await this.openWorkerPages(oldPages.length);
+        oldPages.forEach((oldPage, i) => this.pageReplacements.set(oldPage, newPages[i]));
+      })().finally(() => {
+        this.relaunching = null;
       });
+    }
+    return this.relaunching;
+  }
 
-      this.page = await this.browser.newPage();
-      await this.page.setDefaultNavigationTimeout(this.navigationTimeout);
-      await this.page.setDefaultTimeout(this.defaultTimeout);
-      
-      logger.info('Navegador inicializado correctamente');
-      
-      // Iniciar sesión automáticamente
-      const loginResult = await this.login();
-      return loginResult;
-    } catch (error) {
-      logger.error('Error inicializando navegador:', error.message);
-      throw new Error(`No se pudo iniciar ningún navegador. Instala Chrome o Edge para continuar.`);
+  /**
+   * Registra una aceptación en curso para que el navegador no se cierre mientras tanto
+   * @param {Promise} acceptance - Aceptación y verificación del servicio
+   * @returns {Promise} - La misma promesa
+   */
+  trackAccept(acceptance) {
+    this.acceptsInFlight.add(acceptance);
+    acceptance.catch(() => {}).finally(() => this.acceptsInFlight.delete(acceptance));
+    return acceptance;
+  }
+
+  /**
+   * Espera a que terminen las aceptaciones en curso en todas las pestañas
+   * @returns {Promise<void>}
+   */
+  async waitForAccepts() {
+    if (this.acceptsInFlight.size > 0) {
+      logger.info(`Esperando ${this.acceptsInFlight.size} aceptación(es) en curso...`);
+      await Promise.allSettled([...this.acceptsInFlight]);
     }
   }
 
   /**
-   * Realiza el login en el portal
+   * Indica si un error viene de la interfaz del portal (un elemento que no
+   * aparece o una espera que vence), que puede deberse al modo sin ventana
+   * @param {Error} error - Error de la búsqueda
+   * @returns {boolean}
+   */
+  isSelectorError(error) {
+    return error.name === 'TimeoutError' || /selector|no se pudo encontrar/i.test(error.message);
+  }
+
+  /**
+   * Obtiene la pestaña vigente para una pestaña de trabajo, que pudo
+   * reemplazarse al reabrir el navegador en modo visible
+   */
+  resolvePage(page) {
+    return this.pageReplacements.get(page) || page;
+  }
+
+  /**
+   * Abre pestañas adicionales en la misma sesión del navegador para
+   * procesar expedientes en paralelo. La primera pestaña es la principal.
+   */
+  async openWorkerPages(count) {
+    const pages = [this.page];
+    for (let i = 1; i < count; i++) {
+      const page = await this.browser.newPage();
+      await page.setDefaultNavigationTimeout(this.navigationTimeout);
+      this.watchSession(page);
+      pages.push(page);
+    }
+    this.workerPages = pages;
+    logger.info(`Pestañas de trabajo abiertas: ${pages.length}`);
+    return pages;
+  }
+
+  /**
+   * Cuenta del portal de la ejecución, sin la contraseña
+   * @returns {Object|null} - { profile, username } o null si la cuenta no tiene credenciales
+   */
+  getAccount() {
+    const credentials = configService.getCredentials(this.profile);
+    return credentials ? { profile: credentials.profile, username: credentials.username } : null;
+  }
+
+  /**
+   * Realiza el login en el portal con la cuenta de la ejecución
+   * @param {Object} [credentials] - { username, password }; por defecto las de la cuenta configurada
+   * @param {Object} [page] - Pestaña donde iniciar sesión; por defecto la principal
    * @returns {Promise<boolean>} - true si el login fue exitoso
    */
-  async login() {
+  async login(credentials = null, page = this.page) {
     try {
-      const credentials = configService.getCredentials();
+      credentials = credentials || configService.getCredentials(this.profile);
       if (!credentials) {
         throw new Error('No se encontraron credenciales configuradas');
       }
 
-      logger.info('Iniciando proceso de login...');
-      await this.page.goto('https://portalproveedores.ikeasistencia.com', {
+      logger.info(`Iniciando proceso de login${credentials.profile ? ` con la cuenta "${credentials.profile}"` : ''}...`);
+      await page.goto(PORTAL_CONFIG.BASE_URL, {
         waitUntil: 'networkidle2',
         timeout: this.navigationTimeout
       });
 
-      await this.page.waitForSelector('input[formcontrolname="username"]', { timeout: this.defaultTimeout });
-      await this.page.waitForSelector('input[formcontrolname="password"]', { timeout: this.defaultTimeout });
+      const selectors = this.selectors.login;
+      await page.waitForSelector(selectors.username, { timeout: this.defaultTimeout });
+      await page.waitForSelector(selectors.password, { timeout: this.defaultTimeout });
 
-      await this.page.type('input[formcontrolname="username"]', credentials.username, { delay: 30 });
-      await this.page.type('input[formcontrolname="password"]', credentials.password, { delay: 30 });
+      await page.type(selectors.username, credentials.username, { delay: 30 });
+      await page.type(selectors.password, credentials.password, { delay: 30 });
 
-      await this.page.click('button[type="submit"]');
+      await page.click(selectors.submit);
 
-      await this.page.waitForNavigation({
+      // Si el portal rechaza las credenciales muestra un mensaje sin navegar
+      const navigation = page.waitForNavigation({
         waitUntil: 'networkidle2',
         timeout: this.navigationTimeout
       });
+      const rejection = selectors.error
+        ? page.waitForSelector(selectors.error, { visible: true, timeout: this.navigationTimeout }).catch(() => navigation)
+        : navigation;
+      await Promise.race([navigation, rejection]);
+      navigation.catch(() => {});
 
-      const isLoggedIn = await this.page.evaluate(() => {
-        return !document.querySelector('input[formcontrolname="password"]');
-      });
+      const isLoggedIn = !(await page.$(selectors.password));
 
       if (!isLoggedIn) {
-        throw new Error('Login fallido. Verifique sus credenciales.');
+        const portalError = await this.readLoginError(page);
+        throw new Error(portalError ? `Login fallido: ${portalError}` : 'Login fallido. Verifique sus credenciales.');
       }
 
       logger.info('Login exitoso');
+      this.sessionExpired = false;
       await this.delay(2000);
       return true;
     } catch (error) {
@@ -206,146 +360,220 @@ class BrowserService {
   }
 
   /**
-   * Busca un expediente en el portal
-   * @param {string} expediente - Número de expediente
-   * @param {number} costoGuardado - Costo guardado
-   * @param {number} retryCount - Contador de reintentos (uso interno)
-   * @returns {Promise<Object>} - Resultado de la búsqueda
+   * Lee el mensaje de error que muestra el portal al rechazar el inicio de sesión
+   * @param {Object} [page] - Pestaña del inicio de sesión; por defecto la principal
+   * @returns {Promise<string>} - Texto del mensaje o cadena vacía
    */
-  async searchExpediente(expediente, costoGuardado, retryCount = 0) {
+  async readLoginError(page = this.page) {
+    const selector = this.selectors.login.error;
+    if (!selector) return '';
+
     try {
-      this.stats.totalRevisados++;
-      logger.info(`Buscando expediente: "${expediente}" (Costo guardado: $${costoGuardado})`);
+      const texts = await page.$$eval(selector, elements => elements
+        .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean));
+      return [...new Set(texts)].join(' ');
+    } catch (error) {
+      logger.warn('No se pudo leer el mensaje de error del login:', error.message);
+      return '';
+    }
+  }
 
-      // Establecer timeout para la búsqueda
-      this.page.setDefaultTimeout(this.defaultTimeout);
+  /**
+   * Prueba unas credenciales con un navegador de corta duración: abre el
+   * portal, inicia sesión y cierra el navegador. No modifica la sesión activa.
+   * @param {Object} credentials - { username, password }
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async probeLogin(credentials) {
+    if (this.browser) {
+      return { success: false, message: 'No se puede probar la conexión mientras hay un proceso en ejecución' };
+    }
 
-      // Verificar si estamos en la página correcta
-      if (!this.page.url().includes('portalproveedores.ikeasistencia.com')) {
-        logger.info('Navegando a la página de búsqueda...');
-        await this.page.goto(
-          'https://portalproveedores.ikeasistencia.com/admin/services/pendientes',
-          { waitUntil: 'networkidle2', timeout: this.navigationTimeout }
-        );
-        await this.delay(1500);
+    try {
+      const browserPath = await this.getBrowserPath();
+      this.browser = await puppeteer.launch(this.getLaunchOptions(browserPath));
+      this.page = await this.browser.newPage();
+      await this.page.setDefaultNavigationTimeout(this.navigationTimeout);
+
+      await this.login(credentials);
+      logger.info('Prueba de conexión exitosa');
+      return { success: true, message: 'Conexión exitosa: el portal aceptó las credenciales' };
+    } catch (error) {
+      logger.warn('Falló la prueba de conexión:', error.message);
+      return { success: false, message: error.message };
+    } finally {
+      await this.closeBrowserQuietly();
+    }
+  }
+
+  /**
+   * Marca la sesión como expirada cuando una llamada de la aplicación del
+   * portal (XHR/fetch) responde 401 en una pestaña
+   */
+  watchSession(page) {
+    page.on('response', (response) => {
+      const resourceType = response.request().resourceType();
+      if (response.status() === 401 && ['xhr', 'fetch'].includes(resourceType) && !this.sessionExpired) {
+        logger.info(`El portal respondió 401 en ${response.url()}`);
+        this.sessionExpired = true;
       }
+    });
+  }
 
-      // Buscar campo de entrada usando diferentes selectores
-      const inputSelectors = [
-        'input[placeholder="No. Expediente:*"]',
-        'input[formcontrolname="expediente"]',
-        'input.mat-mdc-input-element',
-        'input[type="text"]'
-      ];
+  /**
+   * Indica si la sesión del portal expiró: se recibió un 401 o la pestaña
+   * fue redirigida a la página de inicio de sesión
+   */
+  async isSessionExpired(page) {
+    if (this.sessionExpired) return true;
+    try {
+      if (/login/i.test(new URL(page.url()).pathname)) return true;
+      return !!(await page.$(this.selectors.login.password));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Vuelve a iniciar sesión con las credenciales guardadas. Si varias pestañas
+   * detectan la expiración a la vez, todas esperan el mismo inicio de sesión.
+   * El inicio de sesión se hace en una pestaña propia, que se cierra al terminar,
+   * para no navegar fuera de un expediente en curso en las pestañas de trabajo;
+   * la sesión se comparte con ellas por las cookies del navegador.
+   * Cada reinicio queda registrado para el resumen de la ejecución.
+   */
+  async reauthenticate(reason, expediente) {
+    if (!this.reauthenticating) {
+      this.reauthenticating = (async () => {
+        logger.info(`Sesión del portal expirada (${reason}); iniciando sesión de nuevo...`);
+        if (this.strategy === LOOKUP_STRATEGY.API) {
+          portalApiService.clearSession();
+        }
 
-      let inputElement = null;
-      for (const sel of inputSelectors) {
+        const loginPage = await this.browser.newPage();
         try {
-          const candidate = await this.page.$(sel);
-          if (candidate) {
-            inputElement = candidate;
-            logger.info(`Campo de búsqueda encontrado con selector: ${sel}`);
-            break;
+          await loginPage.setDefaultNavigationTimeout(this.navigationTimeout);
+          if (this.strategy === LOOKUP_STRATEGY.API) {
+            portalApiService.attachToPage(loginPage);
           }
-        } catch (e) {
-          continue;
+
+          await this.login(null, loginPage);
+
+          if (this.strategy === LOOKUP_STRATEGY.API && !(await portalApiService.captureFromStorage(loginPage))) {
+            logger.info('No se capturó el token del portal; se usará la interfaz del portal');
+          }
+        } finally {
+          await loginPage.close().catch(error => logger.warn('No se pudo cerrar la pestaña de inicio de sesión:', error.message));
         }
-      }
 
-      if (!inputElement) {
-        throw new Error('No se pudo encontrar el campo de búsqueda');
-      }
+        this.stats.totalReautenticaciones++;
+        this.reauthentications.push({ fecha: new Date().toISOString(), expediente, motivo: reason });
+        logger.info(`Sesión reiniciada (${this.stats.totalReautenticaciones}) durante el expediente ${expediente}`);
+      })().finally(() => {
+        this.reauthenticating = null;
+      });
+    }
+    return this.reauthenticating;
+  }
 
-      // Limpiar campo y escribir número de expediente
-      await inputElement.click({ clickCount: 3 });
-      await this.delay(300);
-      await this.page.evaluate((el) => { el.value = ''; }, inputElement);
+  /**
+   * Busca un expediente y, si los costos coinciden, lo acepta en el portal.
+   * En modo simulación (options.dryRun) solo se registra lo que ocurriría,
+   * sin presionar los botones de aceptación ni de confirmación.
+   * options.page permite usar una pestaña de trabajo distinta a la principal.
+   * options.servicio y options.subservicio ayudan a elegir el servicio correcto
+   * cuando el expediente tiene varios.
+   * En modo sin ventana, si la búsqueda falla se reabre el navegador visible y se reintenta.
+   * Si la sesión del portal expiró se inicia sesión de nuevo y se reintenta el expediente.
+   * Cualquier otro error se reintenta hasta maxRetries veces (options.retryCount es de uso interno).
+   * @param {string} expediente - Número de expediente
+   * @param {number} costoGuardado - Costo guardado
+   * @param {Object} [options] - { dryRun, page, servicio, subservicio }
+   * @returns {Promise<Object>} - Resultado de la búsqueda
+   */
+  async searchExpediente(expediente, costoGuardado, options = {}) {
+    const { dryRun = false, servicio, subservicio } = options;
+    const page = this.resolvePage(options.page || this.page);
+    const criteria = { servicio, subservicio };
+
+    if (this.strategy === LOOKUP_STRATEGY.API && portalApiService.hasSession()) {
+      const apiResult = await this.searchExpedienteApi(expediente, costoGuardado, {
+        dryRun,
+        ...criteria,
+        reauthenticated: options.reauthenticated
+      });
+      if (apiResult) return apiResult;
+    }
 
-      for (const char of expediente.toString()) {
-        await this.page.keyboard.type(char, { delay: 50 });
+    const reauthCount = this.stats.totalReautenticaciones;
+    try {
+      this.stats.totalRevisados++;
+      logger.info(`Iniciando búsqueda para expediente: "${expediente}" (Costo guardado: $${costoGuardado})`);
+
+      page.setDefaultTimeout(this.defaultTimeout);
+
+      // Después de iniciar sesión de nuevo la pestaña puede seguir en la página de acceso
+      if (options.reauthenticated || !page.url().includes(PORTAL_CONFIG.PENDIENTES_PATH)) {
+        logger.info('Navegando a la página de búsqueda...');
+        await page.goto(
+          `${PORTAL_CONFIG.BASE_URL}${PORTAL_CONFIG.PENDIENTES_PATH}`,
+          { waitUntil: 'networkidle2', timeout: this.defaultTimeout }
+        );
+        await this.delay(1500);
       }
-      await this.delay(300);
 
-      // Buscar botón "Buscar" o usar Enter
-      try {
-        const searchButton = await this.page.$('button:has-text("Buscar")');
-        if (searchButton) {
-          logger.info('Botón "Buscar" encontrado, haciendo clic...');
-          await searchButton.click();
-        } else {
-          logger.info('No se encontró botón "Buscar"; usando Enter...');
-          await this.page.keyboard.press('Enter');
-        }
-      } catch (error) {
-        logger.warn('Error al buscar botón, usando Enter:', error.message);
-        await this.page.keyboard.press('Enter');
+      if (await this.isSessionExpired(page)) {
+        throw new Error('La sesión del portal expiró');
       }
+
+      await this.submitSearch(page, expediente);
       
-      // Esperar resultados
       try {
-        await this.page.waitForSelector('table tbody tr, .no-results', { timeout: 5000 });
+        await page.waitForSelector(this.selectors.search.resultsReady, { timeout: 5000 });
       } catch (err) {
         logger.info('No se encontró la tabla o no hay resultados');
       }
 
       await this.delay(1500);
 
-      // Evaluar resultado de la búsqueda
-      const searchResult = await this.page.evaluate((guardado) => {
-        const row = document.querySelector('table tbody tr');
-        if (!row) {
-          return {
-            hayDatos: false,
-            costosCoinciden: false
-          };
-        }
+      // Una búsqueda sin sesión no muestra resultados: no se debe reportar como "sin datos"
+      if (await this.isSessionExpired(page)) {
+        throw new Error('La sesión del portal expiró durante la búsqueda');
+      }
 
-        const cells = row.querySelectorAll('td');
-        const tieneContenido = cells[2] && 
-                             cells[2].textContent && 
-                             cells[2].textContent.trim() !== '' && 
-                             cells[2].textContent.trim() !== '$0.00' &&
-                             cells[2].textContent.trim() !== '$0';
-        
-        if (!tieneContenido) {
-          return {
-            hayDatos: false,
-            costosCoinciden: false
-          };
-        }
+      // Lee todas las filas de resultados, en todas las páginas: un expediente puede tener varios servicios
+      const { services, pageIndex: currentPage } = await this.collectResultRows(page);
+      logger.info(`Servicios encontrados para ${expediente}: ${services.length}`);
+
+      // La comparación de costos se hace fuera de la página con las reglas de tolerancia
+      const searchResult = this.applyServiceMatch(services, costoGuardado, criteria);
+      const { serviceIndex } = searchResult;
+      delete searchResult.serviceIndex;
 
-        // Quita '$' y ',' para poder comparar como número
-        const costoSistema = cells[2] ? cells[2].textContent.trim().replace('$', '').replace(',', '') : '0';
-        const costosCoinciden = parseFloat(costoSistema) === parseFloat(guardado);
-
-        return {
-          costo: new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' })
-            .format(parseFloat(costoSistema)),
-          estatus: cells[3]?.textContent?.trim() || '',
-          notas: cells[4]?.textContent?.trim() || '',
-          fechaRegistro: cells[5]?.textContent?.trim() || '',
-          servicio: cells[6]?.textContent?.trim() || '',
-          subservicio: cells[7]?.textContent?.trim() || '',
-          validacion: costosCoinciden ? 'Aceptado' : 'No aceptado',
-          hayDatos: true,
-          costosCoinciden
-        };
-      }, costoGuardado);
+      // No se inicia una aceptación en una pestaña que se va a cerrar; el expediente se reintenta
+      if (this.relaunching && searchResult.costosCoinciden && !dryRun) {
+        throw new Error('El navegador se está reabriendo');
+      }
 
       // Actualización de estadísticas
       if (searchResult.hayDatos) {
         this.stats.totalConCosto++;
 
-        // Si coinciden, incrementa aceptados Y haz la liberación (clic en botón)
-        if (searchResult.costosCoinciden) {
-          this.stats.totalAceptados++;
-
-          // Aceptar el expediente
-          await this.aceptarExpediente(searchResult);
+        if (searchResult.costosCoinciden && dryRun) {
+          // En simulación solo se informa lo que se habría aceptado; no cuenta como aceptado
+          searchResult.outcome = RESULT_OUTCOME.WOULD_ACCEPT;
+          searchResult.validacion = RESULT_OUTCOME_LABELS[RESULT_OUTCOME.WOULD_ACCEPT];
+          logger.info('Modo simulación: se omite la aceptación del expediente');
+        } else if (searchResult.costosCoinciden) {
+          // Si coinciden, haz la liberación (clic en botón); solo cuenta como aceptado si el portal lo refleja
+          logger.info('Costos coinciden, iniciando proceso de aceptación...');
+          await this.trackAccept(this.acceptMatchedService(page, expediente, services[serviceIndex], currentPage, searchResult));
         }
       }
 
       delete searchResult.hayDatos;
+      this.countOutcome(searchResult.outcome);
 
       logger.info(`Resultado para ${expediente}:`, {
         ...searchResult,
@@ -359,14 +587,51 @@ class BrowserService {
 
     } catch (error) {
       logger.error(`Error buscando expediente ${expediente}:`, error);
-      
+
+      // Sesión expirada: se inicia sesión de nuevo (o se espera al reinicio de otra pestaña)
+      // y se reintenta el expediente una vez
+      let loginFailed = false;
+      if (!options.reauthenticated) {
+        const reloggedMeanwhile = this.stats.totalReautenticaciones !== reauthCount || this.reauthenticating;
+        if (reloggedMeanwhile || await this.isSessionExpired(page)) {
+          try {
+            await this.reauthenticate(error.message, expediente);
+            this.stats.totalRevisados--; // El reintento vuelve a contar el expediente
+            return this.searchExpediente(expediente, costoGuardado, { ...options, reauthenticated: true });
+          } catch (loginError) {
+            logger.error('No se pudo iniciar sesión de nuevo:', loginError.message);
+            loginFailed = true;
+          }
+        }
+      }
+
+      // Sin ventana, un fallo de inicio de sesión o de selector se reintenta una vez con el
+      // navegador visible. También se reintentan las búsquedas que usaban una pestaña del
+      // navegador que se cerró o se está cerrando.
+      const stalePage = this.relaunching || this.resolvePage(page) !== page;
+      const visibleMayHelp = this.headless && (loginFailed || this.isSelectorError(error));
+      if ((stalePage || visibleMayHelp) && !options.retried) {
+        try {
+          await this.relaunchVisible(error.message);
+          this.stats.totalRevisados--; // El reintento vuelve a contar el expediente
+          return this.searchExpediente(expediente, costoGuardado, { ...options, retried: true });
+        } catch (relaunchError) {
+          logger.error('No se pudo reabrir el navegador visible:', relaunchError.message);
+        }
+      }
+
       // Reintentar si no se excede el límite
+      const retryCount = options.retryCount || 0;
       if (retryCount < this.maxRetries) {
         logger.info(`Reintentando búsqueda (${retryCount + 1}/${this.maxRetries})...`);
         await this.delay(this.retryDelay);
-        return this.searchExpediente(expediente, costoGuardado, retryCount + 1);
+        this.stats.totalRevisados--; // El reintento vuelve a contar el expediente
+        return this.searchExpediente(expediente, costoGuardado, { ...options, retryCount: retryCount + 1 });
       }
-      
+
+      const evidencia = await this.captureFailure(this.resolvePage(page), expediente, 'busqueda', error);
+      this.countOutcome(RESULT_OUTCOME.ERROR);
+
       return {
         costo: '',
         estatus: '',
@@ -374,74 +639,546 @@ class BrowserService {
         fechaRegistro: '',
         servicio: '',
         subservicio: '',
-        validacion: 'Error en consulta',
+        validacion: RESULT_OUTCOME_LABELS[RESULT_OUTCOME.ERROR],
+        outcome: RESULT_OUTCOME.ERROR,
+        evidencia,
         stats: this.stats
       };
     }
   }
 
   /**
-   * Acepta un expediente
-   * @param {Object} expedienteData - Datos del expediente
-   * @returns {Promise<boolean>} - true si se aceptó correctamente
+   * Acepta el servicio elegido, verifica la aceptación y completa el resultado
+   * del expediente. Un error al aceptar queda registrado en el resultado.
+   * @param {Object} page - Pestaña con los resultados del expediente
+   * @param {string} expediente - Número de expediente
+   * @param {Object} service - Servicio elegido
+   * @param {number} currentPage - Página en la que quedó el paginador
+   * @param {Object} searchResult - Resultado del expediente a completar
+   * @returns {Promise<void>}
    */
-  async aceptarExpediente(expedienteData) {
+  async acceptMatchedService(page, expediente, service, currentPage, searchResult) {
     try {
-      logger.info('Iniciando proceso de aceptación...');
-      
-      // === INICIO de la lógica para presionar el botón de aceptación ===
-      console.log('Costos coinciden, iniciando proceso de aceptación...');
+      await this.aceptarExpediente(page, service, currentPage);
+      logger.info('Confirmación realizada; verificando la aceptación...');
+
+      const verification = await this.verifyAcceptance(page, expediente, service);
+      this.applyVerification(searchResult, verification);
+      if (verification.confirmed) {
+        this.stats.totalAceptados++;
+      } else {
+        searchResult.evidencia = await this.captureFailure(page, expediente, 'verificacion', new Error(verification.description));
+      }
+    } catch (acceptError) {
+      logger.error('Error durante el proceso de aceptación:', acceptError);
+      searchResult.outcome = RESULT_OUTCOME.ACCEPT_FAILED;
+      searchResult.validacion = RESULT_OUTCOME_LABELS[RESULT_OUTCOME.ACCEPT_FAILED];
+      searchResult.evidencia = await this.captureFailure(page, expediente, 'aceptacion', acceptError);
+    }
+  }
+
+  /**
+   * Presiona el botón de aceptar del servicio elegido y confirma el diálogo.
+   * El servicio puede estar en otra página del paginador.
+   * @param {Object} page - Pestaña con los resultados del expediente
+   * @param {Object} service - Servicio elegido ({ pageIndex, rowIndex, ... })
+   * @param {number} currentPage - Página en la que quedó el paginador
+   * @returns {Promise<void>}
+   * @throws {Error} - Si no se encontró el botón o no se pudo confirmar
+   */
+  async aceptarExpediente(page, service, currentPage) {
+    const { pageIndex, rowIndex } = service;
+    if (!(await this.goToResultsPage(page, pageIndex, currentPage))) {
+      throw new Error(`No se pudo volver a la página ${pageIndex + 1} de resultados`);
+    }
+
+    const buttonClicked = await page.$$eval(this.selectors.results.rows, (rows, index, accept) => {
+      const row = rows[index];
+      const buttons = row ? Array.from(row.querySelectorAll(accept.button)) : [];
+      const acceptButton = buttons.find(button =>
+        button.querySelector(accept.buttonMarker) &&
+        button.closest('td') &&
+        button.closest('td').cellIndex === accept.cellIndex
+      );
+      if (acceptButton) {
+        acceptButton.click();
+        return true;
+      }
+      return false;
+    }, rowIndex, this.selectors.accept);
+
+    if (!buttonClicked) {
+      throw new Error('No se encontró el botón de aceptar');
+    }
+
+    await this.delay(2000);
+
+    const confirmed = await page.$$eval(this.selectors.confirm.buttons, (modalButtons, text) => {
+      const confirmButton = modalButtons.find(button =>
+        button.textContent.trim().toLowerCase().includes(text.toLowerCase())
+      );
+      if (confirmButton) {
+        confirmButton.click();
+        return true;
+      }
+      return false;
+    }, this.selectors.confirm.buttonText);
+
+    if (!confirmed) {
+      throw new Error('No se pudo confirmar la aceptación');
+    }
+  }
+
+  /**
+   * Verifica que la aceptación tuvo efecto: espera el aviso del portal y vuelve
+   * a consultar el expediente para comparar el servicio aceptado.
+   * Si la nueva consulta falla o no muestra el servicio ni el aviso de
+   * "sin resultados", solo un aviso de éxito del portal confirma la aceptación.
+   * @returns {Promise<Object>} - { confirmed, estatus, description }
+   */
+  async verifyAcceptance(page, expediente, accepted) {
+    const snackbar = await page.waitForSelector(this.selectors.accept.snackbar, { timeout: ACCEPTANCE_CHECK_CONFIG.SNACKBAR_TIMEOUT })
+      .then(element => element.evaluate(node => node.textContent.trim()))
+      .catch(() => null);
+    if (snackbar) {
+      logger.info(`Aviso del portal para ${expediente}: ${snackbar}`);
+    }
+
+    try {
+      await this.submitSearch(page, expediente);
+      await page.waitForSelector(this.selectors.search.resultsReady, { timeout: 5000 }).catch(() => null);
+      await this.delay(ACCEPTANCE_CHECK_CONFIG.REQUERY_DELAY);
+
+      if (await this.isSessionExpired(page)) {
+        throw new Error('La sesión del portal expiró');
+      }
+
+      const { services } = await this.collectResultRows(page);
+      const noResults = services.length === 0 && !!(await page.$(this.selectors.search.noResults).catch(() => null));
+      return ServiceMatcher.checkAcceptance(accepted, services, {
+        noResults,
+        notice: this.isSuccessNotice(snackbar) ? snackbar : null
+      });
+    } catch (error) {
+      logger.warn(`No se pudo volver a consultar ${expediente}: ${error.message}`);
+      const confirmed = this.isSuccessNotice(snackbar);
+      return {
+        confirmed,
+        estatus: null,
+        description: confirmed
+          ? `Aviso del portal: ${snackbar}`
+          : `No se pudo volver a consultar el expediente${snackbar ? ` (aviso del portal: ${snackbar})` : ''}`
+      };
+    }
+  }
+
+  /**
+   * Indica si el aviso del portal confirma la aceptación. Un aviso de error
+   * (p. ej. "Error al aceptar") o desconocido no cuenta como confirmación.
+   * @param {string|null} notice - Texto del aviso
+   * @returns {boolean}
+   */
+  isSuccessNotice(notice) {
+    if (!notice) return false;
+    const text = notice.toLowerCase();
+    if (ACCEPTANCE_CHECK_CONFIG.ERROR_NOTICES.some(word => text.includes(word))) {
+      return false;
+    }
+    return ACCEPTANCE_CHECK_CONFIG.SUCCESS_NOTICES.some(word => text.includes(word));
+  }
+
+  /**
+   * Registra en el resultado si la aceptación se reflejó en el portal
+   */
+  applyVerification(searchResult, verification) {
+    logger.info(`Verificación de aceptación: ${verification.description}`);
+    searchResult.verificacion = verification.description;
+
+    if (verification.confirmed) {
+      if (verification.estatus) {
+        searchResult.estatus = verification.estatus;
+      }
+      return;
+    }
+
+    searchResult.outcome = RESULT_OUTCOME.ACCEPT_UNCONFIRMED;
+    searchResult.validacion = RESULT_OUTCOME_LABELS[RESULT_OUTCOME.ACCEPT_UNCONFIRMED];
+  }
+
+  /**
+   * Guarda la captura y el HTML de la tabla de resultados de un expediente que falló
+   * @returns {Promise<string>} - Ruta de la captura (o del HTML) o '' si no se guardó
+   */
+  async captureFailure(page, expediente, stage, error) {
+    const artifacts = await FailureCapture.capture(page, {
+      runDir: this.runDir,
+      expediente,
+      stage,
+      error: error && error.message,
+      tableSelector: this.selectors.results.table
+    });
+    return artifacts ? (artifacts.screenshot || artifacts.html) : '';
+  }
+
+  /**
+   * Escribe el expediente en el campo de búsqueda y presiona "Buscar"
+   * (o Enter si no se encuentra el botón)
+   */
+  async submitSearch(page, expediente) {
+    const { inputs, button, buttonText } = this.selectors.search;
+
+    let inputElement = null;
+    for (const sel of inputs) {
       try {
-        const buttonClicked = await this.page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button'));
-          const acceptButton = buttons.find(button =>
-            button.querySelector('.mat-mdc-button-touch-target') &&
-            button.closest('td') &&
-            button.closest('td').cellIndex === 0
-          );
-          if (acceptButton) {
-            acceptButton.click();
-            return true;
-          }
-          return false;
-        });
+        const candidate = await page.$(sel);
+        if (candidate) {
+          inputElement = candidate;
+          logger.info(`Campo de búsqueda encontrado con selector: ${sel}`);
+          break;
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    if (!inputElement) {
+      throw new Error('No se pudo encontrar el campo de búsqueda');
+    }
+
+    await inputElement.click({ clickCount: 3 });
+    await this.delay(300);
+    await page.evaluate((el) => { el.value = ''; }, inputElement);
+
+    for (const char of expediente.toString()) {
+      await page.keyboard.type(char, { delay: 50 });
+    }
+    await this.delay(300);
 
-        if (!buttonClicked) {
-          throw new Error('No se encontró el botón de aceptar');
+    let botonBuscar = null;
+    for (const candidate of await page.$$(button)) {
+      if (await candidate.evaluate((el, text) => el.textContent.includes(text), buttonText)) {
+        botonBuscar = candidate;
+        break;
+      }
+    }
+
+    if (botonBuscar) {
+      logger.info(`Botón "${buttonText}" encontrado, haciendo clic...`);
+      await botonBuscar.click();
+    } else {
+      logger.info(`No se encontró botón "${buttonText}"; usando Enter...`);
+      await page.keyboard.press('Enter');
+    }
+  }
+
+  /**
+   * Diagnóstico del perfil de selectores contra el portal. Comprueba la página
+   * de inicio de sesión, inicia sesión y comprueba la página de pendientes.
+   * Si se indica un expediente lo busca, sin aceptarlo, para comprobar
+   * también la tabla de resultados.
+   * @param {Object} [options] - { expediente }
+   * @returns {Promise<Object>} - { success, checks, error }
+   */
+  async testSelectors({ expediente } = {}) {
+    const browserPath = await this.getBrowserPath();
+    this.browser = await puppeteer.launch(this.getLaunchOptions(browserPath));
+    this.page = await this.browser.newPage();
+    await this.page.setDefaultNavigationTimeout(this.navigationTimeout);
+
+    const checks = [];
+    const summarize = (error = null) => ({
+      success: !error && checks.every(check => !check.required || check.status === SELECTOR_CHECK_STATUS.OK),
+      checks,
+      error
+    });
+
+    try {
+      await this.page.goto(PORTAL_CONFIG.BASE_URL, { waitUntil: 'networkidle2', timeout: this.defaultTimeout });
+      checks.push(...await SelectorProfile.check(this.page, this.selectors, 'login'));
+
+      await this.login();
+      await this.page.goto(`${PORTAL_CONFIG.BASE_URL}${PORTAL_CONFIG.PENDIENTES_PATH}`, {
+        waitUntil: 'networkidle2',
+        timeout: this.defaultTimeout
+      });
+      await this.delay(1500);
+      checks.push(...await SelectorProfile.check(this.page, this.selectors, 'search'));
+
+      if (expediente) {
+        await this.submitSearch(this.page, expediente);
+        try {
+          await this.page.waitForSelector(this.selectors.search.resultsReady, { timeout: 5000 });
+        } catch (err) {
+          logger.info('No se encontró la tabla o no hay resultados');
         }
+        await this.delay(1500);
+        checks.push(...await SelectorProfile.check(this.page, this.selectors, 'results'));
+      }
 
-        await this.delay(2000);
+      return summarize();
+    } catch (error) {
+      logger.error('Error durante el diagnóstico de selectores:', error.message);
+      return summarize(error.message);
+    }
+  }
 
-        const confirmed = await this.page.evaluate(() => {
-          const modalButtons = Array.from(document.querySelectorAll('.cdk-overlay-container button'));
-          const confirmButton = modalButtons.find(button =>
-            button.textContent.trim().toLowerCase().includes('aceptar')
-          );
-          if (confirmButton) {
-            confirmButton.click();
-            return true;
-          }
-          return false;
-        });
-
-        if (confirmed) {
-          logger.info('Confirmación de aceptación realizada');
-          await this.delay(3000);
-          return true;
-        } else {
-          throw new Error('No se pudo confirmar la aceptación');
+  /**
+   * Lee las filas de la página actual de resultados
+   */
+  async readResultRows(page) {
+    const { rows, cells, columns } = this.selectors.results;
+    return page.$$eval(rows, (rowElements, cellSelector, columnIndexes) => rowElements.map((row) => {
+      const rowCells = row.querySelectorAll(cellSelector);
+      const result = {};
+      for (const [field, index] of Object.entries(columnIndexes)) {
+        result[field] = rowCells[index]?.textContent?.trim() || '';
+      }
+      return result;
+    }), cells, columns);
+  }
+
+  /**
+   * Lee las filas de todas las páginas de resultados. Primero intenta mostrar
+   * el mayor número de filas por página y luego avanza con el paginador.
+   * Cada servicio incluye pageIndex y rowIndex para poder volver a él.
+   * Devuelve también la página en la que quedó el paginador.
+   */
+  async collectResultRows(page) {
+    const services = [];
+    let pageIndex = 0;
+
+    const hasPaginator = !!(await page.$(this.selectors.paginator.next));
+    if (hasPaginator) {
+      await this.maximizePageSize(page);
+    }
+
+    for (;;) {
+      const rows = await this.readResultRows(page);
+      rows.forEach((row, rowIndex) => services.push({ ...row, pageIndex, rowIndex }));
+
+      if (!hasPaginator) break;
+      if (pageIndex + 1 >= MAX_RESULT_PAGES) {
+        logger.info(`Se alcanzó el límite de ${MAX_RESULT_PAGES} páginas de resultados`);
+        break;
+      }
+      if (!(await this.clickPaginatorButton(page, this.selectors.paginator.next))) break;
+      pageIndex++;
+    }
+
+    if (pageIndex > 0) {
+      logger.info(`Resultados leídos en ${pageIndex + 1} páginas`);
+    }
+    return { services, pageIndex };
+  }
+
+  /**
+   * Selecciona el mayor tamaño de página disponible en el paginador.
+   * Devuelve false si no hay selector de tamaño o no se pudo cambiar.
+   */
+  async maximizePageSize(page) {
+    try {
+      const select = await page.$(this.selectors.paginator.pageSizeSelect);
+      if (!select) return false;
+
+      await select.click();
+      await this.delay(500);
+
+      let best = null;
+      let bestSize = 0;
+      for (const option of await page.$$(this.selectors.paginator.pageSizeOption)) {
+        const size = parseInt(await option.evaluate(el => el.textContent.trim()), 10);
+        if (size > bestSize) {
+          best = option;
+          bestSize = size;
         }
-      } catch (acceptError) {
-        logger.error('Error durante el proceso de aceptación:', acceptError);
-        expedienteData.validacion = 'Error en aceptación';
+      }
+
+      if (!best) {
+        await page.keyboard.press('Escape');
         return false;
       }
+
+      const before = await this.getRangeLabel(page);
+      await best.click();
+      await this.waitForPageChange(page, before);
+      logger.info(`Tamaño de página de resultados: ${bestSize}`);
+      return true;
     } catch (error) {
-      logger.error('Error en aceptarExpediente:', error);
+      logger.warn('No se pudo cambiar el tamaño de página:', error.message);
       return false;
     }
   }
 
+  /**
+   * Presiona un botón del paginador si está habilitado y espera el cambio de página
+   */
+  async clickPaginatorButton(page, selector) {
+    const button = await page.$(selector);
+    if (!button) return false;
+
+    const enabled = await button.evaluate(el => !(
+      el.disabled ||
+      el.getAttribute('aria-disabled') === 'true' ||
+      el.classList.contains('mat-mdc-button-disabled') ||
+      el.classList.contains('mat-button-disabled')
+    ));
+    if (!enabled) return false;
+
+    const before = await this.getRangeLabel(page);
+    await button.click();
+    await this.waitForPageChange(page, before);
+    return true;
+  }
+
+  /**
+   * Navega desde la página actual hasta la página indicada del paginador
+   */
+  async goToResultsPage(page, targetIndex, currentIndex) {
+    let current = currentIndex;
+
+    if (targetIndex < current) {
+      if (await this.clickPaginatorButton(page, this.selectors.paginator.first)) {
+        current = 0;
+      } else {
+        while (current > targetIndex && await this.clickPaginatorButton(page, this.selectors.paginator.previous)) {
+          current--;
+        }
+      }
+    }
+    while (current < targetIndex && await this.clickPaginatorButton(page, this.selectors.paginator.next)) {
+      current++;
+    }
+    return current === targetIndex;
+  }
+
+  /**
+   * Texto del rango del paginador ("11 – 20 of 35"), usado para detectar el cambio de página
+   */
+  async getRangeLabel(page) {
+    try {
+      return await page.$eval(this.selectors.paginator.rangeLabel, el => el.textContent.trim());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Espera a que cambie el rango del paginador después de cambiar de página
+   */
+  async waitForPageChange(page, previousLabel) {
+    for (let i = 0; i < 10; i++) {
+      await this.delay(300);
+      const label = await this.getRangeLabel(page);
+      if (label === null || label !== previousLabel) {
+        break;
+      }
+    }
+    // Tiempo para que la tabla termine de renderizar las filas nuevas
+    await this.delay(500);
+  }
+
+  /**
+   * Consulta un expediente directamente con la API del portal. La API solo se
+   * usa para leer: un servicio que coincide se acepta siempre por la interfaz.
+   * Devuelve null para que la fila se resuelva por la interfaz si la API falla,
+   * si no devuelve servicios con costo o si hay que aceptar un servicio.
+   */
+  async searchExpedienteApi(expediente, costoGuardado, { dryRun = false, servicio, subservicio, reauthenticated = false } = {}) {
+    try {
+      const servicios = await portalApiService.searchExpediente(expediente);
+      const searchResult = this.applyServiceMatch(servicios, costoGuardado, { servicio, subservicio });
+      delete searchResult.serviceIndex;
+
+      // Una lista vacía puede deberse a la API y no al expediente: no se reporta como no encontrado
+      if (!searchResult.hayDatos) {
+        logger.info(`La API no devolvió servicios con costo para ${expediente}; se consulta la interfaz`);
+        return null;
+      }
+      delete searchResult.hayDatos;
+      const { costosCoinciden } = searchResult;
+
+      if (costosCoinciden && !dryRun) {
+        logger.info(`El costo de ${expediente} coincide (API); la aceptación se hace por la interfaz`);
+        return null;
+      }
+      if (costosCoinciden) {
+        searchResult.outcome = RESULT_OUTCOME.WOULD_ACCEPT;
+        searchResult.validacion = RESULT_OUTCOME_LABELS[RESULT_OUTCOME.WOULD_ACCEPT];
+      }
+
+      this.stats.totalRevisados++;
+      this.stats.totalConCosto++;
+      this.countOutcome(searchResult.outcome);
+
+      logger.info(`Resultado para ${expediente} (API):`, { ...searchResult, stats: this.stats });
+      return { ...searchResult, stats: this.stats };
+    } catch (error) {
+      if (error.status === 401 && !reauthenticated) {
+        try {
+          await this.reauthenticate(error.message, expediente);
+          if (portalApiService.hasSession()) {
+            return this.searchExpedienteApi(expediente, costoGuardado, { dryRun, servicio, subservicio, reauthenticated: true });
+          }
+        } catch (loginError) {
+          logger.error('No se pudo iniciar sesión de nuevo:', loginError.message);
+        }
+      }
+      logger.error(`Error consultando expediente ${expediente} por API, usando la interfaz:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compara todos los servicios del expediente con la fila del archivo y arma
+   * el resultado con el servicio elegido (o el más cercano si no hay coincidencia),
+   * la regla aplicada y el resultado de cada servicio.
+   * Si varios servicios coinciden no se acepta ninguno y se marca para revisión.
+   */
+  applyServiceMatch(services, costoGuardado, criteria = {}) {
+    const match = ServiceMatcher.match(services, { costoGuardado, ...criteria }, this.costRules);
+    const servicios = services.length > 0 ? ServiceMatcher.describe(match) : '';
+
+    if (!match.reported) {
+      // Sin filas el expediente no está en el portal; con filas, ninguna tiene costo
+      const outcome = services.length === 0 ? RESULT_OUTCOME.NOT_FOUND : RESULT_OUTCOME.ZERO_COST;
+      return {
+        validacion: RESULT_OUTCOME_LABELS[outcome],
+        outcome,
+        servicios,
+        costosCoinciden: false,
+        hayDatos: false
+      };
+    }
+
+    const { service, comparison, serviceMatch } = match.reported;
+    const amount = CostMatcher.parseAmount(service.costo);
+
+    let regla = comparison.description;
+    if (match.ambiguous) {
+      regla = 'Varios servicios coinciden; revisar';
+    } else if (!serviceMatch) {
+      regla = 'Ningún servicio corresponde al servicio indicado';
+    }
+
+    return {
+      costo: amount !== null ? CostMatcher.format(amount) : String(service.costo),
+      estatus: service.estatus,
+      notas: service.notas,
+      fechaRegistro: service.fechaRegistro,
+      servicio: service.servicio,
+      subservicio: service.subservicio,
+      validacion: match.selected
+        ? 'Aceptado'
+        : (match.ambiguous || (serviceMatch && comparison.review)) ? 'Revisar' : 'No aceptado',
+      regla,
+      servicios,
+      outcome: match.selected ? RESULT_OUTCOME.ACCEPTED : RESULT_OUTCOME.MISMATCH,
+      costosCoinciden: !!match.selected,
+      hayDatos: true,
+      serviceIndex: match.selected ? match.selected.index : null
+    };
+  }
+
   /**
    * Método de utilidad para esperar un tiempo específico
    * @param {number} ms - Milisegundos a esperar
@@ -463,21 +1200,9 @@ class BrowserService {
       await this.browser.close();
       this.browser = null;
       this.page = null;
+      this.workerPages = [];
     }
   }
-
-  /**
-   * Restablece las estadísticas
-   */
-  resetStats() {
-    this.stats = {
-      totalRevisados: 0,
-      totalConCosto: 0,
-      totalAceptados: 0
-    };
-    logger.info('Estadísticas restablecidas');
-  }
 }
 
-// Exportar instancia única para usar en toda la aplicación
 module.exports = new BrowserService();
\ No newline at end of file
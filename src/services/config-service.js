@@ -3,6 +3,11 @@ const { BrowserWindow } = require('electron');
 const path = require('path');
 const logger = require('../utils/logger').scope('ConfigService');
 const fileUtils = require('../utils/file-utils');
+const ColumnMapping = require('../utils/column-mapping');
+const CostMatcher = require('../utils/cost-matcher');
+const BrowserLocator = require('../utils/browser-locator');
+const CredentialVault = require('../utils/credential-vault');
+const { DEFAULT_COLUMN_MAPPING, DEFAULT_COST_MATCHING, CREDENTIAL_PROFILES_CONFIG } = require('../config/constants');
 
 /**
  * Servicio para gestión de configuración de la aplicación
@@ -15,9 +20,14 @@ class ConfigService {
         defaults: {
           isConfigured: false,
           credentials: null,
+          credentialProfiles: {},
+          activeCredentialProfile: null,
           firstRun: true,
           theme: 'light',
           language: 'es',
+          columnMapping: DEFAULT_COLUMN_MAPPING,
+          costMatching: DEFAULT_COST_MATCHING,
+          browserExecutablePath: null,
           updateSettings: {
             autoCheck: true,
             autoDownload: true,
@@ -52,12 +62,91 @@ class ConfigService {
   }
 
   /**
-   * Obtiene las credenciales almacenadas
-   * @returns {Object|null} - Credenciales o null si no existen
+   * Cuentas guardadas (nombre -> credenciales cifradas)
+   * @returns {Object} - Blobs cifrados por nombre de cuenta
    */
-  getCredentials() {
+  getStoredProfiles() {
+    return this.store.get('credentialProfiles') || {};
+  }
+
+  /**
+   * Valida el nombre de una cuenta
+   * @param {string} name - Nombre de la cuenta
+   * @returns {string} - Nombre sin espacios sobrantes
+   * @throws {Error} - Si el nombre está vacío o es demasiado largo
+   */
+  normalizeProfileName(name) {
+    const normalized = String(name || '').trim();
+    if (!normalized) {
+      throw new Error('El nombre de la cuenta es requerido');
+    }
+    if (normalized.length > CREDENTIAL_PROFILES_CONFIG.MAX_NAME_LENGTH) {
+      throw new Error(`El nombre de la cuenta admite hasta ${CREDENTIAL_PROFILES_CONFIG.MAX_NAME_LENGTH} caracteres`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Lista las cuentas del portal sin contraseñas
+   * @returns {Array<Object>} - { name, username, updatedAt, active } de cada cuenta
+   */
+  listCredentialProfiles() {
+    const active = this.getActiveCredentialProfile();
+    return Object.entries(this.getStoredProfiles()).map(([name, stored]) => {
+      let username = null;
+      try {
+        username = CredentialVault.open(stored).username;
+      } catch (error) {
+        logger.warn(`No se pudo descifrar la cuenta "${name}":`, error.message);
+      }
+      return { name, username, updatedAt: stored.updatedAt || null, active: name === active };
+    });
+  }
+
+  /**
+   * Obtiene la cuenta activa (la última elegida o la primera guardada)
+   * @returns {string|null} - Nombre de la cuenta o null si no hay cuentas
+   */
+  getActiveCredentialProfile() {
+    const profiles = this.getStoredProfiles();
+    const active = this.store.get('activeCredentialProfile');
+    if (active && profiles[active]) {
+      return active;
+    }
+    return Object.keys(profiles)[0] || null;
+  }
+
+  /**
+   * Elige la cuenta con la que se procesarán los expedientes
+   * @param {string} name - Nombre de la cuenta
+   * @returns {string} - Nombre de la cuenta activa
+   * @throws {Error} - Si la cuenta no existe
+   */
+  setActiveCredentialProfile(name) {
+    if (!this.getStoredProfiles()[name]) {
+      throw new Error(`No existe la cuenta "${name}"`);
+    }
+    this.store.set('activeCredentialProfile', name);
+    logger.info(`Cuenta activa: ${name}`);
+    return name;
+  }
+
+  /**
+   * Obtiene las credenciales de una cuenta (descifradas)
+   * @param {string} [profileName] - Nombre de la cuenta; por defecto la activa
+   * @returns {Object|null} - { profile, username, password } o null si no existen o no se pueden descifrar
+   */
+  getCredentials(profileName = null) {
     try {
-      return this.store.get('credentials');
+      const name = profileName || this.getActiveCredentialProfile();
+      if (!name) {
+        // Credenciales de versiones anteriores que aún no se migran
+        const legacy = CredentialVault.open(this.store.get('credentials'));
+        return legacy ? { profile: CREDENTIAL_PROFILES_CONFIG.DEFAULT_NAME, ...legacy } : null;
+      }
+
+      const credentials = CredentialVault.open(this.getStoredProfiles()[name]);
+      return credentials ? { profile: name, ...credentials } : null;
     } catch (error) {
       logger.error('Error al obtener credenciales:', error);
       return null;
@@ -65,47 +154,185 @@ class ConfigService {
   }
 
   /**
-   * Guarda credenciales en la configuración
+   * Guarda las credenciales de una cuenta cifradas con el almacén seguro del sistema operativo
    * @param {string} username - Nombre de usuario
    * @param {string} password - Contraseña
+   * @param {string} [profileName] - Nombre de la cuenta; se reemplaza si ya existe
    * @returns {boolean} - true si se guardó correctamente
    */
-  saveCredentials(username, password) {
+  saveCredentials(username, password, profileName = CREDENTIAL_PROFILES_CONFIG.DEFAULT_NAME) {
     try {
       if (!username || !password) {
         throw new Error('Usuario y contraseña son requeridos');
       }
+      const name = this.normalizeProfileName(profileName);
       
-      this.store.set('credentials', { username, password });
+      this.store.set('credentialProfiles', {
+        ...this.getStoredProfiles(),
+        [name]: CredentialVault.seal({ username, password })
+      });
+      if (!this.store.get('activeCredentialProfile')) {
+        this.store.set('activeCredentialProfile', name);
+      }
       this.store.set('isConfigured', true);
       
-      // Opcional: asignar a variables de entorno
-      process.env.IKE_USERNAME = username;
-      process.env.IKE_PASSWORD = password;
-      
-      logger.info('Credenciales guardadas correctamente');
+      logger.info(`Credenciales de la cuenta "${name}" guardadas correctamente`);
       return true;
     } catch (error) {
       logger.error('Error al guardar credenciales:', error);
-      
-      // Intentar guardar en un archivo de respaldo
-      try {
-        const backupPath = fileUtils.getUserDataPath('credentials_backup.json');
-        fileUtils.writeJsonFile(backupPath, { 
-          username, 
-          password,
-          timestamp: new Date().toISOString()
-        });
-        
-        logger.info('Credenciales guardadas en archivo de respaldo');
-      } catch (backupError) {
-        logger.error('Error al guardar respaldo de credenciales:', backupError);
-      }
-      
       throw error;
     }
   }
 
+  /**
+   * Elimina una cuenta del portal
+   * @param {string} name - Nombre de la cuenta
+   * @returns {boolean} - true si se eliminó
+   */
+  deleteCredentialProfile(name) {
+    const profiles = this.getStoredProfiles();
+    if (!profiles[name]) {
+      return false;
+    }
+
+    delete profiles[name];
+    this.store.set('credentialProfiles', profiles);
+    if (this.store.get('activeCredentialProfile') === name) {
+      this.store.delete('activeCredentialProfile');
+    }
+    if (Object.keys(profiles).length === 0) {
+      this.store.set('isConfigured', false);
+    }
+
+    logger.info(`Cuenta "${name}" eliminada`);
+    return true;
+  }
+
+  /**
+   * Cifra las credenciales guardadas en texto plano por versiones anteriores,
+   * las convierte en la cuenta por defecto y limpia los respaldos que las
+   * contenían. Debe llamarse después del evento ready de la aplicación,
+   * cuando safeStorage ya está disponible.
+   * @returns {boolean} - true si se migraron credenciales
+   */
+  migrateCredentials() {
+    this.scrubCredentialBackups();
+
+    const stored = this.store.get('credentials');
+    if (!stored) {
+      return false;
+    }
+
+    if (CredentialVault.isPlaintext(stored) && !CredentialVault.isAvailable()) {
+      logger.warn('El cifrado del sistema operativo no está disponible; las credenciales siguen sin cifrar');
+      return false;
+    }
+
+    try {
+      const sealed = CredentialVault.isPlaintext(stored) ? CredentialVault.seal(stored) : stored;
+      const profiles = this.getStoredProfiles();
+      const name = CREDENTIAL_PROFILES_CONFIG.DEFAULT_NAME;
+      if (!profiles[name]) {
+        this.store.set('credentialProfiles', { ...profiles, [name]: sealed });
+      }
+      this.store.delete('credentials');
+      logger.info(`Credenciales migradas a la cuenta "${name}" con almacenamiento cifrado`);
+      return true;
+    } catch (error) {
+      logger.error('Error al migrar credenciales:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Elimina el respaldo de credenciales en texto plano y quita las
+   * credenciales de los respaldos de configuración de versiones anteriores
+   */
+  scrubCredentialBackups() {
+    fileUtils.removeFile(fileUtils.getUserDataPath('credentials_backup.json'));
+
+    const backupPath = fileUtils.getUserDataPath('config_backup.json');
+    const backup = fileUtils.readJsonFile(backupPath, null);
+    const scrubbed = CredentialVault.scrub(backup);
+    if (backup && JSON.stringify(backup) !== JSON.stringify(scrubbed)) {
+      fileUtils.writeJsonFile(backupPath, scrubbed);
+      logger.info('Se quitaron las credenciales del respaldo de configuración');
+    }
+  }
+
+  /**
+   * Obtiene el perfil de columnas para leer y escribir los archivos de expedientes
+   * @returns {Object} - Perfil de columnas completo
+   */
+  getColumnMapping() {
+    try {
+      return ColumnMapping.validate(this.store.get('columnMapping') || DEFAULT_COLUMN_MAPPING);
+    } catch (error) {
+      logger.error('Perfil de columnas inválido, se usará el perfil por defecto:', error);
+      return ColumnMapping.validate(DEFAULT_COLUMN_MAPPING);
+    }
+  }
+
+  /**
+   * Guarda el perfil de columnas
+   * @param {Object} profile - Perfil de columnas
+   * @returns {Object} - Perfil guardado
+   * @throws {Error} - Si el perfil no es válido
+   */
+  saveColumnMapping(profile) {
+    const validated = ColumnMapping.validate(profile);
+    this.store.set('columnMapping', validated);
+    logger.info('Perfil de columnas guardado:', JSON.stringify(validated));
+    return validated;
+  }
+
+  /**
+   * Obtiene las reglas de tolerancia para comparar costos
+   * @returns {Object} - Reglas completas
+   */
+  getCostMatchingRules() {
+    try {
+      return CostMatcher.validate(this.store.get('costMatching') || DEFAULT_COST_MATCHING);
+    } catch (error) {
+      logger.error('Reglas de costos inválidas, se usarán las reglas por defecto:', error);
+      return CostMatcher.validate(DEFAULT_COST_MATCHING);
+    }
+  }
+
+  /**
+   * Guarda las reglas de tolerancia para comparar costos
+   * @param {Object} rules - Reglas de tolerancia
+   * @returns {Object} - Reglas guardadas
+   * @throws {Error} - Si las reglas no son válidas
+   */
+  saveCostMatchingRules(rules) {
+    const validated = CostMatcher.validate(rules);
+    this.store.set('costMatching', validated);
+    logger.info('Reglas de costos guardadas:', JSON.stringify(validated));
+    return validated;
+  }
+
+  /**
+   * Obtiene la ruta del navegador indicada por el usuario
+   * @returns {string|null} - Ruta configurada o null para usar la detección automática
+   */
+  getBrowserExecutablePath() {
+    return this.store.get('browserExecutablePath') || null;
+  }
+
+  /**
+   * Guarda la ruta del navegador. Una ruta vacía vuelve a la detección automática.
+   * @param {string} executablePath - Ruta al ejecutable del navegador
+   * @returns {string|null} - Ruta guardada
+   * @throws {Error} - Si la ruta no existe
+   */
+  saveBrowserExecutablePath(executablePath) {
+    const validated = BrowserLocator.validateExecutable(executablePath);
+    this.store.set('browserExecutablePath', validated);
+    logger.info(`Ruta del navegador guardada: ${validated || 'detección automática'}`);
+    return validated;
+  }
+
   /**
    * Verifica si la aplicación está configurada
    * @returns {boolean} - true si está configurada
@@ -166,10 +393,9 @@ class ConfigService {
    */
   reset() {
     try {
-      // Hacer copia de seguridad primero
+      // Hacer copia de seguridad primero (sin credenciales)
       const backup = {
-        credentials: this.getCredentials(),
-        config: this.store.store
+        config: CredentialVault.scrub(this.store.store)
       };
       
       const backupPath = fileUtils.getUserDataPath('config_backup.json');
@@ -198,8 +424,8 @@ class ConfigService {
 
     // Creamos la ventana de configuración con preload para exponer window.electronAPI
     this.configWindow = new BrowserWindow({
-      width: 400,
-      height: 300,
+      width: 460,
+      height: 560,
       webPreferences: {
         nodeIntegration: false,
         contextIsolation: true,
@@ -210,7 +436,8 @@ class ConfigService {
     });
 
     try {
-      await this.configWindow.loadFile(path.join(__dirname, '../../ui/config.html'));
+      // En modo administración la ventana agrega y elimina cuentas sin recargar la principal
+      await this.configWindow.loadFile(path.join(__dirname, '../../ui/config.html'), { query: { manage: '1' } });
       
       return new Promise((resolve) => {
         this.configWindow.on('closed', () => {
@@ -0,0 +1,245 @@
+// src/services/history-service.js
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../utils/logger').scope('HistoryService');
+const FileUtils = require('../utils/file-utils');
+const configService = require('./config-service');
+const { HISTORY_CONFIG, RUN_STATUS } = require('../config/constants');
+
+/**
+ * Servicio de historial de ejecuciones.
+ * Guarda en userData cada ejecución (archivo, inicio/fin, operador y
+ * estadísticas) con el resultado de cada fila, para poder consultar después
+ * cuándo se revisó un expediente, qué mostraba el portal y si se aceptó.
+ * Los datos de cada ejecución van en un archivo JSON y sus filas se agregan
+ * a un archivo JSONL aparte, sin reescribir la ejecución por cada fila.
+ */
+class HistoryService {
+  constructor() {
+    this.historyDir = HISTORY_CONFIG.DIR;
+  }
+
+  /**
+   * Ruta del índice de ejecuciones
+   * @returns {string} - Ruta en la carpeta de datos del usuario
+   */
+  getIndexPath() {
+    return FileUtils.getUserDataPath(path.join(this.historyDir, HISTORY_CONFIG.INDEX_FILE));
+  }
+
+  /**
+   * Ruta del archivo de una ejecución
+   * @param {string} runId - Identificador de la ejecución
+   * @returns {string} - Ruta en la carpeta de datos del usuario
+   */
+  getRunPath(runId) {
+    return FileUtils.getUserDataPath(path.join(this.historyDir, `${runId}.json`));
+  }
+
+  /**
+   * Ruta del archivo con las filas de una ejecución (una por línea)
+   * @param {string} runId - Identificador de la ejecución
+   * @returns {string} - Ruta en la carpeta de datos del usuario
+   */
+  getRowsPath(runId) {
+    return FileUtils.getUserDataPath(path.join(this.historyDir, `${runId}.rows.jsonl`));
+  }
+
+  /**
+   * Carga el índice de ejecuciones (de la más reciente a la más antigua)
+   * @returns {Array<Object>} - Resumen de cada ejecución
+   */
+  loadIndex() {
+    const index = FileUtils.readJsonFile(this.getIndexPath(), null);
+    return index && Array.isArray(index.runs) ? index.runs : [];
+  }
+
+  /**
+   * Resumen de una ejecución para el índice (sin las filas)
+   * @param {Object} run - Ejecución
+   * @returns {Object} - Resumen
+   */
+  summarize(run) {
+    const { rows, ...summary } = run;
+    return { ...summary, totalRows: rows.length };
+  }
+
+  /**
+   * Actualiza el resumen de una ejecución en el índice y elimina las
+   * ejecuciones más antiguas si se supera el límite
+   * @param {Object} run - Ejecución
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  updateIndex(run) {
+    const runs = [this.summarize(run), ...this.loadIndex().filter(r => r.id !== run.id)];
+    const removed = runs.splice(HISTORY_CONFIG.MAX_RUNS);
+    removed.forEach((r) => {
+      FileUtils.removeFile(this.getRunPath(r.id));
+      FileUtils.removeFile(this.getRowsPath(r.id));
+    });
+    if (removed.length > 0) {
+      logger.info(`Se eliminaron ${removed.length} ejecuciones antiguas del historial`);
+    }
+    return FileUtils.writeJsonFile(this.getIndexPath(), { runs });
+  }
+
+  /**
+   * Identifica al operador: usuario del equipo y cuenta del portal
+   * @param {Object} [account] - Cuenta de la ejecución ({ profile, username }); por defecto la activa
+   * @returns {Object} - { usuario, cuenta, portal }
+   */
+  getOperator(account = null) {
+    let usuario = null;
+    try {
+      usuario = os.userInfo().username;
+    } catch (error) {
+      logger.warn('No se pudo obtener el usuario del equipo:', error.message);
+    }
+    const credentials = account || configService.getCredentials();
+    return {
+      usuario,
+      cuenta: credentials ? credentials.profile : null,
+      portal: credentials ? credentials.username : null
+    };
+  }
+
+  /**
+   * Registra el inicio de una ejecución
+   * @param {string} filePath - Ruta del archivo Excel
+   * @param {Object} [options] - { dryRun, resume, strategy, outputPath, account }
+   * @returns {Object} - Ejecución activa
+   */
+  startRun(filePath, { dryRun = false, resume = false, strategy = null, outputPath = null, account = null } = {}) {
+    const startedAt = new Date();
+    const run = {
+      id: `${FileUtils.getTimestamp(startedAt)}-${crypto.randomBytes(3).toString('hex')}`,
+      filePath: path.resolve(filePath),
+      fileName: path.basename(filePath),
+      outputPath: outputPath ? path.resolve(outputPath) : null,
+      operator: this.getOperator(account),
+      dryRun,
+      resume,
+      strategy,
+      status: RUN_STATUS.RUNNING,
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      stats: null,
+      rows: []
+    };
+
+    this.save(run);
+    this.updateIndex(run);
+    logger.info(`Ejecución ${run.id} registrada en el historial`);
+    return run;
+  }
+
+  /**
+   * Registra el resultado de una fila
+   * @param {Object} run - Ejecución activa
+   * @param {Object} entry - Resultado ({ rowNumber, expediente, costo, estatus, validacion, outcome, ... })
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  recordRow(run, entry) {
+    const row = { ...entry, checkedAt: new Date().toISOString() };
+    run.rows.push(row);
+
+    const saved = FileUtils.appendJsonLine(this.getRowsPath(run.id), row);
+    if (!saved) {
+      logger.error(`No se pudo guardar la fila ${entry.rowNumber} de la ejecución ${run.id} en el historial`);
+    }
+    return saved;
+  }
+
+  /**
+   * Registra el final de una ejecución
+   * @param {Object} run - Ejecución activa
+   * @param {Object} result - { status, stats, error }
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  finishRun(run, { status = RUN_STATUS.COMPLETED, stats = null, error = null } = {}) {
+    run.status = status;
+    run.stats = stats ? JSON.parse(JSON.stringify(stats)) : null;
+    run.error = error;
+    run.finishedAt = new Date().toISOString();
+
+    const saved = this.save(run);
+    this.updateIndex(run);
+    logger.info(`Ejecución ${run.id} finalizada (${status}) con ${run.rows.length} filas`);
+    return saved;
+  }
+
+  /**
+   * Guarda los datos de una ejecución en disco, sin las filas (ver recordRow)
+   * @param {Object} run - Ejecución
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  save(run) {
+    const saved = FileUtils.writeJsonFile(this.getRunPath(run.id), this.summarize(run));
+    if (!saved) {
+      logger.error(`No se pudo guardar la ejecución ${run.id} en el historial`);
+    }
+    return saved;
+  }
+
+  /**
+   * Lista las ejecuciones registradas
+   * @param {number} [limit] - Máximo de ejecuciones
+   * @returns {Array<Object>} - Resumen de cada ejecución, de la más reciente a la más antigua
+   */
+  listRuns(limit = HISTORY_CONFIG.MAX_RUNS) {
+    return this.loadIndex().slice(0, limit);
+  }
+
+  /**
+   * Obtiene una ejecución con todas sus filas
+   * @param {string} runId - Identificador de la ejecución
+   * @returns {Object|null} - Ejecución o null si no existe
+   */
+  getRun(runId) {
+    if (!/^[\w-]+$/.test(String(runId))) return null;
+    const run = FileUtils.readJsonFile(this.getRunPath(runId), null);
+    if (!run || !run.id) return null;
+
+    // Las ejecuciones anteriores guardaban las filas en el mismo archivo
+    const rows = Array.isArray(run.rows) ? run.rows : [];
+    return { ...run, rows: [...rows, ...FileUtils.readJsonLines(this.getRowsPath(runId))] };
+  }
+
+  /**
+   * Busca un expediente en todas las ejecuciones registradas
+   * @param {string} query - Número de expediente (completo o parcial)
+   * @param {number} [limit] - Máximo de resultados
+   * @returns {Array<Object>} - Filas encontradas con los datos de su ejecución, de la más reciente a la más antigua
+   */
+  searchExpediente(query, limit = HISTORY_CONFIG.SEARCH_LIMIT) {
+    const term = String(query || '').replace(/\s+/g, '').toLowerCase();
+    if (!term) return [];
+
+    const matches = [];
+    for (const summary of this.loadIndex()) {
+      const run = this.getRun(summary.id);
+      if (!run) continue;
+
+      for (const row of run.rows) {
+        if (String(row.expediente || '').toLowerCase().includes(term)) {
+          matches.push({
+            ...row,
+            runId: run.id,
+            fileName: run.fileName,
+            dryRun: run.dryRun,
+            operator: run.operator,
+            runStatus: run.status
+          });
+        }
+      }
+    }
+
+    return matches
+      .sort((a, b) => String(b.checkedAt).localeCompare(String(a.checkedAt)))
+      .slice(0, limit);
+  }
+}
+
+// Exportar instancia única
+module.exports = new HistoryService();
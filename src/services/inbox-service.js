@@ -0,0 +1,262 @@
+// src/services/inbox-service.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger').scope('InboxService');
+const FileUtils = require('../utils/file-utils');
+const journalService = require('./journal-service');
+const { readExpedientesAndRows } = require('../utils/readExcel');
+const { INBOX_CONFIG, DEFAULT_COLUMN_MAPPING } = require('../config/constants');
+
+/**
+ * Servicio de carpeta de entrada.
+ * Vigila una carpeta (normalmente compartida) donde los operadores guardan los
+ * libros recibidos por correo. Cada libro nuevo se valida, se encola y se
+ * procesa de uno en uno; al terminar se mueve a processed/ o failed/ junto con
+ * un reporte de texto con el resultado. La bitácora del libro se traslada con
+ * él, de modo que uno con filas fallidas puede continuarse desde failed/.
+ */
+class InboxService {
+  constructor() {
+    this.folder = null;
+    this.timer = null;
+    this.handler = null;
+    this.columnMapping = DEFAULT_COLUMN_MAPPING;
+    this.pending = new Map();   // Archivos vistos que aún se están copiando: ruta -> firma
+    this.queue = [];
+    this.handled = new Set();   // Archivos en curso o que quedaron en la carpeta (no se vuelven a procesar)
+    this.current = null;        // Promesa del procesamiento en curso
+  }
+
+  /**
+   * Comienza a vigilar la carpeta
+   * @param {string} folder - Carpeta de entrada
+   * @param {Function} handler - Procesa un archivo: async (filePath) => { cancelled, failed, lines }
+   * @param {Object} [options] - Opciones
+   * @param {Object} [options.columnMapping] - Perfil de columnas para validar el formato
+   * @param {number} [options.pollInterval] - Milisegundos entre revisiones de la carpeta
+   */
+  start(folder, handler, { columnMapping = DEFAULT_COLUMN_MAPPING, pollInterval = INBOX_CONFIG.POLL_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      throw new Error('La carpeta de entrada ya se está vigilando');
+    }
+
+    this.folder = folder;
+    this.handler = handler;
+    this.columnMapping = columnMapping;
+    this.pending.clear();
+    this.queue = [];
+    this.handled.clear();
+
+    FileUtils.ensureDirectoryExists(path.join(folder, INBOX_CONFIG.PROCESSED_DIR));
+    FileUtils.ensureDirectoryExists(path.join(folder, INBOX_CONFIG.FAILED_DIR));
+
+    this.timer = setInterval(() => this.scan(), pollInterval);
+    logger.info(`Vigilando la carpeta de entrada: ${folder}`);
+    this.scan();
+  }
+
+  /**
+   * Deja de vigilar la carpeta. El archivo en curso termina (o se cancela
+   * desde su controlador) y los que seguían en cola quedan en la carpeta.
+   * @returns {Promise<void>} - Se resuelve cuando termina el archivo en curso
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Se dejó de vigilar la carpeta de entrada');
+    }
+    this.queue = [];
+    if (this.current) {
+      await this.current;
+    }
+  }
+
+  /**
+   * Indica si la carpeta se está vigilando
+   * @returns {boolean}
+   */
+  isWatching() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Lista los libros que esperan en la carpeta, sin subcarpetas ni los
+   * temporales de Excel o de guardado (~$libro.xlsx, ~libro.xlsx.tmp)
+   * @returns {Array<string>} - Rutas de los archivos
+   */
+  listCandidates() {
+    try {
+      return fs.readdirSync(this.folder, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => entry.name)
+        .filter(name => !name.startsWith('~') && !name.startsWith('.'))
+        .filter(name => INBOX_CONFIG.EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase()))
+        .sort()
+        .map(name => path.join(this.folder, name));
+    } catch (error) {
+      logger.error(`No se pudo leer la carpeta de entrada ${this.folder}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Revisa la carpeta y encola los archivos nuevos. Un archivo se encola
+   * cuando su tamaño y fecha no cambiaron desde la revisión anterior, para no
+   * abrirlo mientras todavía se está copiando.
+   */
+  scan() {
+    const candidates = this.listCandidates();
+
+    for (const filePath of this.pending.keys()) {
+      if (!candidates.includes(filePath)) {
+        this.pending.delete(filePath);
+      }
+    }
+
+    for (const filePath of candidates) {
+      if (this.handled.has(filePath) || this.queue.includes(filePath)) {
+        continue;
+      }
+
+      let signature;
+      try {
+        const stats = fs.statSync(filePath);
+        signature = `${stats.size}:${stats.mtimeMs}`;
+      } catch (error) {
+        continue;
+      }
+
+      if (this.pending.get(filePath) === signature) {
+        this.pending.delete(filePath);
+        this.queue.push(filePath);
+        logger.info(`Archivo en cola: ${path.basename(filePath)} (${this.queue.length} en espera)`);
+      } else {
+        this.pending.set(filePath, signature);
+      }
+    }
+
+    if (!this.current && this.queue.length > 0) {
+      this.current = this.drain().finally(() => {
+        this.current = null;
+      });
+    }
+  }
+
+  /**
+   * Procesa la cola de uno en uno
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.queue.length > 0) {
+      const filePath = this.queue.shift();
+      this.handled.add(filePath);
+      await this.processFile(filePath);
+    }
+  }
+
+  /**
+   * Verifica que el libro tenga las columnas del perfil y al menos un expediente
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<number>} - Expedientes encontrados
+   * @throws {Error} - Si el formato no es válido
+   */
+  async validate(filePath) {
+    const { filas } = await readExpedientesAndRows(filePath, this.columnMapping);
+    if (filas.length === 0) {
+      throw new Error('No se encontraron expedientes en el archivo.');
+    }
+    return filas.length;
+  }
+
+  /**
+   * Valida y procesa un archivo, y lo mueve a su subcarpeta con el reporte.
+   * Un libro con expedientes fallidos va a failed/ aunque la ejecución haya terminado.
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Promise<Object|null>} - { status, destination, reportPath }; null si se dejó en la carpeta
+   */
+  async processFile(filePath) {
+    const fileName = path.basename(filePath);
+    const receivedAt = new Date();
+
+    let total;
+    try {
+      total = await this.validate(filePath);
+    } catch (error) {
+      logger.warn(`Formato no válido en ${fileName}: ${error.message}`);
+      return this.settle(filePath, INBOX_CONFIG.FAILED_DIR, receivedAt, [`Formato no válido: ${error.message}`]);
+    }
+
+    logger.info(`Procesando ${fileName} (${total} expedientes)`);
+    try {
+      const { cancelled, failed = 0, lines = [] } = await this.handler(filePath);
+      if (cancelled) {
+        // Se deja en la carpeta para continuarlo en la siguiente sesión
+        logger.info(`Procesamiento de ${fileName} interrumpido; el archivo queda en la carpeta de entrada`);
+        return null;
+      }
+      if (failed > 0) {
+        logger.warn(`${fileName} terminó con ${failed} expedientes fallidos`);
+        return this.settle(filePath, INBOX_CONFIG.FAILED_DIR, receivedAt, [
+          `Expedientes con error: ${failed}. El libro se movió a ${INBOX_CONFIG.FAILED_DIR}/ con su bitácora;`,
+          'ábralo desde la aplicación y continúe la ejecución para reintentar solo esos expedientes.',
+          '',
+          ...lines
+        ]);
+      }
+      return this.settle(filePath, INBOX_CONFIG.PROCESSED_DIR, receivedAt, lines);
+    } catch (error) {
+      logger.error(`Error al procesar ${fileName}:`, error);
+      return this.settle(filePath, INBOX_CONFIG.FAILED_DIR, receivedAt, [`Error: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Mueve el archivo a la subcarpeta indicada, junto con su bitácora, y escribe
+   * su reporte al lado. Si ya existe un archivo con el mismo nombre se agrega la fecha y hora.
+   * @param {string} filePath - Ruta del archivo
+   * @param {string} subdir - INBOX_CONFIG.PROCESSED_DIR o INBOX_CONFIG.FAILED_DIR
+   * @param {Date} receivedAt - Inicio del procesamiento
+   * @param {Array<string>} lines - Detalle del resultado
+   * @returns {Object|null} - { status, destination, reportPath }; null si no se pudo mover
+   */
+  settle(filePath, subdir, receivedAt, lines) {
+    const { name, ext } = path.parse(filePath);
+    const targetDir = path.join(this.folder, subdir);
+    let destination = path.join(targetDir, `${name}${ext}`);
+    if (fs.existsSync(destination)) {
+      destination = path.join(targetDir, `${name}_${FileUtils.getTimestamp()}${ext}`);
+    }
+
+    try {
+      fs.renameSync(filePath, destination);
+    } catch (error) {
+      // Sigue marcado como atendido para no procesarlo de nuevo en esta sesión
+      logger.error(`No se pudo mover ${path.basename(filePath)} a ${subdir}/:`, error);
+      return null;
+    }
+    journalService.relocate(filePath, destination);
+    // Un archivo nuevo con el mismo nombre (p. ej. la exportación del día siguiente) se procesa de nuevo
+    this.handled.delete(filePath);
+
+    const reportPath = destination.slice(0, -ext.length) + INBOX_CONFIG.REPORT_SUFFIX;
+    const report = [
+      `Archivo: ${path.basename(filePath)}`,
+      `Inicio: ${receivedAt.toLocaleString()}`,
+      `Fin: ${new Date().toLocaleString()}`,
+      `Estado: ${subdir === INBOX_CONFIG.PROCESSED_DIR ? 'procesado' : 'fallido'}`,
+      '',
+      ...lines
+    ];
+    try {
+      fs.writeFileSync(reportPath, `${report.join('\n')}\n`, 'utf8');
+    } catch (error) {
+      logger.error(`No se pudo escribir el reporte ${reportPath}:`, error);
+    }
+
+    logger.info(`${path.basename(filePath)} movido a ${subdir}/`);
+    return { status: subdir, destination, reportPath };
+  }
+}
+
+module.exports = new InboxService();
@@ -0,0 +1,261 @@
+// src/services/journal-service.js
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger').scope('JournalService');
+const FileUtils = require('../utils/file-utils');
+const { JOURNAL_ROW_STATUS } = require('../config/constants');
+
+/**
+ * Servicio de bitácora de procesamiento.
+ * Guarda en userData el avance de cada ejecución para poder continuarla
+ * si la aplicación se cierra o el portal termina la sesión a mitad del archivo.
+ * Los datos de la ejecución van en un archivo JSON y cada fila se agrega a un
+ * archivo JSONL aparte, para no reescribir toda la bitácora por cada fila.
+ */
+class JournalService {
+  constructor() {
+    this.journalDir = 'journals';
+  }
+
+  /**
+   * Obtiene la ruta del archivo de bitácora asociado a un Excel
+   * @param {string} filePath - Ruta del archivo Excel
+   * @returns {string} - Ruta del archivo de bitácora
+   */
+  getJournalPath(filePath) {
+    const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+    return FileUtils.getUserDataPath(path.join(this.journalDir, `${key}.json`));
+  }
+
+  /**
+   * Obtiene la ruta del archivo con las filas de la bitácora (una por línea)
+   * @param {string} filePath - Ruta del archivo Excel
+   * @returns {string} - Ruta del archivo JSONL
+   */
+  getRowsPath(filePath) {
+    return this.getJournalPath(filePath).replace(/\.json$/, '.rows.jsonl');
+  }
+
+  /**
+   * Carga la bitácora de un archivo
+   * @param {string} filePath - Ruta del archivo Excel
+   * @returns {Object|null} - Bitácora o null si no existe
+   */
+  load(filePath) {
+    const journal = FileUtils.readJsonFile(this.getJournalPath(filePath), null);
+    if (!journal || !journal.filePath) {
+      return null;
+    }
+
+    // Las bitácoras anteriores guardaban las filas en el mismo archivo.
+    // Si una fila se registró más de una vez (reintento), vale la última.
+    journal.rows = journal.rows || {};
+    journal.lastRowNumber = journal.lastRowNumber || 0;
+    for (const { rowNumber, ...entry } of FileUtils.readJsonLines(this.getRowsPath(filePath))) {
+      journal.rows[rowNumber] = entry;
+      journal.lastRowNumber = Math.max(journal.lastRowNumber, rowNumber);
+    }
+    return journal;
+  }
+
+  /**
+   * Indica si un archivo tiene una ejecución incompleta que puede continuarse.
+   * Solo es válida si el archivo no cambió desde el último guardado registrado.
+   * @param {string} filePath - Ruta del archivo Excel
+   * @returns {Object|null} - Resumen de la ejecución pendiente o null
+   */
+  getResumeInfo(filePath) {
+    try {
+      const journal = this.load(filePath);
+      if (!journal || journal.completed) {
+        return null;
+      }
+
+      const currentHash = FileUtils.getFileHash(filePath);
+      if (!currentHash || currentHash !== journal.fileHash) {
+        logger.info(`La bitácora de ${filePath} no coincide con el archivo actual`);
+        return null;
+      }
+
+      const rows = Object.values(journal.rows);
+      return {
+        lastRowNumber: journal.lastRowNumber,
+        nextRowNumber: journal.lastRowNumber + 1,
+        processed: rows.length,
+        accepted: rows.filter(r => r.status === JOURNAL_ROW_STATUS.ACCEPTED).length,
+        failed: rows.filter(r => r.status === JOURNAL_ROW_STATUS.FAILED).length,
+        dryRun: journal.dryRun === true,
+        outputPath: journal.outputPath || null,
+        startedAt: journal.startedAt,
+        updatedAt: journal.updatedAt
+      };
+    } catch (error) {
+      logger.error(`Error al obtener información de continuación para ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Inicia una ejecución. Si se solicita continuar y existe una bitácora
+   * válida del mismo modo, la reutiliza; de lo contrario crea una nueva.
+   * @param {string} filePath - Ruta del archivo Excel
+   * @param {Object} [options] - Opciones de la ejecución
+   * @param {boolean} [options.resume=false] - Continuar la ejecución previa
+   * @param {boolean} [options.dryRun=false] - Ejecución en modo simulación
+   * @param {string} [options.outputPath] - Archivo donde se guardan los resultados
+   * @returns {Object} - Bitácora activa
+   */
+  start(filePath, { resume = false, dryRun = false, outputPath = null } = {}) {
+    const info = resume ? this.getResumeInfo(filePath) : null;
+
+    if (info && info.dryRun === dryRun) {
+      logger.info(`Continuando ejecución de ${filePath} desde la fila ${info.nextRowNumber}`);
+      const journal = this.load(filePath);
+      // Compacta las filas repetidas por reintentos antes de seguir agregando
+      this.saveRows(journal);
+      this.save(journal);
+      return journal;
+    }
+
+    const journal = {
+      filePath: path.resolve(filePath),
+      fileHash: FileUtils.getFileHash(filePath),
+      dryRun,
+      outputPath: outputPath ? path.resolve(outputPath) : null,
+      lastRowNumber: 0,
+      rows: {},
+      completed: false,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    FileUtils.removeFile(this.getRowsPath(filePath));
+    this.save(journal);
+    logger.info(`Nueva bitácora creada para ${filePath}`);
+    return journal;
+  }
+
+  /**
+   * Indica si una fila ya fue resuelta en la bitácora y debe omitirse
+   * @param {Object} journal - Bitácora activa
+   * @param {number} rowNumber - Número de fila
+   * @returns {boolean} - true si la fila no necesita procesarse de nuevo
+   */
+  isRowDone(journal, rowNumber) {
+    const entry = journal.rows[rowNumber];
+    return !!entry && entry.status !== JOURNAL_ROW_STATUS.FAILED;
+  }
+
+  /**
+   * Registra el resultado de una fila
+   * @param {Object} journal - Bitácora activa
+   * @param {number} rowNumber - Número de fila
+   * @param {Object} entry - Resultado ({ expediente, status, validacion })
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  recordRow(journal, rowNumber, entry) {
+    journal.rows[rowNumber] = {
+      ...entry,
+      updatedAt: new Date().toISOString()
+    };
+    journal.lastRowNumber = Math.max(journal.lastRowNumber, rowNumber);
+
+    const saved = FileUtils.appendJsonLine(this.getRowsPath(journal.filePath), { rowNumber, ...journal.rows[rowNumber] });
+    if (!saved) {
+      logger.warn(`No se pudo registrar la fila ${rowNumber} en la bitácora de ${journal.filePath}`);
+    }
+    return saved;
+  }
+
+  /**
+   * Actualiza el hash del archivo después de guardarlo, para que la
+   * bitácora siga siendo válida al reabrirlo
+   * @param {Object} journal - Bitácora activa
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  updateFileHash(journal) {
+    journal.fileHash = FileUtils.getFileHash(journal.filePath);
+    return this.save(journal);
+  }
+
+  /**
+   * Cierra la ejecución. Si quedaron filas fallidas la bitácora se mantiene
+   * abierta para que puedan reintentarse al continuar.
+   * @param {Object} journal - Bitácora activa
+   * @returns {boolean} - true si la ejecución quedó completa
+   */
+  finish(journal) {
+    const failed = Object.values(journal.rows)
+      .filter(r => r.status === JOURNAL_ROW_STATUS.FAILED).length;
+
+    journal.completed = failed === 0;
+    journal.finishedAt = new Date().toISOString();
+    this.save(journal);
+
+    if (failed > 0) {
+      logger.info(`Ejecución terminada con ${failed} filas pendientes de reintento`);
+    }
+    return journal.completed;
+  }
+
+  /**
+   * Traslada la bitácora de un archivo que se movió de carpeta, para que la
+   * ejecución pueda continuarse desde su nueva ubicación
+   * @param {string} fromPath - Ruta anterior del archivo Excel
+   * @param {string} toPath - Ruta nueva del archivo Excel
+   * @returns {boolean} - true si había bitácora y se trasladó
+   */
+  relocate(fromPath, toPath) {
+    const journal = this.load(fromPath);
+    if (!journal) {
+      return false;
+    }
+
+    const previousPath = journal.filePath;
+    journal.filePath = path.resolve(toPath);
+    if (journal.outputPath === previousPath) {
+      journal.outputPath = journal.filePath;
+    }
+    if (!this.saveRows(journal) || !this.save(journal)) {
+      return false;
+    }
+
+    FileUtils.removeFile(this.getJournalPath(fromPath));
+    FileUtils.removeFile(this.getRowsPath(fromPath));
+    logger.info(`Bitácora trasladada de ${fromPath} a ${toPath}`);
+    return true;
+  }
+
+  /**
+   * Persiste los datos de la bitácora en disco, sin las filas (ver recordRow)
+   * @param {Object} journal - Bitácora a guardar
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  save(journal) {
+    journal.updatedAt = new Date().toISOString();
+    const header = { ...journal };
+    delete header.rows;
+    const saved = FileUtils.writeJsonFile(this.getJournalPath(journal.filePath), header);
+    if (!saved) {
+      logger.warn(`No se pudo guardar la bitácora de ${journal.filePath}`);
+    }
+    return saved;
+  }
+
+  /**
+   * Reescribe el archivo de filas con una línea por fila
+   * @param {Object} journal - Bitácora activa
+   * @returns {boolean} - true si se guardó correctamente
+   */
+  saveRows(journal) {
+    const rows = Object.entries(journal.rows).map(([rowNumber, entry]) => ({ rowNumber: Number(rowNumber), ...entry }));
+    const saved = FileUtils.writeJsonLines(this.getRowsPath(journal.filePath), rows);
+    if (!saved) {
+      logger.warn(`No se pudieron guardar las filas de la bitácora de ${journal.filePath}`);
+    }
+    return saved;
+  }
+}
+
+// Exportar instancia única para usar en toda la aplicación
+module.exports = new JournalService();
@@ -0,0 +1,224 @@
+// src/services/portal-api-service.js
+const axios = require('axios');
+const logger = require('../utils/logger').scope('PortalApiService');
+const CostMatcher = require('../utils/cost-matcher');
+const { PORTAL_CONFIG } = require('../config/constants');
+
+// Nombres de campo que usa el portal para cada dato del servicio
+const FIELD_ALIASES = {
+  id: ['id', 'idServicio', 'servicioId', 'id_servicio'],
+  expediente: ['expediente', 'noExpediente', 'numeroExpediente', 'folio'],
+  costo: ['costo', 'importe', 'monto', 'total'],
+  estatus: ['estatus', 'status', 'estado'],
+  notas: ['notas', 'observaciones', 'comentarios'],
+  fechaRegistro: ['fechaRegistro', 'fecha_registro', 'fechaAlta', 'createdAt'],
+  servicio: ['servicio', 'tipoServicio', 'nombreServicio'],
+  subservicio: ['subservicio', 'subServicio', 'tipoSubservicio']
+};
+
+/**
+ * Cliente de la API del portal de proveedores.
+ * Reutiliza el token de la sesión iniciada en el navegador para consultar
+ * servicios sin pasar por la interfaz de Angular. Es de solo lectura: las
+ * aceptaciones se hacen por la interfaz mientras los endpoints no estén confirmados.
+ */
+class PortalApiService {
+  constructor() {
+    this.token = null;
+    this.apiBaseUrl = PORTAL_CONFIG.BASE_URL;
+  }
+
+  /**
+   * Indica si hay una sesión capturada para llamar a la API
+   * @returns {boolean} - true si hay token disponible
+   */
+  hasSession() {
+    return !!this.token;
+  }
+
+  /**
+   * Registra el token de sesión y el origen de la API
+   * @param {Object} session - { token, apiBaseUrl }
+   */
+  setSession({ token, apiBaseUrl }) {
+    if (!token) return;
+    this.token = token.startsWith('Bearer ') ? token : `Bearer ${token}`;
+    if (apiBaseUrl) {
+      this.apiBaseUrl = apiBaseUrl;
+    }
+  }
+
+  /**
+   * Elimina la sesión capturada
+   */
+  clearSession() {
+    this.token = null;
+    this.apiBaseUrl = PORTAL_CONFIG.BASE_URL;
+  }
+
+  /**
+   * Escucha las peticiones de la página para capturar el token que envía
+   * la aplicación del portal en el encabezado Authorization. Solo se toman
+   * las peticiones al origen del portal, nunca las de otros dominios
+   * (analítica, CDN, etc.), para no enviar al portal un token ajeno.
+   * @param {Object} page - Página de puppeteer
+   */
+  attachToPage(page) {
+    const portalOrigin = new URL(PORTAL_CONFIG.BASE_URL).origin;
+
+    page.on('request', (request) => {
+      const authorization = request.headers().authorization;
+      if (!authorization || authorization === this.token) return;
+
+      try {
+        const origin = new URL(request.url()).origin;
+        if (origin !== portalOrigin) return;
+
+        this.setSession({ token: authorization, apiBaseUrl: origin });
+        logger.info(`Token de sesión capturado desde ${this.apiBaseUrl}`);
+      } catch (error) {
+        logger.warn('No se pudo interpretar la petición con token:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Busca el token en el almacenamiento del navegador cuando no se capturó
+   * ninguna petición autenticada
+   * @param {Object} page - Página de puppeteer
+   * @returns {Promise<boolean>} - true si se encontró un token
+   */
+  async captureFromStorage(page) {
+    if (this.hasSession()) return true;
+
+    try {
+      const raw = await page.evaluate(
+        'JSON.stringify(Object.assign({}, window.localStorage, window.sessionStorage))'
+      );
+      const storage = JSON.parse(raw || '{}');
+      const key = Object.keys(storage).find(k => /token|jwt|auth/i.test(k));
+      if (key) {
+        this.setSession({ token: storage[key] });
+        logger.info(`Token de sesión obtenido del almacenamiento (${key})`);
+        return true;
+      }
+    } catch (error) {
+      logger.warn('No se pudo leer el almacenamiento del navegador:', error.message);
+    }
+    return false;
+  }
+
+  /**
+   * Realiza una solicitud autenticada a la API del portal
+   * @param {Object} config - Configuración de axios
+   * @returns {Promise<any>} - Datos de la respuesta
+   */
+  async request(config) {
+    if (!this.hasSession()) {
+      throw new Error('No hay sesión del portal disponible para la API');
+    }
+
+    try {
+      const response = await axios({
+        baseURL: this.apiBaseUrl,
+        timeout: PORTAL_CONFIG.API_TIMEOUT,
+        ...config,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Authorization': this.token,
+          ...config.headers
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const apiError = new Error(
+        status ? `La API del portal respondió ${status}` : `Error de conexión con la API: ${error.message}`
+      );
+      apiError.status = status;
+      throw apiError;
+    }
+  }
+
+  /**
+   * Busca los servicios pendientes de un expediente. Solo se devuelven los
+   * servicios cuyo campo de expediente coincide exactamente con el buscado,
+   * por si la API ignora el filtro y devuelve otros expedientes.
+   * @param {string} expediente - Número de expediente
+   * @returns {Promise<Array>} - Servicios normalizados del expediente
+   * @throws {Error} - Si la respuesta trae servicios pero ninguno es del expediente
+   */
+  async searchExpediente(expediente) {
+    logger.info(`Consultando expediente ${expediente} por API`);
+    const data = await this.request({
+      method: 'get',
+      url: PORTAL_CONFIG.API_ENDPOINTS.SEARCH_PENDIENTES,
+      params: { expediente }
+    });
+
+    const items = this.extractList(data);
+    if (!items) {
+      throw new Error('Respuesta de la API con formato desconocido');
+    }
+
+    const wanted = String(expediente).trim();
+    const services = items.map(item => this.normalizeService(item));
+    const own = services.filter(service => service.expediente === wanted);
+    if (services.length > 0 && own.length === 0) {
+      // No se puede saber a qué expediente pertenecen: se resuelve por la interfaz
+      throw new Error(`La API devolvió ${services.length} servicios, ninguno del expediente ${wanted}`);
+    }
+    if (own.length < services.length) {
+      logger.warn(`La API devolvió ${services.length - own.length} servicios de otros expedientes; se descartan`);
+    }
+    return own;
+  }
+
+  /**
+   * Obtiene la lista de servicios de la respuesta, que puede venir
+   * directa o envuelta en una propiedad
+   * @param {any} data - Respuesta de la API
+   * @returns {Array|null} - Lista de servicios o null si no se reconoce
+   */
+  extractList(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return null;
+
+    for (const key of ['data', 'content', 'items', 'results', 'servicios']) {
+      if (Array.isArray(data[key])) return data[key];
+      if (data[key] && typeof data[key] === 'object') {
+        const nested = this.extractList(data[key]);
+        if (nested) return nested;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convierte un servicio de la API al formato usado en el resto de la aplicación
+   * @param {Object} item - Servicio tal como lo devuelve la API
+   * @returns {Object} - Servicio normalizado
+   */
+  normalizeService(item) {
+    const pick = (field) => {
+      const key = FIELD_ALIASES[field].find(alias => item[alias] !== undefined && item[alias] !== null);
+      return key ? item[key] : undefined;
+    };
+
+    return {
+      id: pick('id'),
+      expediente: pick('expediente') !== undefined ? String(pick('expediente')).trim() : '',
+      // Sin costo (o con un costo ilegible) queda en null y no coincide con ninguna fila
+      costo: CostMatcher.parseAmount(pick('costo')),
+      estatus: String(pick('estatus') || ''),
+      notas: String(pick('notas') || ''),
+      fechaRegistro: String(pick('fechaRegistro') || ''),
+      servicio: String(pick('servicio') || ''),
+      subservicio: String(pick('subservicio') || '')
+    };
+  }
+}
+
+// Exportar instancia única para usar en toda la aplicación
+module.exports = new PortalApiService();
@@ -0,0 +1,189 @@
+// src/utils/browser-locator.js
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Ejecutables que se buscan en el PATH de Linux, en orden de preferencia
+const LINUX_EXECUTABLES = [
+  'google-chrome-stable',
+  'google-chrome',
+  'chromium',
+  'chromium-browser',
+  'microsoft-edge-stable',
+  'microsoft-edge'
+];
+
+/**
+ * Localiza el ejecutable del navegador que usará puppeteer en cada sistema operativo
+ */
+class BrowserLocator {
+  /**
+   * Rutas conocidas de Chrome en macOS
+   * @returns {Array<string>} - Rutas candidatas
+   */
+  static getMacPaths() {
+    return [
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      path.join(os.homedir(), 'Applications/Google Chrome.app/Contents/MacOS/Google Chrome')
+    ];
+  }
+
+  /**
+   * Rutas conocidas de Chrome y Chromium en Linux: paquetes del sistema,
+   * snap y flatpak (instalación de sistema y de usuario)
+   * @returns {Array<string>} - Rutas candidatas
+   */
+  static getLinuxPaths() {
+    const flatpakUser = path.join(os.homedir(), '.local/share/flatpak/exports/bin');
+    return [
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome',
+      '/opt/google/chrome/chrome',
+      '/usr/bin/chromium',
+      '/usr/bin/chromium-browser',
+      '/snap/bin/chromium',
+      '/var/lib/flatpak/exports/bin/com.google.Chrome',
+      '/var/lib/flatpak/exports/bin/org.chromium.Chromium',
+      path.join(flatpakUser, 'com.google.Chrome'),
+      path.join(flatpakUser, 'org.chromium.Chromium'),
+      '/usr/bin/microsoft-edge-stable',
+      '/usr/bin/microsoft-edge'
+    ];
+  }
+
+  /**
+   * Rutas conocidas de Chrome en Windows
+   * @returns {Array<string>} - Rutas candidatas
+   */
+  static getWindowsChromePaths() {
+    return [
+      process.env.PROGRAMFILES + '\\Google\\Chrome\\Application\\chrome.exe',
+      process.env['PROGRAMFILES(X86)'] + '\\Google\\Chrome\\Application\\chrome.exe',
+      path.join(os.homedir(), 'AppData\\Local\\Google\\Chrome\\Application\\chrome.exe')
+    ];
+  }
+
+  /**
+   * Otros navegadores comunes en Windows, último recurso
+   * @returns {Array<string>} - Rutas candidatas
+   */
+  static getWindowsFallbackPaths() {
+    return [
+      'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
+      'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe',
+      path.join(os.homedir(), 'AppData\\Local\\Microsoft\\Edge\\Application\\msedge.exe'),
+      'C:\\Program Files\\Mozilla Firefox\\firefox.exe'
+    ];
+  }
+
+  /**
+   * Devuelve la primera ruta que existe
+   * @param {Array<string>} candidates - Rutas candidatas
+   * @returns {string|null} - Ruta encontrada o null
+   */
+  static findExisting(candidates) {
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * Busca un ejecutable en los directorios del PATH
+   * @param {Array<string>} names - Nombres de ejecutable en orden de preferencia
+   * @param {string} [envPath] - Valor del PATH
+   * @returns {string|null} - Ruta encontrada o null
+   */
+  static findInPath(names, envPath = process.env.PATH || '') {
+    const dirs = envPath.split(path.delimiter).filter(Boolean);
+    for (const name of names) {
+      const found = this.findExisting(dirs.map(dir => path.join(dir, name)));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Detecta el navegador predeterminado en Windows a partir del registro
+   * @returns {string|null} - Ruta al navegador predeterminado o null
+   */
+  static getDefaultBrowserWindows() {
+    const { execSync } = require('child_process');
+    try {
+      const regQuery = execSync(
+        'reg query "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\Shell\\Associations\\UrlAssociations\\http\\UserChoice" /v ProgId'
+      ).toString();
+
+      const browserId = regQuery.split('REG_SZ')[1].trim();
+      const association = execSync(
+        `reg query "HKEY_CLASSES_ROOT\\${browserId}\\shell\\open\\command" /ve`
+      ).toString();
+
+      const fullPath = association.split('REG_SZ')[1].trim().replace(/"/g, '');
+      return path.normalize(fullPath.split(' ')[0]); // Extraer solo la ruta
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Normaliza y valida la ruta del navegador indicada por el usuario
+   * @param {string} executablePath - Ruta indicada (vacía para usar la detección automática)
+   * @returns {string|null} - Ruta normalizada o null si no se indicó
+   * @throws {Error} - Si la ruta no existe
+   */
+  static validateExecutable(executablePath) {
+    const value = typeof executablePath === 'string' ? executablePath.trim() : '';
+    if (!value) return null;
+    if (!fs.existsSync(value)) {
+      throw new Error(`No se encontró el navegador en la ruta indicada: ${value}`);
+    }
+    return value;
+  }
+
+  /**
+   * Busca el navegador a usar. La ruta configurada por el usuario tiene
+   * prioridad sobre la detección automática.
+   * @param {Object} [options] - Opciones de búsqueda
+   * @param {string} [options.executablePath] - Ruta configurada por el usuario
+   * @param {string} [options.platform] - Sistema operativo (os.platform())
+   * @returns {Promise<Object>} - { path, source } con el origen de la ruta:
+   *   'configurado', 'chrome', 'predeterminado', 'alternativo' o 'PATH'
+   * @throws {Error} - Si no se encuentra ningún navegador compatible
+   */
+  static async find({ executablePath, platform = os.platform() } = {}) {
+    const configured = this.validateExecutable(executablePath);
+    if (configured) {
+      return { path: configured, source: 'configurado' };
+    }
+
+    if (platform === 'darwin') {
+      const found = this.findExisting(this.getMacPaths());
+      if (found) return { path: found, source: 'chrome' };
+      throw new Error('Chrome no encontrado en macOS');
+    }
+
+    if (platform !== 'win32') {
+      const found = this.findExisting(this.getLinuxPaths());
+      if (found) return { path: found, source: 'chrome' };
+
+      const inPath = this.findInPath(LINUX_EXECUTABLES);
+      if (inPath) return { path: inPath, source: 'PATH' };
+
+      throw new Error('Chrome o Chromium no encontrado en Linux. Instale uno de ellos o indique la ruta del navegador en la configuración.');
+    }
+
+    // 1. Primera prioridad: Chrome
+    const chrome = this.findExisting(this.getWindowsChromePaths());
+    if (chrome) return { path: chrome, source: 'chrome' };
+
+    // 2. Segunda prioridad: Navegador predeterminado del sistema
+    const defaultBrowser = this.getDefaultBrowserWindows();
+    if (defaultBrowser) return { path: defaultBrowser, source: 'predeterminado' };
+
+    // 3. Último recurso: Buscar otros navegadores comunes
+    const fallback = this.findExisting(this.getWindowsFallbackPaths());
+    if (fallback) return { path: fallback, source: 'alternativo' };
+
+    throw new Error('No se encontró ningún navegador compatible instalado');
+  }
+}
+
+module.exports = BrowserLocator;
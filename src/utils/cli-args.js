@@ -0,0 +1,153 @@
+// src/utils/cli-args.js
+const path = require('path');
+const { LOOKUP_STRATEGY } = require('../config/constants');
+
+// Opciones que reciben un valor: --opcion valor o --opcion=valor
+const VALUE_OPTIONS = {
+  '--process': 'filePath',
+  '--watch': 'watchDir',
+  '--output': 'outputDir',
+  '--profile': 'profile',
+  '--workers': 'workers',
+  '--strategy': 'strategy'
+};
+
+// Opciones sin valor
+const FLAG_OPTIONS = {
+  '--dry-run': 'dryRun',
+  '--show-browser': 'showBrowser',
+  '--help': 'help'
+};
+
+// Opciones que activan el modo de línea de comandos
+const COMMAND_OPTIONS = ['--process', '--watch', '--help'];
+
+// Opciones de arranque de la interfaz, Electron o Chromium y del instalador
+// que se ignoran también en el modo de línea de comandos
+const LAUNCH_SWITCHES = [
+  '--debug',
+  '--updated',
+  '--no-sandbox',
+  '--inspect',
+  '--inspect-brk',
+  '--remote-debugging-port',
+  '--enable-logging',
+  '--disable-gpu',
+  '--allow-file-access-from-files'
+];
+const LAUNCH_SWITCH_PREFIXES = ['--squirrel-'];
+
+/**
+ * Indica si un argumento es una opción de arranque de la interfaz
+ * @param {string} name - Nombre de la opción, sin valor
+ * @returns {boolean}
+ */
+function isLaunchSwitch(name) {
+  return LAUNCH_SWITCHES.includes(name) || LAUNCH_SWITCH_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Lee los argumentos del modo de línea de comandos, que procesa un archivo
+ * (o vigila una carpeta de entrada) sin abrir ventanas, p. ej. desde el
+ * programador de tareas del sistema
+ */
+class CliArgs {
+  /**
+   * Indica si la aplicación se inició en modo de línea de comandos: solo
+   * --process, --watch o --help lo activan. Cualquier otra opción (p. ej. las
+   * que agregan el sistema o los accesos directos para Chromium) abre la interfaz.
+   * @param {Array<string>} argv - Argumentos del proceso
+   * @returns {boolean} - true si hay alguna opción de línea de comandos
+   */
+  static isBatch(argv = process.argv) {
+    return argv.some(arg => COMMAND_OPTIONS.includes(arg.split('=')[0]));
+  }
+
+  /**
+   * Convierte los argumentos en opciones de ejecución. Se ignoran las
+   * opciones de arranque de la interfaz y los argumentos que no son opciones.
+   * @param {Array<string>} argv - Argumentos del proceso
+   * @returns {Object} - { filePath, watchDir, outputDir, profile, workers, strategy, dryRun, showBrowser, help }
+   * @throws {Error} - Si hay una opción desconocida, falta el archivo o la carpeta, o algún valor no es válido
+   */
+  static parse(argv = process.argv) {
+    const options = { filePath: null, watchDir: null, outputDir: null, profile: null, workers: null, strategy: null, dryRun: false, showBrowser: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+      const [name, inlineValue] = argv[i].split(/=(.*)/s, 2);
+      if (FLAG_OPTIONS[name]) {
+        options[FLAG_OPTIONS[name]] = true;
+      } else if (VALUE_OPTIONS[name]) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('--'))) {
+          throw new Error(`Falta el valor de ${name}`);
+        }
+        options[VALUE_OPTIONS[name]] = value;
+      } else if (name.startsWith('--') && !isLaunchSwitch(name)) {
+        throw new Error(`Opción desconocida: ${name}`);
+      }
+    }
+
+    if (options.help) {
+      return options;
+    }
+    if (options.filePath && options.watchDir) {
+      throw new Error('Use --process o --watch, no ambos');
+    }
+    if (!options.filePath && !options.watchDir) {
+      throw new Error('Indique el archivo a procesar con --process <archivo> o la carpeta con --watch <carpeta>');
+    }
+    if (options.watchDir && options.outputDir) {
+      throw new Error('--output no se usa con --watch: los resultados se guardan en el libro movido a processed/');
+    }
+
+    for (const key of ['filePath', 'watchDir', 'outputDir']) {
+      if (options[key]) {
+        options[key] = path.resolve(options[key]);
+      }
+    }
+    if (options.workers !== null) {
+      const workers = parseInt(options.workers, 10);
+      if (!Number.isInteger(workers) || workers < 1) {
+        throw new Error('--workers debe ser un número mayor o igual a 1');
+      }
+      options.workers = workers;
+    }
+    if (options.strategy && !Object.values(LOOKUP_STRATEGY).includes(options.strategy)) {
+      throw new Error(`--strategy debe ser uno de: ${Object.values(LOOKUP_STRATEGY).join(', ')}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Texto de ayuda del modo de línea de comandos
+   * @returns {string} - Uso y opciones
+   */
+  static usage() {
+    return [
+      'Uso: "IKE Expedientes Automation" --process <archivo> [opciones]',
+      '     "IKE Expedientes Automation" --watch <carpeta> [opciones]',
+      '',
+      'Procesa un archivo de expedientes sin abrir ventanas, con la licencia y las cuentas guardadas.',
+      'Con --watch vigila una carpeta y procesa cada libro .xlsx que se deje en ella hasta',
+      'que se interrumpa (Ctrl+C); cada libro se mueve a processed/ o failed/ con su reporte.',
+      '',
+      'Opciones:',
+      '  --process <archivo>   Archivo de expedientes (.xlsx, .xls o .csv)',
+      '  --watch <carpeta>     Carpeta de entrada a vigilar',
+      '  --output <carpeta>    Guarda una copia de resultados en la carpeta en lugar de modificar el original',
+      '  --dry-run             Simulación: revisa costos sin aceptar expedientes',
+      '  --profile <cuenta>    Cuenta del portal; por defecto la cuenta activa',
+      '  --workers <n>         Pestañas en paralelo; por defecto el valor guardado',
+      `  --strategy <${Object.values(LOOKUP_STRATEGY).join('|')}>      Método de consulta; por defecto el guardado`,
+      '  --show-browser        Muestra el navegador en lugar de ejecutarlo sin ventana',
+      '  --help                Muestra esta ayuda',
+      '',
+      'Códigos de salida: 0 correcto, 1 expedientes con error, 2 argumentos inválidos,',
+      '3 sin licencia, 4 sin credenciales, 5 error en la ejecución, 6 interrumpida.'
+    ].join('\n');
+  }
+}
+
+module.exports = CliArgs;
@@ -0,0 +1,235 @@
+// src/utils/column-mapping.js
+const { DEFAULT_COLUMN_MAPPING } = require('../config/constants');
+
+// Filas revisadas al buscar el encabezado automáticamente
+const MAX_HEADER_SCAN = 20;
+
+// Columnas de entrada que pueden omitirse
+const OPTIONAL_INPUT_FIELDS = ['servicio', 'subservicio'];
+
+/**
+ * Utilidades para resolver el perfil de columnas de un archivo de expedientes
+ */
+class ColumnMapping {
+  /**
+   * Indica si una columna está expresada como letra ('A', 'AB')
+   * @param {string} spec - Letra o nombre de encabezado
+   * @returns {boolean} - true si es una letra de columna
+   */
+  static isColumnLetter(spec) {
+    return /^[A-Za-z]{1,2}$/.test(String(spec).trim());
+  }
+
+  /**
+   * Convierte una letra de columna a su número ('A' = 1, 'AA' = 27)
+   * @param {string} letter - Letra de columna
+   * @returns {number} - Número de columna
+   */
+  static letterToNumber(letter) {
+    return String(letter).trim().toUpperCase().split('')
+      .reduce((total, char) => total * 26 + (char.charCodeAt(0) - 64), 0);
+  }
+
+  /**
+   * Normaliza un texto para comparar encabezados sin importar mayúsculas,
+   * acentos ni espacios repetidos
+   * @param {string} text - Texto a normalizar
+   * @returns {string} - Texto normalizado
+   */
+  static normalizeHeader(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Obtiene el texto de una celda de ExcelJS, incluyendo texto enriquecido y fórmulas
+   * @param {any} value - Valor de la celda
+   * @returns {string} - Texto de la celda
+   */
+  static getCellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value).trim();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return this.getCellText(value.text);
+    if (value.result !== undefined) return this.getCellText(value.result);
+    return '';
+  }
+
+  /**
+   * Verifica que ninguna columna de salida sea una de entrada u otra de salida,
+   * para no escribir resultados sobre los datos del cliente
+   * @param {Object} input - Campo de entrada → columna
+   * @param {Object} output - Campo de salida → columna
+   * @param {Function} keyOf - Obtiene la clave con la que se comparan dos columnas
+   * @throws {Error} - Si dos columnas coinciden
+   */
+  static assertNoOverlap(input, output, keyOf) {
+    const used = new Map();
+    for (const [field, column] of Object.entries(input)) {
+      used.set(keyOf(column), `la de entrada "${field}"`);
+    }
+
+    for (const [field, column] of Object.entries(output)) {
+      const key = keyOf(column);
+      if (used.has(key)) {
+        throw new Error(`La columna de salida "${field}" (${column}) es la misma que ${used.get(key)}`);
+      }
+      used.set(key, `la de salida "${field}"`);
+    }
+  }
+
+  /**
+   * Valida y completa un perfil de columnas con los valores por defecto
+   * @param {Object} profile - Perfil a validar
+   * @returns {Object} - Perfil completo
+   * @throws {Error} - Si el perfil no es válido o dos columnas coinciden
+   */
+  static validate(profile = {}) {
+    const result = {
+      headerRow: profile.headerRow !== undefined ? profile.headerRow : DEFAULT_COLUMN_MAPPING.headerRow,
+      input: { ...DEFAULT_COLUMN_MAPPING.input, ...profile.input },
+      output: { ...DEFAULT_COLUMN_MAPPING.output, ...profile.output }
+    };
+
+    if (result.headerRow !== 'auto') {
+      const headerRow = Number(result.headerRow);
+      if (!Number.isInteger(headerRow) || headerRow < 0) {
+        throw new Error('La fila de encabezado debe ser "auto" o un número mayor o igual a 0');
+      }
+      result.headerRow = headerRow;
+    }
+
+    for (const section of ['input', 'output']) {
+      for (const [field, spec] of Object.entries(result[section])) {
+        if (section === 'input' && OPTIONAL_INPUT_FIELDS.includes(field) && !String(spec || '').trim()) {
+          delete result.input[field];
+          continue;
+        }
+        if (!spec || !String(spec).trim()) {
+          throw new Error(`Falta la columna para "${field}"`);
+        }
+        result[section][field] = String(spec).trim();
+      }
+    }
+
+    // Una letra y un nombre de encabezado solo se pueden comparar al resolver el archivo
+    this.assertNoOverlap(result.input, result.output, spec => (
+      this.isColumnLetter(spec) ? `#${this.letterToNumber(spec)}` : this.normalizeHeader(spec)
+    ));
+
+    return result;
+  }
+
+  /**
+   * Detecta la fila de encabezado del archivo
+   * @param {Object} worksheet - Worksheet de ExcelJS
+   * @param {Object} profile - Perfil de columnas validado
+   * @returns {number} - Número de la fila de encabezado (0 si no hay)
+   */
+  static detectHeaderRow(worksheet, profile) {
+    if (profile.headerRow !== 'auto') {
+      return profile.headerRow;
+    }
+
+    const limit = Math.min(worksheet.rowCount || MAX_HEADER_SCAN, MAX_HEADER_SCAN);
+    const expedienteSpec = profile.input.expediente;
+
+    // Con nombre de encabezado: la primera fila que lo contenga
+    if (!this.isColumnLetter(expedienteSpec)) {
+      const target = this.normalizeHeader(expedienteSpec);
+      for (let rowNumber = 1; rowNumber <= limit; rowNumber++) {
+        if (this.readHeaders(worksheet, rowNumber).has(target)) {
+          return rowNumber;
+        }
+      }
+      return 1;
+    }
+
+    // Con letra: la fila anterior al primer expediente numérico
+    const column = this.letterToNumber(expedienteSpec);
+    for (let rowNumber = 1; rowNumber <= limit; rowNumber++) {
+      const text = this.getCellText(worksheet.getRow(rowNumber).getCell(column).value);
+      if (/^\d+$/.test(text)) {
+        return rowNumber - 1;
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * Lee los encabezados de una fila
+   * @param {Object} worksheet - Worksheet de ExcelJS
+   * @param {number} rowNumber - Número de fila
+   * @returns {Map<string, number>} - Encabezado normalizado → número de columna
+   */
+  static readHeaders(worksheet, rowNumber) {
+    const headers = new Map();
+    if (rowNumber < 1) return headers;
+
+    worksheet.getRow(rowNumber).eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      const text = this.normalizeHeader(this.getCellText(cell.value));
+      if (text && !headers.has(text)) {
+        headers.set(text, colNumber);
+      }
+    });
+    return headers;
+  }
+
+  /**
+   * Resuelve el perfil contra un worksheet y devuelve los números de columna.
+   * Las columnas de salida indicadas por nombre que no existan se agregan
+   * al final con su encabezado.
+   * @param {Object} worksheet - Worksheet de ExcelJS
+   * @param {Object} [profile] - Perfil de columnas
+   * @returns {Object} - { headerRow, input: {campo: columna}, output: {campo: columna} }
+   * @throws {Error} - Si una columna de entrada no existe o dos columnas coinciden
+   */
+  static resolve(worksheet, profile = DEFAULT_COLUMN_MAPPING) {
+    const validated = this.validate(profile);
+    const headerRow = this.detectHeaderRow(worksheet, validated);
+    const headers = this.readHeaders(worksheet, headerRow);
+
+    // Las columnas nuevas van después de todas las existentes y de las indicadas por letra
+    const letterColumns = [...Object.values(validated.input), ...Object.values(validated.output)]
+      .filter(spec => this.isColumnLetter(spec))
+      .map(spec => this.letterToNumber(spec));
+    let nextColumn = Math.max(worksheet.columnCount || 0, ...headers.values(), ...letterColumns, 0) + 1;
+
+    const findColumn = (spec) => {
+      if (this.isColumnLetter(spec)) return this.letterToNumber(spec);
+      return headers.get(this.normalizeHeader(spec)) || null;
+    };
+
+    const input = {};
+    for (const [field, spec] of Object.entries(validated.input)) {
+      const column = findColumn(spec);
+      if (!column) {
+        throw new Error(`No se encontró la columna "${spec}" en el encabezado (fila ${headerRow}).`);
+      }
+      input[field] = column;
+    }
+
+    const output = {};
+    for (const [field, spec] of Object.entries(validated.output)) {
+      let column = findColumn(spec);
+      if (!column) {
+        column = nextColumn++;
+        if (headerRow > 0) {
+          worksheet.getRow(headerRow).getCell(column).value = spec;
+        }
+      }
+      output[field] = column;
+    }
+
+    this.assertNoOverlap(input, output, column => column);
+
+    return { headerRow, input, output };
+  }
+}
+
+module.exports = ColumnMapping;
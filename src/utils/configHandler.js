@@ -1,6 +1,7 @@
 const Store = require('electron-store');
 const { BrowserWindow } = require('electron');
 const path = require('path');
+const configService = require('../services/config-service');
 
 class ConfigHandler {
   constructor() {
@@ -14,21 +15,24 @@ class ConfigHandler {
     this.configWindow = null;
   }
 
-  // Obtener credenciales almacenadas
+  // Obtener credenciales almacenadas (descifradas por ConfigService)
   getCredentials() {
-    return this.store.get('credentials');
+    return configService.getCredentials();
   }
 
-  // Guardar credenciales (se requiere usuario y contraseña)
+  // Guardar credenciales cifradas (se requiere usuario y contraseña)
   saveCredentials(username, password) {
-    if (!username || !password) {
-      throw new Error('Usuario y contraseña son requeridos');
-    }
-    this.store.set('credentials', { username, password });
-    this.store.set('isConfigured', true);
-    // Opcional: asignar a variables de entorno
-    process.env.IKE_USERNAME = username;
-    process.env.IKE_PASSWORD = password;
+    return configService.saveCredentials(username, password);
+  }
+
+  // Obtener una configuración específica
+  get(key, defaultValue = null) {
+    return this.store.get(key, defaultValue);
+  }
+
+  // Guardar una configuración específica
+  set(key, value) {
+    this.store.set(key, value);
     return true;
   }
 
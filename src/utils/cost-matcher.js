@@ -0,0 +1,149 @@
+// src/utils/cost-matcher.js
+const { COST_MATCH_ACTION, COST_MATCH_RULE, DEFAULT_COST_MATCHING } = require('../config/constants');
+
+const currencyFormatter = new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' });
+
+/**
+ * Comparación de costos entre el archivo y el portal con tolerancias configurables
+ */
+class CostMatcher {
+  /**
+   * Convierte un importe en pesos a número.
+   * Acepta números, "$1,234,567.00", "1234.5", "MXN 1,250", "(1,000.00)" y
+   * también coma decimal ("1234,50" o "1.234,50").
+   * @param {any} value - Importe a convertir
+   * @returns {number|null} - Importe o null si no es válido
+   */
+  static parseAmount(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/mxn|m\.?n\.?|pesos|[$\s()-]/gi, '');
+    if (!/^[\d.,]+$/.test(text)) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > -1 && lastDot > -1) {
+      // El último separador es el decimal
+      const decimal = lastComma > lastDot ? ',' : '.';
+      const thousands = decimal === ',' ? '.' : ',';
+      text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma > -1) {
+      // Solo comas: separadores de miles si forman grupos de tres dígitos
+      text = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    } else if ((text.match(/\./g) || []).length > 1) {
+      text = text.replace(/\./g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (!Number.isFinite(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Redondea un importe a centavos
+   * @param {number} amount - Importe
+   * @returns {number} - Importe redondeado
+   */
+  static toCents(amount) {
+    return Math.round(amount * 100);
+  }
+
+  /**
+   * Da formato de moneda a un importe
+   * @param {number} amount - Importe
+   * @returns {string} - Importe con formato es-MX
+   */
+  static format(amount) {
+    return currencyFormatter.format(amount);
+  }
+
+  /**
+   * Valida y completa las reglas de tolerancia
+   * @param {Object} rules - Reglas a validar
+   * @returns {Object} - Reglas completas
+   * @throws {Error} - Si alguna regla no es válida
+   */
+  static validate(rules = {}) {
+    const result = { ...DEFAULT_COST_MATCHING, ...rules };
+
+    for (const field of ['absoluteTolerance', 'percentTolerance']) {
+      const value = Number(result[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`La tolerancia "${field}" debe ser un número mayor o igual a 0`);
+      }
+      result[field] = value;
+    }
+    if (result.percentTolerance > 100) {
+      throw new Error('La tolerancia porcentual no puede ser mayor a 100');
+    }
+    if (!Object.values(COST_MATCH_ACTION).includes(result.withinToleranceAction)) {
+      throw new Error(`Acción no válida para costos dentro de tolerancia: ${result.withinToleranceAction}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Compara el costo del portal contra el guardado en el archivo
+   * @param {any} costoSistema - Costo mostrado por el portal
+   * @param {any} costoGuardado - Costo guardado en el archivo
+   * @param {Object} [rules] - Reglas de tolerancia
+   * @returns {Object} - { rule, accept, review, difference, tolerance, description }
+   */
+  static compare(costoSistema, costoGuardado, rules = DEFAULT_COST_MATCHING) {
+    const { absoluteTolerance, percentTolerance, withinToleranceAction } = this.validate(rules);
+    const sistema = this.parseAmount(costoSistema);
+    const guardado = this.parseAmount(costoGuardado);
+
+    if (sistema === null || guardado === null) {
+      return {
+        rule: COST_MATCH_RULE.INVALID,
+        accept: false,
+        review: false,
+        difference: null,
+        tolerance: null,
+        description: `Costo no válido (${sistema === null ? 'portal' : 'archivo'})`
+      };
+    }
+
+    const differenceCents = Math.abs(this.toCents(sistema) - this.toCents(guardado));
+    const toleranceCents = Math.max(
+      this.toCents(absoluteTolerance),
+      Math.round(Math.abs(guardado) * percentTolerance)
+    );
+    const difference = differenceCents / 100;
+    const tolerance = toleranceCents / 100;
+
+    if (differenceCents === 0) {
+      return { rule: COST_MATCH_RULE.EXACT, accept: true, review: false, difference, tolerance, description: 'Costo exacto' };
+    }
+
+    if (differenceCents <= toleranceCents) {
+      const accept = withinToleranceAction === COST_MATCH_ACTION.ACCEPT;
+      return {
+        rule: COST_MATCH_RULE.WITHIN_TOLERANCE,
+        accept,
+        review: !accept,
+        difference,
+        tolerance,
+        description: `Dentro de tolerancia (dif. ${this.format(difference)}, máx. ${this.format(tolerance)}): ${accept ? 'aceptado' : 'revisar'}`
+      };
+    }
+
+    return {
+      rule: COST_MATCH_RULE.OUT_OF_TOLERANCE,
+      accept: false,
+      review: false,
+      difference,
+      tolerance,
+      description: `Fuera de tolerancia (dif. ${this.format(difference)}, máx. ${this.format(tolerance)})`
+    };
+  }
+}
+
+module.exports = CostMatcher;
@@ -0,0 +1,134 @@
+// src/utils/credential-vault.js
+const { safeStorage } = require('electron');
+
+// Texto que sustituye a los secretos en los logs
+const REDACTED = '********';
+
+// Secretos conocidos en esta sesión (contraseñas abiertas o guardadas)
+const knownSecrets = new Set();
+
+/**
+ * Cifra y descifra las credenciales del portal con el almacén seguro del
+ * sistema operativo (safeStorage: DPAPI en Windows, Keychain en macOS y
+ * libsecret/kwallet en Linux). En la configuración solo se guarda el blob
+ * cifrado en base64.
+ */
+class CredentialVault {
+  /**
+   * Indica si el cifrado del sistema operativo está disponible.
+   * Solo es fiable después del evento ready de la aplicación.
+   * @returns {boolean} - true si se puede cifrar
+   */
+  static isAvailable() {
+    try {
+      return !!safeStorage && safeStorage.isEncryptionAvailable();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Indica si un valor guardado es un blob cifrado
+   * @param {Object} stored - Valor de la clave credentials
+   * @returns {boolean} - true si está cifrado
+   */
+  static isEncrypted(stored) {
+    return !!stored && typeof stored.encrypted === 'string';
+  }
+
+  /**
+   * Indica si un valor guardado son credenciales en texto plano (versiones anteriores)
+   * @param {Object} stored - Valor de la clave credentials
+   * @returns {boolean} - true si la contraseña está en texto plano
+   */
+  static isPlaintext(stored) {
+    return !!stored && typeof stored.password === 'string';
+  }
+
+  /**
+   * Cifra unas credenciales para guardarlas
+   * @param {Object} credentials - { username, password }
+   * @returns {Object} - { encrypted, updatedAt }
+   * @throws {Error} - Si el cifrado del sistema no está disponible
+   */
+  static seal({ username, password }) {
+    if (!this.isAvailable()) {
+      throw new Error('El cifrado del sistema operativo no está disponible; no se pueden guardar las credenciales de forma segura');
+    }
+
+    this.addSecret(password);
+    const encrypted = safeStorage.encryptString(JSON.stringify({ username, password }));
+    return { encrypted: encrypted.toString('base64'), updatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Descifra unas credenciales guardadas. Las credenciales en texto plano
+   * de versiones anteriores se devuelven tal cual hasta que se migren.
+   * @param {Object} stored - Valor de la clave credentials
+   * @returns {Object|null} - { username, password } o null si no hay credenciales
+   * @throws {Error} - Si el blob no se puede descifrar en este equipo
+   */
+  static open(stored) {
+    let credentials = null;
+    if (this.isPlaintext(stored)) {
+      credentials = { username: stored.username, password: stored.password };
+    } else if (this.isEncrypted(stored)) {
+      credentials = JSON.parse(safeStorage.decryptString(Buffer.from(stored.encrypted, 'base64')));
+    }
+
+    if (credentials) {
+      this.addSecret(credentials.password);
+    }
+    return credentials;
+  }
+
+  /**
+   * Copia un objeto de configuración sin credenciales, para respaldos
+   * @param {Object} data - Configuración
+   * @returns {Object} - Copia sin las claves credentials ni password
+   */
+  static scrub(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.scrub(item));
+    }
+    if (!data || typeof data !== 'object') {
+      return data;
+    }
+
+    const scrubbed = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (key === 'credentials' || key === 'password') continue;
+      scrubbed[key] = this.scrub(value);
+    }
+    return scrubbed;
+  }
+
+  /**
+   * Registra un secreto para ocultarlo en los logs
+   * @param {string} secret - Valor a ocultar
+   */
+  static addSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= 3) {
+      knownSecrets.add(secret);
+    }
+  }
+
+  /**
+   * Oculta los secretos conocidos en un texto
+   * @param {any} value - Valor a registrar en el log
+   * @returns {any} - El mismo valor, con los secretos ocultos si es texto
+   */
+  static redact(value) {
+    if (typeof value !== 'string' || knownSecrets.size === 0) {
+      return value;
+    }
+
+    let redacted = value;
+    for (const secret of knownSecrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  }
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,142 @@
+// src/utils/csv-utils.js
+const { INPUT_FILE_CONFIG } = require('../config/constants');
+
+// Líneas revisadas para detectar el separador
+const DELIMITER_SAMPLE_LINES = 10;
+
+/**
+ * Utilidades para leer archivos CSV exportados por distintos sistemas
+ */
+class CsvUtils {
+  /**
+   * Decodifica el contenido de un CSV detectando su codificación.
+   * Reconoce UTF-8 (con o sin BOM) y UTF-16; si el contenido no es UTF-8
+   * válido se interpreta como Windows-1252 (Latin-1), que es lo que
+   * generan las exportaciones de Excel en español.
+   * @param {Buffer} buffer - Contenido del archivo
+   * @returns {{ text: string, encoding: string }} - Texto y codificación detectada
+   */
+  static decode(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+      try {
+        return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+      } catch (decodeError) {
+        return { text: buffer.toString('latin1'), encoding: 'latin1' };
+      }
+    }
+  }
+
+  /**
+   * Cuenta las apariciones de un carácter fuera de comillas
+   * @param {string} line - Línea del CSV
+   * @param {string} char - Carácter a contar
+   * @returns {number} - Número de apariciones
+   */
+  static countOutsideQuotes(line, char) {
+    let count = 0;
+    let quoted = false;
+    for (const current of line) {
+      if (current === '"') {
+        quoted = !quoted;
+      } else if (current === char && !quoted) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Detecta el separador de columnas. Se elige el que aparece el mismo
+   * número de veces en más líneas de la muestra.
+   * @param {string} text - Contenido del CSV
+   * @returns {string} - Separador detectado (',' por defecto)
+   */
+  static detectDelimiter(text) {
+    const lines = text.split(/\r\n|\n|\r/)
+      .filter(line => line.trim())
+      .slice(0, DELIMITER_SAMPLE_LINES);
+
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of INPUT_FILE_CONFIG.CSV_DELIMITERS) {
+      const counts = lines.map(line => this.countOutsideQuotes(line, delimiter));
+      const reference = Math.max(...counts, 0);
+      if (reference === 0) continue;
+
+      // Líneas con el mismo número de columnas que la más completa
+      const consistent = counts.filter(count => count === reference).length;
+      const score = consistent * lines.length + reference;
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
+    return best.delimiter;
+  }
+
+  /**
+   * Convierte el texto de un CSV en filas de valores.
+   * Respeta campos entre comillas con separadores, comillas dobles y saltos de línea.
+   * @param {string} text - Contenido del CSV
+   * @param {string} [delimiter] - Separador; se detecta si no se indica
+   * @returns {Array<Array<string>>} - Filas con sus valores
+   */
+  static parse(text, delimiter = this.detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => {
+      row.push(field);
+      field = '';
+    };
+    const endRow = () => {
+      endField();
+      rows.push(row);
+      row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+
+    // Última fila sin salto de línea final
+    if (field || row.length > 0) {
+      endRow();
+    }
+    return rows;
+  }
+}
+
+module.exports = CsvUtils;
@@ -0,0 +1,99 @@
+// src/utils/failure-capture.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').scope('FailureCapture');
+const FileUtils = require('./file-utils');
+const { FAILURE_CAPTURE_CONFIG } = require('../config/constants');
+
+/**
+ * Evidencia de los expedientes que fallan: captura de pantalla y HTML de la
+ * tabla de resultados, guardados en una carpeta por ejecución dentro de userData/logs
+ */
+class FailureCapture {
+  /**
+   * Crea la carpeta de evidencias de una ejecución
+   * @param {Date} [date] - Fecha de inicio de la ejecución
+   * @returns {string|null} - Ruta de la carpeta o null si no se pudo crear
+   */
+  static createRunDir(date = new Date()) {
+    const runDir = FileUtils.getUserDataPath(
+      path.join(FAILURE_CAPTURE_CONFIG.LOGS_DIR, `${FAILURE_CAPTURE_CONFIG.RUN_PREFIX}${FileUtils.getTimestamp(date)}`)
+    );
+    return FileUtils.ensureDirectoryExists(runDir) ? runDir : null;
+  }
+
+  /**
+   * Indica si una ruta está dentro de la carpeta de evidencias
+   * @param {string} filePath - Ruta a revisar
+   * @returns {boolean} - true si pertenece a userData/logs
+   */
+  static isArtifactPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath) return false;
+    const logsDir = FileUtils.getUserDataPath(FAILURE_CAPTURE_CONFIG.LOGS_DIR);
+    const relative = path.relative(logsDir, path.resolve(filePath));
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Nombre base de los archivos de evidencia de un expediente
+   * @param {string} expediente - Número de expediente
+   * @param {string} stage - Etapa que falló (busqueda, aceptacion)
+   * @returns {string} - Nombre sin extensión
+   */
+  static getBaseName(expediente, stage) {
+    const safeExpediente = String(expediente || 'sin-expediente').replace(/[^\w-]/g, '_');
+    return `${safeExpediente}_${stage}_${FileUtils.getTimestamp()}`;
+  }
+
+  /**
+   * Guarda la captura de pantalla de la pestaña y el HTML de la tabla de
+   * resultados (o de la página completa si no hay tabla).
+   * Nunca lanza errores: la evidencia no debe detener el proceso.
+   * @param {Object} page - Página de puppeteer
+   * @param {Object} info - { runDir, expediente, stage, error, tableSelector }
+   * @returns {Promise<Object|null>} - { screenshot, html } o null si no se guardó nada
+   */
+  static async capture(page, { runDir, expediente, stage, error, tableSelector }) {
+    if (!runDir || !page) return null;
+
+    const baseName = this.getBaseName(expediente, stage);
+    const artifacts = { screenshot: null, html: null };
+
+    try {
+      const screenshot = path.join(runDir, `${baseName}.png`);
+      await page.screenshot({ path: screenshot, fullPage: true });
+      artifacts.screenshot = screenshot;
+    } catch (captureError) {
+      logger.warn(`No se pudo guardar la captura de ${expediente}: ${captureError.message}`);
+    }
+
+    try {
+      let content = null;
+      if (tableSelector) {
+        content = await page.$eval(tableSelector, el => el.outerHTML).catch(() => null);
+      }
+      if (!content) {
+        content = await page.content();
+      }
+
+      const html = path.join(runDir, `${baseName}.html`);
+      const header = [
+        `<!-- Expediente: ${expediente} -->`,
+        `<!-- Etapa: ${stage} -->`,
+        `<!-- URL: ${page.url()} -->`,
+        `<!-- Error: ${String(error || '').replace(/--/g, '- -')} -->`,
+        `<!-- Fecha: ${new Date().toISOString()} -->`
+      ].join('\n');
+      fs.writeFileSync(html, `${header}\n${content}`, 'utf8');
+      artifacts.html = html;
+    } catch (snapshotError) {
+      logger.warn(`No se pudo guardar el HTML de ${expediente}: ${snapshotError.message}`);
+    }
+
+    if (!artifacts.screenshot && !artifacts.html) return null;
+    logger.info(`Evidencia del expediente ${expediente} guardada en ${artifacts.screenshot || artifacts.html}`);
+    return artifacts;
+  }
+}
+
+module.exports = FailureCapture;
@@ -1,8 +1,11 @@
 // src/utils/file-utils.js
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const dayjs = require('dayjs');
 const { app } = require('electron');
 const logger = require('./logger').scope('FileUtils');
+const { BACKUP_CONFIG } = require('../config/constants');
 
 /**
  * Utilidades para manejo de archivos
@@ -55,25 +58,207 @@ class FileUtils {
   }
   
   /**
-   * Escribe un objeto en un archivo JSON
+   * Escribe un objeto en un archivo JSON de forma atómica (temporal y renombrado)
    * @param {string} filePath - Ruta donde escribir el archivo
    * @param {Object} data - Datos a escribir
    * @returns {boolean} - true si se escribió correctamente, false si no
    */
   static writeJsonFile(filePath, data) {
     try {
-      const dirPath = path.dirname(filePath);
-      if (!this.fileExists(dirPath)) {
-        fs.mkdirSync(dirPath, { recursive: true });
-      }
-      
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+      this.writeTextFileAtomic(filePath, JSON.stringify(data, null, 2));
       return true;
     } catch (error) {
       logger.error(`Error al escribir archivo JSON ${filePath}:`, error);
       return false;
     }
   }
+
+  /**
+   * Agrega un objeto como una línea al final de un archivo JSONL, sin
+   * reescribir las líneas anteriores
+   * @param {string} filePath - Ruta del archivo
+   * @param {Object} data - Datos a agregar
+   * @returns {boolean} - true si se escribió correctamente, false si no
+   */
+  static appendJsonLine(filePath, data) {
+    try {
+      this.ensureDirectoryExists(path.dirname(filePath));
+      fs.appendFileSync(filePath, `${JSON.stringify(data)}\n`, 'utf8');
+      return true;
+    } catch (error) {
+      logger.error(`Error al agregar una línea a ${filePath}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Reemplaza de forma atómica el contenido de un archivo JSONL
+   * @param {string} filePath - Ruta del archivo
+   * @param {Array<Object>} items - Un objeto por línea
+   * @returns {boolean} - true si se escribió correctamente, false si no
+   */
+  static writeJsonLines(filePath, items) {
+    try {
+      this.writeTextFileAtomic(filePath, items.map(item => `${JSON.stringify(item)}\n`).join(''));
+      return true;
+    } catch (error) {
+      logger.error(`Error al escribir archivo JSONL ${filePath}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Lee un archivo JSONL. Las líneas ilegibles se omiten, por ejemplo la
+   * última si la aplicación se cerró mientras se escribía.
+   * @param {string} filePath - Ruta del archivo
+   * @returns {Array<Object>} - Objetos leídos; vacío si el archivo no existe
+   */
+  static readJsonLines(filePath) {
+    try {
+      if (!this.fileExists(filePath)) {
+        return [];
+      }
+
+      const items = [];
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          items.push(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Se omitió una línea ilegible de ${filePath}`);
+        }
+      }
+      return items;
+    } catch (error) {
+      logger.error(`Error al leer archivo JSONL ${filePath}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Escribe un texto en un temporal junto al destino y lo renombra
+   * @param {string} filePath - Ruta final del archivo
+   * @param {string} content - Contenido
+   * @throws {Error} - Si no se pudo escribir o reemplazar el archivo
+   */
+  static writeTextFileAtomic(filePath, content) {
+    const { dir, base } = path.parse(filePath);
+    const tempPath = path.join(dir, `~${base}.${process.pid}.tmp`);
+
+    try {
+      if (!this.fileExists(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(tempPath, content, 'utf8');
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      this.removeFile(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Escribe un archivo de forma atómica: primero en un temporal junto al
+   * destino y después lo renombra, para que el destino nunca quede a medias
+   * @param {string} filePath - Ruta final del archivo
+   * @param {Function} writer - Recibe la ruta temporal y escribe en ella (puede ser async)
+   * @returns {Promise<void>}
+   * @throws {Error} - Si no se pudo escribir o reemplazar el archivo
+   */
+  static async writeFileAtomic(filePath, writer) {
+    const { dir, base } = path.parse(filePath);
+    const tempPath = path.join(dir, `~${base}.${process.pid}.tmp`);
+
+    try {
+      await writer(tempPath);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      this.removeFile(tempPath);
+      if (['EBUSY', 'EPERM', 'EACCES'].includes(error.code)) {
+        throw new Error(`No se pudo guardar ${base}. Verifique que no esté abierto en otro programa.`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copia un archivo a la carpeta de respaldos en userData con la fecha y hora en el nombre.
+   * Solo se conservan los respaldos más recientes de cada nombre de archivo.
+   * @param {string} filePath - Ruta del archivo a respaldar
+   * @param {string} [backupDir] - Carpeta dentro de userData
+   * @returns {string|null} - Ruta del respaldo o null si falló
+   */
+  static backupFile(filePath, backupDir = BACKUP_CONFIG.DIR) {
+    try {
+      const { name, ext } = path.parse(filePath);
+      const backupPath = this.getUserDataPath(path.join(backupDir, `${name}_${this.getTimestamp()}${ext}`));
+      this.ensureDirectoryExists(path.dirname(backupPath));
+      fs.copyFileSync(filePath, backupPath);
+      logger.info(`Copia de seguridad creada en: ${backupPath}`);
+      this.pruneBackups(path.dirname(backupPath), `${name}${ext}`);
+      return backupPath;
+    } catch (error) {
+      logger.error(`Error al crear copia de seguridad de ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Elimina los respaldos más antiguos de un archivo y conserva los últimos
+   * @param {string} backupDir - Carpeta de respaldos
+   * @param {string} fileName - Nombre del archivo respaldado (p. ej. expedientes.xlsx)
+   * @param {number} [keep] - Respaldos que se conservan
+   * @returns {number} - Respaldos eliminados
+   */
+  static pruneBackups(backupDir, fileName, keep = BACKUP_CONFIG.MAX_PER_FILE) {
+    try {
+      const { name, ext } = path.parse(fileName);
+      const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`^${escape(name)}_\\d{8}-\\d{6}${escape(ext)}$`);
+
+      // La fecha y hora del nombre ordena los respaldos del más reciente al más antiguo
+      const old = fs.readdirSync(backupDir)
+        .filter(entry => pattern.test(entry))
+        .sort()
+        .reverse()
+        .slice(keep);
+
+      for (const entry of old) {
+        this.removeFile(path.join(backupDir, entry));
+      }
+      if (old.length > 0) {
+        logger.info(`Se eliminaron ${old.length} respaldos antiguos de ${fileName}`);
+      }
+      return old.length;
+    } catch (error) {
+      logger.warn(`No se pudieron eliminar los respaldos antiguos de ${fileName}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Obtiene una marca de tiempo apta para nombres de archivo (20240131-153045)
+   * @param {Date} [date] - Fecha a formatear
+   * @returns {string} - Marca de tiempo
+   */
+  static getTimestamp(date = new Date()) {
+    return dayjs(date).format('YYYYMMDD-HHmmss');
+  }
+
+  /**
+   * Calcula el hash SHA-256 del contenido de un archivo
+   * @param {string} filePath - Ruta del archivo
+   * @returns {string|null} - Hash hexadecimal o null si no se pudo leer
+   */
+  static getFileHash(filePath) {
+    try {
+      const content = fs.readFileSync(filePath);
+      return crypto.createHash('sha256').update(content).digest('hex');
+    } catch (error) {
+      logger.error(`Error al calcular hash de ${filePath}:`, error);
+      return null;
+    }
+  }
   
   /**
    * Obtiene la ruta completa a un archivo dentro del directorio de datos del usuario
@@ -2,6 +2,7 @@ const { app } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const electronLog = require('electron-log');
+const CredentialVault = require('./credential-vault');
 
 /**
  * Sistema centralizado de logging para la aplicación
@@ -46,28 +47,37 @@ class Logger {
     
     for (const method of methods) {
       scopedLogger[method] = (...args) => {
-        this.logger[method](`[${scope}]`, ...args);
+        this.logger[method](`[${scope}]`, ...this.redact(args));
       };
     }
     
     return scopedLogger;
   }
   
+  /**
+   * Oculta las credenciales conocidas en los argumentos de un mensaje
+   * @param {Array} args - Argumentos del mensaje
+   * @returns {Array} - Argumentos sin secretos
+   */
+  redact(args) {
+    return args.map(arg => CredentialVault.redact(arg));
+  }
+
   // Métodos principales de logging
   info(...args) {
-    this.logger.info(...args);
+    this.logger.info(...this.redact(args));
   }
   
   warn(...args) {
-    this.logger.warn(...args);
+    this.logger.warn(...this.redact(args));
   }
   
   error(...args) {
-    this.logger.error(...args);
+    this.logger.error(...this.redact(args));
   }
   
   debug(...args) {
-    this.logger.debug(...args);
+    this.logger.debug(...this.redact(args));
   }
   
   /**
@@ -77,9 +87,11 @@ class Logger {
    */
   logError(error, context = '') {
     this.logger.error(
-      `[${context}] Error: ${error.message}`,
-      '\nStack:',
-      error.stack || 'No stack trace disponible'
+      ...this.redact([
+        `[${context}] Error: ${error.message}`,
+        '\nStack:',
+        error.stack || 'No stack trace disponible'
+      ])
     );
   }
 }
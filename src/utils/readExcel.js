@@ -1,16 +1,151 @@
 // src/utils/readExcel.js
+const fs = require('fs');
+const path = require('path');
 const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const ColumnMapping = require('./column-mapping');
+const CsvUtils = require('./csv-utils');
+const FileUtils = require('./file-utils');
+const { DEFAULT_COLUMN_MAPPING, INPUT_FILE_CONFIG, OUTPUT_MODE } = require('../config/constants');
 
-async function readExpedientesAndRows(filePath) {
-  console.log(`Iniciando lectura del archivo Excel: ${filePath}`);
+/**
+ * Obtiene el formato del archivo de entrada a partir de su extensión
+ * @param {string} filePath - Ruta del archivo
+ * @returns {string} - 'xlsx', 'xls' o 'csv'
+ * @throws {Error} - Si el formato no es compatible
+ */
+function getInputFormat(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  if (!INPUT_FILE_CONFIG.EXTENSIONS.includes(format)) {
+    throw new Error(`Formato de archivo no compatible: .${format || '?'} (use ${INPUT_FILE_CONFIG.EXTENSIONS.map(ext => `.${ext}`).join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Obtiene la ruta donde se guardan los resultados. Los formatos que no se
+ * pueden reescribir (CSV, .xls) generan un .xlsx nuevo junto al original;
+ * en modo copia el nombre lleva además la fecha y hora de la ejecución.
+ * Con una carpeta de resultados siempre se escribe una copia en esa carpeta.
+ * @param {string} filePath - Ruta del archivo de entrada
+ * @param {string} [outputMode] - Destino de los resultados (OUTPUT_MODE)
+ * @param {string} [outputDir] - Carpeta donde guardar la copia de resultados
+ * @returns {string} - Ruta del archivo de resultados
+ */
+function getOutputPath(filePath, outputMode = OUTPUT_MODE.SOURCE, outputDir = null) {
+  const format = getInputFormat(filePath);
+  const copy = outputMode === OUTPUT_MODE.COPY || !!outputDir;
+  if (!copy && INPUT_FILE_CONFIG.WRITABLE_EXTENSIONS.includes(format)) {
+    return filePath;
+  }
+
+  const { dir, name } = path.parse(filePath);
+  const suffix = copy
+    ? `${INPUT_FILE_CONFIG.RESULT_SUFFIX}_${FileUtils.getTimestamp()}`
+    : INPUT_FILE_CONFIG.RESULT_SUFFIX;
+  return path.join(outputDir || dir, `${name}${suffix}.xlsx`);
+}
 
+/**
+ * Crea un libro de ExcelJS con una hoja a partir de filas de valores,
+ * conservando los números de fila del archivo original
+ * @param {Array<Array<any>>} rows - Filas con sus valores
+ * @returns {Object} - Libro de ExcelJS
+ */
+function buildWorkbook(rows) {
   const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Expedientes');
+
+  rows.forEach((values, r) => {
+    values.forEach((value, c) => {
+      if (value !== null && value !== undefined && value !== '') {
+        worksheet.getRow(r + 1).getCell(c + 1).value = value;
+      }
+    });
+  });
+  return workbook;
+}
+
+/**
+ * Lee un CSV detectando codificación y separador
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Object} - Libro de ExcelJS
+ */
+function readCsvWorkbook(filePath) {
+  const { text, encoding } = CsvUtils.decode(fs.readFileSync(filePath));
+  const delimiter = CsvUtils.detectDelimiter(text);
+  console.log(`CSV detectado con codificación ${encoding} y separador ${JSON.stringify(delimiter)}`);
+  return buildWorkbook(CsvUtils.parse(text, delimiter));
+}
+
+/**
+ * Lee la primera hoja de un archivo .xls (Excel 97-2003)
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Object} - Libro de ExcelJS
+ */
+function readXlsWorkbook(filePath) {
+  const source = XLSX.readFile(filePath, { cellDates: true });
+  const sheet = source.Sheets[source.SheetNames[0]];
+  if (!sheet || !sheet['!ref']) {
+    return buildWorkbook([]);
+  }
+
+  // Leer desde A1 para que las filas coincidan con las del archivo
+  const { e } = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: null,
+    blankrows: true,
+    range: { s: { r: 0, c: 0 }, e }
+  });
+  return buildWorkbook(rows);
+}
+
+/**
+ * Abre el archivo de entrada como libro de ExcelJS sin importar su formato
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object>} - Libro de ExcelJS
+ */
+async function loadWorkbook(filePath) {
+  const format = getInputFormat(filePath);
+
+  if (format === 'csv') return readCsvWorkbook(filePath);
+  if (format === 'xls') return readXlsWorkbook(filePath);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  return workbook;
+}
+
+/**
+ * Lee los expedientes de la primera hoja usando el perfil de columnas indicado.
+ * Devuelve también las columnas resueltas y la ruta donde guardar los resultados.
+ * @param {string} filePath - Ruta del archivo (.xlsx, .xls o .csv)
+ * @param {Object} [columnMapping] - Perfil de columnas
+ * @param {Object} [options] - Opciones de lectura
+ * @param {string} [options.outputMode] - Destino de los resultados (OUTPUT_MODE)
+ * @param {string} [options.outputDir] - Carpeta donde guardar la copia de resultados
+ * @param {string} [options.outputPath] - Archivo de resultados de una ejecución anterior
+ * @param {boolean} [options.resume=false] - Si el archivo de resultados ya existe, se lee
+ *   ese en lugar del original para conservar lo escrito en la ejecución anterior
+ * @returns {Promise<Object>} - { workbook, worksheet, filas, columns, outputPath }
+ */
+async function readExpedientesAndRows(filePath, columnMapping = DEFAULT_COLUMN_MAPPING, options = {}) {
+  console.log(`Iniciando lectura del archivo Excel: ${filePath}`);
+
+  const outputPath = options.outputPath || getOutputPath(filePath, options.outputMode, options.outputDir);
+  const sourcePath = options.resume && outputPath !== filePath && fs.existsSync(outputPath)
+    ? outputPath
+    : filePath;
+
+  let workbook;
   try {
-    await workbook.xlsx.readFile(filePath);
-    console.log('Archivo Excel leído correctamente');
+    workbook = await loadWorkbook(sourcePath);
+    console.log(`Archivo leído correctamente: ${sourcePath}`);
   } catch (error) {
     console.log(`Error al leer el archivo Excel: ${error.message}`);
-    throw new Error(`No se puede abrir el archivo. Verifique que no esté abierto en otro programa.`);
+    throw new Error('No se puede abrir el archivo. Verifique que no esté abierto en otro programa.');
   }
 
   const worksheet = workbook.getWorksheet(1);
@@ -19,19 +154,21 @@ async function readExpedientesAndRows(filePath) {
     throw new Error('El archivo debe contener al menos una hoja.');
   }
 
+  const columns = ColumnMapping.resolve(worksheet, columnMapping);
+  console.log(`Columnas resueltas (encabezado en fila ${columns.headerRow}): ${JSON.stringify(columns)}`);
+
   const filas = [];
   let rowCount = 0;
 
   worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-    if (rowNumber === 1) return; // Saltar encabezado
+    if (rowNumber <= columns.headerRow) return; // Saltar encabezado
 
-    const cellA = row.getCell(1).value;
-    if (!cellA) {
-      console.log(`Fila ${rowNumber} vacía en columna A. Saltando...`);
+    const expediente = ColumnMapping.getCellText(row.getCell(columns.input.expediente).value);
+    if (!expediente) {
+      console.log(`Fila ${rowNumber} sin expediente. Saltando...`);
       return;
     }
 
-    const expediente = String(cellA).trim();
     if (/^\d+$/.test(expediente)) {
       filas.push({ expediente, rowNumber });
       rowCount++;
@@ -41,9 +178,10 @@ async function readExpedientesAndRows(filePath) {
   });
 
   console.log(`Filas válidas encontradas: ${rowCount}`);
-  return { workbook, worksheet, filas };
+  return { workbook, worksheet, filas, columns, outputPath };
 }
 
 module.exports = {
-  readExpedientesAndRows
-};
\ No newline at end of file
+  readExpedientesAndRows,
+  getOutputPath
+};
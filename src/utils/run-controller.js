@@ -0,0 +1,78 @@
+// src/utils/run-controller.js
+
+/**
+ * Controla una ejecución en curso de processExcelFile.
+ * Permite pausar, reanudar y cancelar el ciclo de expedientes desde el proceso principal.
+ * Los cambios se aplican entre expedientes, nunca a mitad de una búsqueda.
+ */
+class RunController {
+  constructor() {
+    this.paused = false;
+    this.cancelled = false;
+    this.waiters = [];
+  }
+
+  /**
+   * Estado actual de la ejecución
+   * @returns {string} - 'running', 'paused' o 'cancelled'
+   */
+  get state() {
+    if (this.cancelled) return 'cancelled';
+    return this.paused ? 'paused' : 'running';
+  }
+
+  /**
+   * Solicita pausar la ejecución después del expediente actual
+   * @returns {boolean} - true si se aplicó la pausa
+   */
+  pause() {
+    if (this.cancelled) return false;
+    this.paused = true;
+    return true;
+  }
+
+  /**
+   * Reanuda una ejecución pausada
+   * @returns {boolean} - true si la ejecución estaba pausada
+   */
+  resume() {
+    if (!this.paused || this.cancelled) return false;
+    this.paused = false;
+    this.releaseWaiters();
+    return true;
+  }
+
+  /**
+   * Cancela la ejecución; también libera una pausa en curso
+   * @returns {boolean} - true si se canceló en esta llamada
+   */
+  cancel() {
+    if (this.cancelled) return false;
+    this.cancelled = true;
+    this.paused = false;
+    this.releaseWaiters();
+    return true;
+  }
+
+  /**
+   * Espera mientras la ejecución esté en pausa
+   * @returns {Promise<void>} - Se resuelve al reanudar o cancelar
+   */
+  waitIfPaused() {
+    if (!this.paused) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Libera a quienes esperan en waitIfPaused
+   */
+  releaseWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+module.exports = RunController;
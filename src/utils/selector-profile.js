@@ -0,0 +1,267 @@
+// src/utils/selector-profile.js
+const fs = require('fs');
+const logger = require('./logger').scope('SelectorProfile');
+const FileUtils = require('./file-utils');
+const defaultProfile = require('../config/selectors.json');
+const { SELECTOR_PROFILE_CONFIG, SELECTOR_CHECK_STATUS: CHECK_STATUS } = require('../config/constants');
+
+// Tipo de cada campo del perfil, por sección
+const PROFILE_SCHEMA = {
+  login: { username: 'selector', password: 'selector', submit: 'selector', error: 'selector' },
+  search: { inputs: 'selectorList', button: 'selector', buttonText: 'text', resultsReady: 'selector', noResults: 'selector' },
+  results: { table: 'selector', rows: 'selector', cells: 'selector', columns: 'columns' },
+  accept: { button: 'selector', buttonMarker: 'selector', cellIndex: 'index', snackbar: 'selector' },
+  confirm: { buttons: 'selector', buttonText: 'text' },
+  paginator: {
+    next: 'selector',
+    previous: 'selector',
+    first: 'selector',
+    rangeLabel: 'selector',
+    pageSizeSelect: 'selector',
+    pageSizeOption: 'selector'
+  }
+};
+
+// Columnas de la tabla de resultados que se leen del portal
+const RESULT_COLUMNS = ['costo', 'estatus', 'notas', 'fechaRegistro', 'servicio', 'subservicio'];
+
+/**
+ * Perfil de selectores del portal. El perfil incluido en la aplicación se
+ * puede reemplazar, sección por sección, con un selectors.json en la carpeta
+ * de datos del usuario cuando el portal cambia su diseño.
+ */
+class SelectorProfile {
+  /**
+   * Obtiene una copia del perfil incluido en la aplicación
+   * @returns {Object} - Perfil por defecto
+   */
+  static getDefault() {
+    return JSON.parse(JSON.stringify(defaultProfile));
+  }
+
+  /**
+   * Ruta del perfil del usuario
+   * @returns {string} - Ruta en la carpeta de datos del usuario
+   */
+  static getOverridePath() {
+    return FileUtils.getUserDataPath(SELECTOR_PROFILE_CONFIG.FILE_NAME);
+  }
+
+  /**
+   * Combina el perfil del usuario con el perfil base. Cada campo indicado
+   * reemplaza al del perfil base; las listas se reemplazan completas.
+   * @param {Object} base - Perfil base
+   * @param {Object} override - Perfil del usuario
+   * @returns {Object} - Perfil combinado
+   */
+  static merge(base, override = {}) {
+    const result = { ...base, version: override.version, revision: override.revision || base.revision };
+    for (const section of Object.keys(PROFILE_SCHEMA)) {
+      const value = override[section];
+      if (value && typeof value === 'object') {
+        result[section] = { ...base[section], ...value };
+        if (section === 'results' && value.columns) {
+          result.results.columns = { ...base.results.columns, ...value.columns };
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Valida que el perfil tenga la versión esperada y todos los campos con su tipo
+   * @param {Object} profile - Perfil a validar
+   * @returns {Object} - Perfil validado
+   * @throws {Error} - Si algún campo falta o no es válido
+   */
+  static validate(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('El perfil de selectores debe ser un objeto JSON');
+    }
+    if (profile.version !== SELECTOR_PROFILE_CONFIG.VERSION) {
+      throw new Error(`Versión de perfil no compatible: ${profile.version} (se espera ${SELECTOR_PROFILE_CONFIG.VERSION})`);
+    }
+
+    for (const [section, fields] of Object.entries(PROFILE_SCHEMA)) {
+      for (const [field, type] of Object.entries(fields)) {
+        const value = profile[section] && profile[section][field];
+        const name = `${section}.${field}`;
+
+        if (type === 'selector' || type === 'text') {
+          if (typeof value !== 'string' || !value.trim()) {
+            throw new Error(`El campo "${name}" debe ser un texto no vacío`);
+          }
+        } else if (type === 'selectorList') {
+          if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string' || !item.trim())) {
+            throw new Error(`El campo "${name}" debe ser una lista de selectores`);
+          }
+        } else if (type === 'index') {
+          if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`El campo "${name}" debe ser un número de columna (desde 0)`);
+          }
+        } else if (type === 'columns') {
+          for (const column of RESULT_COLUMNS) {
+            if (!value || !Number.isInteger(value[column]) || value[column] < 0) {
+              throw new Error(`La columna "${name}.${column}" debe ser un número de columna (desde 0)`);
+            }
+          }
+        }
+      }
+    }
+    return profile;
+  }
+
+  /**
+   * Carga el perfil de selectores. Si el perfil del usuario no es válido
+   * se usa el incluido en la aplicación y se informa el error.
+   * @returns {Object} - { profile, source ('default' o 'userData'), overridePath, error }
+   */
+  static load() {
+    const defaults = this.validate(this.getDefault());
+    const overridePath = this.getOverridePath();
+
+    if (!fs.existsSync(overridePath)) {
+      return { profile: defaults, source: 'default', overridePath, error: null };
+    }
+
+    try {
+      const override = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+      const profile = this.validate(this.merge(defaults, override));
+      logger.info(`Usando perfil de selectores del usuario (${profile.revision}): ${overridePath}`);
+      return { profile, source: 'userData', overridePath, error: null };
+    } catch (error) {
+      logger.warn(`Perfil de selectores no válido en ${overridePath}; se usará el de la aplicación: ${error.message}`);
+      return { profile: defaults, source: 'default', overridePath, error: error.message };
+    }
+  }
+
+  /**
+   * Guarda una copia editable del perfil de la aplicación en la carpeta del usuario.
+   * No reemplaza un perfil existente.
+   * @returns {string} - Ruta del perfil del usuario
+   * @throws {Error} - Si no se pudo escribir el archivo
+   */
+  static exportDefault() {
+    const overridePath = this.getOverridePath();
+    if (!fs.existsSync(overridePath) && !FileUtils.writeJsonFile(overridePath, this.getDefault())) {
+      throw new Error(`No se pudo crear el perfil de selectores en ${overridePath}`);
+    }
+    return overridePath;
+  }
+
+  /**
+   * Cuenta los elementos de la página que coinciden con un selector
+   * @param {Object} page - Página de puppeteer
+   * @param {string} selector - Selector CSS
+   * @param {string} [text] - Texto que debe contener el elemento
+   * @returns {Promise<number|null>} - Elementos encontrados o null si el selector no es válido
+   */
+  static async count(page, selector, text) {
+    try {
+      return await page.$$eval(
+        selector,
+        (elements, expected) => elements.filter(el => !expected || el.textContent.includes(expected)).length,
+        text || null
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Crea el resultado de una comprobación del diagnóstico
+   * @param {string} name - Campo del perfil
+   * @param {string} selector - Selector comprobado
+   * @param {number|null} count - Elementos encontrados (null si el selector no es válido)
+   * @param {boolean} required - Si el proceso no puede funcionar sin el elemento
+   * @returns {Object} - { name, selector, count, required, status }
+   */
+  static result(name, selector, count, required) {
+    let status = CHECK_STATUS.OK;
+    if (count === null) status = CHECK_STATUS.INVALID;
+    else if (count === 0) status = CHECK_STATUS.MISSING;
+    return { name, selector, count, required, status };
+  }
+
+  /**
+   * Comprueba los selectores de una etapa contra la página abierta.
+   * - login: página de inicio de sesión
+   * - search: página de pendientes, antes de buscar
+   * - results: página de pendientes, después de buscar un expediente
+   * @param {Object} page - Página de puppeteer
+   * @param {Object} profile - Perfil de selectores
+   * @param {string} stage - Etapa a comprobar
+   * @returns {Promise<Array<Object>>} - { name, selector, count, required, status }
+   */
+  static async check(page, profile, stage) {
+    const checks = [];
+
+    if (stage === 'login') {
+      for (const field of ['username', 'password', 'submit']) {
+        const selector = profile.login[field];
+        checks.push(this.result(`login.${field}`, selector, await this.count(page, selector), true));
+      }
+
+      // El mensaje de error del portal solo aparece cuando el inicio de sesión falla
+      checks.push({ name: 'login.error', selector: profile.login.error, count: null, required: false, status: CHECK_STATUS.SKIPPED });
+    }
+
+    if (stage === 'search') {
+      // Basta con que uno de los candidatos del campo de búsqueda exista
+      const inputs = [];
+      for (const selector of profile.search.inputs) {
+        inputs.push(this.result('search.inputs', selector, await this.count(page, selector), false));
+      }
+      const found = inputs.find(check => check.status === CHECK_STATUS.OK);
+      if (found) {
+        found.required = true;
+      } else {
+        inputs[0].required = true;
+      }
+      checks.push(...inputs);
+
+      const { button, buttonText } = profile.search;
+      checks.push(this.result('search.button', `${button} ("${buttonText}")`, await this.count(page, button, buttonText), false));
+    }
+
+    if (stage === 'results') {
+      const { rows, cells } = profile.results;
+      checks.push(this.result('results.rows', rows, await this.count(page, rows), true));
+      checks.push(this.result('results.cells', `${rows} ${cells}`, await this.count(page, `${rows} ${cells}`), true));
+
+      const { button, buttonMarker, cellIndex } = profile.accept;
+      let acceptCount = null;
+      try {
+        acceptCount = await page.$$eval(rows, (rowElements, accept) => rowElements.filter(row =>
+          Array.from(row.querySelectorAll(accept.button)).some(el =>
+            el.querySelector(accept.buttonMarker) &&
+            el.closest('td') &&
+            el.closest('td').cellIndex === accept.cellIndex
+          )
+        ).length, { button, buttonMarker, cellIndex });
+      } catch (error) {
+        acceptCount = null;
+      }
+      checks.push(this.result('accept.button', `${button}:has(${buttonMarker}) (columna ${cellIndex})`, acceptCount, false));
+
+      for (const field of ['next', 'rangeLabel', 'pageSizeSelect']) {
+        const selector = profile.paginator[field];
+        checks.push(this.result(`paginator.${field}`, selector, await this.count(page, selector), false));
+      }
+
+      // El aviso de "sin resultados" solo aparece si el expediente no tiene servicios, y el
+      // diálogo de confirmación y el aviso del portal solo al aceptar un expediente
+      for (const [name, selector] of [
+        ['search.noResults', profile.search.noResults],
+        ['confirm.buttons', profile.confirm.buttons],
+        ['accept.snackbar', profile.accept.snackbar]
+      ]) {
+        checks.push({ name, selector, count: null, required: false, status: CHECK_STATUS.SKIPPED });
+      }
+    }
+
+    return checks.map(check => ({ stage, ...check }));
+  }
+}
+
+module.exports = SelectorProfile;
@@ -0,0 +1,140 @@
+// src/utils/service-matcher.js
+const CostMatcher = require('./cost-matcher');
+const ColumnMapping = require('./column-mapping');
+const { DEFAULT_COST_MATCHING } = require('../config/constants');
+
+/**
+ * Elige cuál de los servicios devueltos por el portal para un expediente
+ * corresponde a la fila del archivo
+ */
+class ServiceMatcher {
+  /**
+   * Indica si un servicio corresponde al servicio y subservicio indicados en el archivo.
+   * Los criterios vacíos no filtran.
+   * @param {Object} service - Servicio del portal
+   * @param {Object} criteria - { servicio, subservicio }
+   * @returns {boolean} - true si el servicio corresponde
+   */
+  static matchesService(service, criteria = {}) {
+    return ['servicio', 'subservicio'].every((field) => {
+      const expected = ColumnMapping.normalizeHeader(criteria[field]);
+      return !expected || ColumnMapping.normalizeHeader(service[field]).includes(expected);
+    });
+  }
+
+  /**
+   * Compara todos los servicios de un expediente contra la fila del archivo.
+   * Solo se selecciona un servicio cuando exactamente uno coincide en
+   * servicio/subservicio y costo; si coinciden varios la selección es ambigua.
+   * @param {Array<Object>} services - Servicios del portal ({ costo, servicio, subservicio, ... })
+   * @param {Object} criteria - { costoGuardado, servicio, subservicio }
+   * @param {Object} [costRules] - Reglas de tolerancia de costos
+   * @returns {Object} - { outcomes, selected, ambiguous, reported }
+   */
+  static match(services, criteria, costRules = DEFAULT_COST_MATCHING) {
+    const outcomes = services.map((service, index) => {
+      const amount = CostMatcher.parseAmount(service.costo);
+      return {
+        index,
+        service,
+        hasCost: amount !== null && amount !== 0,
+        serviceMatch: this.matchesService(service, criteria),
+        comparison: CostMatcher.compare(service.costo, criteria.costoGuardado, costRules)
+      };
+    });
+
+    const candidates = outcomes.filter(o => o.hasCost && o.serviceMatch && o.comparison.accept);
+    const selected = candidates.length === 1 ? candidates[0] : null;
+    const ambiguous = candidates.length > 1;
+
+    // El servicio que se reporta en las columnas principales: el seleccionado
+    // o, si no hay, el de menor diferencia entre los del servicio indicado
+    const withCost = outcomes.filter(o => o.hasCost);
+    const sameService = withCost.filter(o => o.serviceMatch);
+    const pool = sameService.length > 0 ? sameService : withCost;
+    const reported = selected || pool.reduce((best, o) => {
+      if (!best) return o;
+      const diff = o.comparison.difference === null ? Infinity : o.comparison.difference;
+      const bestDiff = best.comparison.difference === null ? Infinity : best.comparison.difference;
+      return diff < bestDiff ? o : best;
+    }, null);
+
+    return { outcomes, selected, ambiguous, reported };
+  }
+
+  /**
+   * Compara el servicio aceptado con una nueva consulta del expediente para
+   * saber si la aceptación tuvo efecto: el servicio ya no aparece entre los
+   * pendientes o su estatus cambió. Los servicios con id se comparan por id.
+   * Que el servicio no aparezca solo cuenta si el portal mostró su aviso de
+   * "sin resultados" o un aviso de éxito: una búsqueda que falló o que no
+   * terminó de cargar tampoco muestra el servicio.
+   * @param {Object} accepted - Servicio antes de aceptarlo
+   * @param {Array<Object>} services - Servicios de la nueva consulta
+   * @param {Object} [evidence] - Lo que mostró el portal
+   * @param {boolean} [evidence.noResults=false] - La búsqueda mostró el aviso de "sin resultados"
+   * @param {string|null} [evidence.notice=null] - Aviso de éxito del portal al aceptar
+   * @returns {Object} - { confirmed, estatus, description }
+   */
+  static checkAcceptance(accepted, services, { noResults = false, notice = null } = {}) {
+    const sameService = services.filter((service) => {
+      if (accepted.id !== undefined && service.id !== undefined) {
+        return String(service.id) === String(accepted.id);
+      }
+      return ['servicio', 'subservicio', 'fechaRegistro', 'costo'].every(field =>
+        String(service[field] || '').trim() === String(accepted[field] || '').trim()
+      );
+    });
+
+    if (sameService.length === 0) {
+      if (noResults) {
+        return { confirmed: true, estatus: null, description: 'El servicio ya no aparece en pendientes' };
+      }
+      if (notice) {
+        return { confirmed: true, estatus: null, description: `Aviso del portal: ${notice}` };
+      }
+      return {
+        confirmed: false,
+        estatus: null,
+        description: 'La nueva consulta no mostró el servicio ni el aviso de "sin resultados"'
+      };
+    }
+
+    const before = ColumnMapping.normalizeHeader(accepted.estatus);
+    const changed = sameService.find(service => ColumnMapping.normalizeHeader(service.estatus) !== before);
+    if (changed) {
+      return { confirmed: true, estatus: changed.estatus, description: `El estatus cambió a "${changed.estatus}"` };
+    }
+    return { confirmed: false, estatus: accepted.estatus, description: `El estatus sigue en "${accepted.estatus}"` };
+  }
+
+  /**
+   * Describe el resultado de cada servicio para registrarlo en el archivo
+   * @param {Object} matchResult - Resultado de match()
+   * @returns {string} - Un renglón por servicio separado por " | "
+   */
+  static describe({ outcomes, selected, ambiguous }) {
+    return outcomes.map((outcome) => {
+      const { service, comparison } = outcome;
+      const nombre = [service.servicio, service.subservicio].filter(Boolean).join(' / ') || 'Servicio';
+      const amount = CostMatcher.parseAmount(service.costo);
+      const costo = amount !== null ? CostMatcher.format(amount) : String(service.costo || '');
+
+      let estado;
+      if (!outcome.hasCost) {
+        estado = 'sin costo';
+      } else if (!outcome.serviceMatch) {
+        estado = 'servicio distinto';
+      } else if (outcome === selected) {
+        estado = 'seleccionado';
+      } else if (ambiguous && comparison.accept) {
+        estado = 'coincide (varios servicios)';
+      } else {
+        estado = comparison.description;
+      }
+      return `${outcome.index + 1}) ${nombre} ${costo}: ${estado}`;
+    }).join(' | ');
+  }
+}
+
+module.exports = ServiceMatcher;
@@ -27,6 +27,11 @@ jest.mock('electron', () => ({
   ipcMain: {
     handle: jest.fn(),
     on: jest.fn()
+  },
+  safeStorage: {
+    isEncryptionAvailable: jest.fn().mockReturnValue(true),
+    encryptString: jest.fn(text => Buffer.from(`cifrado:${text}`)),
+    decryptString: jest.fn(buffer => buffer.toString().replace(/^cifrado:/, ''))
   }
 }));
 
@@ -35,8 +40,11 @@ jest.mock('fs', () => ({
   existsSync: jest.fn().mockReturnValue(true),
   readFileSync: jest.fn().mockReturnValue('{}'),
   writeFileSync: jest.fn(),
+  appendFileSync: jest.fn(),
   mkdirSync: jest.fn(),
   copyFileSync: jest.fn(),
+  renameSync: jest.fn(),
+  statSync: jest.fn(),
   rmSync: jest.fn(),
   readdirSync: jest.fn().mockReturnValue([])
 }));
@@ -0,0 +1,209 @@
+const { processExcelFile } = require('../../src/index');
+const browserService = require('../../src/services/browser-service');
+const journalService = require('../../src/services/journal-service');
+const historyService = require('../../src/services/history-service');
+const FileUtils = require('../../src/utils/file-utils');
+const { readExpedientesAndRows } = require('../../src/utils/readExcel');
+const { RESULT_OUTCOME, JOURNAL_ROW_STATUS } = require('../../src/config/constants');
+
+// Mock de readExcel
+jest.mock('../../src/utils/readExcel', () => ({
+  readExpedientesAndRows: jest.fn()
+}));
+
+// Mock de FileUtils
+jest.mock('../../src/utils/file-utils', () => ({
+  backupFile: jest.fn().mockReturnValue('/respaldos/expedientes.xlsx'),
+  writeFileAtomic: jest.fn()
+}));
+
+// Mock de FailureCapture
+jest.mock('../../src/utils/failure-capture', () => ({
+  createRunDir: jest.fn().mockReturnValue('/evidencias/ejecucion')
+}));
+
+// Mock de la bitácora
+jest.mock('../../src/services/journal-service', () => ({
+  start: jest.fn().mockReturnValue({ rows: {}, lastRowNumber: 0 }),
+  isRowDone: jest.fn().mockReturnValue(false),
+  recordRow: jest.fn(),
+  updateFileHash: jest.fn(),
+  finish: jest.fn()
+}));
+
+// Mock del historial
+jest.mock('../../src/services/history-service', () => ({
+  startRun: jest.fn().mockReturnValue({ id: 'ejecucion' }),
+  recordRow: jest.fn(),
+  finishRun: jest.fn()
+}));
+
+// Mock del navegador: las estadísticas son únicas y las comparten todas las pestañas
+jest.mock('../../src/services/browser-service', () => ({
+  stats: null,
+  strategy: 'dom',
+  reauthentications: [],
+  configure: jest.fn(),
+  getAccount: jest.fn().mockReturnValue({ profile: 'Principal', username: 'operador.portal' }),
+  initialize: jest.fn().mockResolvedValue(true),
+  openWorkerPages: jest.fn(),
+  searchExpediente: jest.fn(),
+  countOutcome: jest.fn(),
+  close: jest.fn().mockResolvedValue(),
+  closeBrowserQuietly: jest.fn().mockResolvedValue()
+}));
+
+describe('processExcelFile', () => {
+  const filePath = '/datos/expedientes.xlsx';
+  const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+  const loadRows = (count) => {
+    const filas = Array.from({ length: count }, (_, i) => ({ expediente: String(1000 + i), rowNumber: i + 2 }));
+    const worksheet = {
+      getRow: jest.fn(() => ({
+        getCell: jest.fn(() => ({ value: '1000' })),
+        commit: jest.fn()
+      }))
+    };
+    readExpedientesAndRows.mockResolvedValue({
+      workbook: { xlsx: { writeFile: jest.fn().mockResolvedValue() } },
+      worksheet,
+      filas,
+      columns: { input: { costo: 2 }, output: { resultado: 9 } },
+      outputPath: filePath
+    });
+    return filas;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    browserService.stats = { totalRevisados: 0, porResultado: { accepted: 0, mismatch: 0, error: 0 } };
+    browserService.countOutcome.mockImplementation((outcome) => {
+      browserService.stats.porResultado[outcome]++;
+    });
+    browserService.openWorkerPages.mockImplementation(async count => Array.from({ length: count }, (_, i) => `pestaña-${i + 1}`));
+    FileUtils.writeFileAtomic.mockImplementation(async (file, writer) => writer(`${file}.tmp`));
+  });
+
+  test('debe repartir los expedientes entre las pestañas sin repetir ninguno', async () => {
+    // Arrange: la segunda pestaña tarda más en cada expediente
+    const filas = loadRows(5);
+    const handled = [];
+    browserService.searchExpediente.mockImplementation(async (expediente, costo, { page }) => {
+      handled.push({ expediente, page });
+      await nextTick();
+      if (page === 'pestaña-2') await nextTick();
+      return { outcome: RESULT_OUTCOME.MISMATCH, validacion: 'Diferencia de costo' };
+    });
+
+    // Act
+    const result = await processExcelFile(filePath, jest.fn(), { workers: 2 });
+
+    // Assert
+    expect(browserService.openWorkerPages).toHaveBeenCalledWith(2);
+    expect(handled.map(h => h.expediente).sort()).toEqual(filas.map(f => f.expediente));
+    expect(new Set(handled.map(h => h.page))).toEqual(new Set(['pestaña-1', 'pestaña-2']));
+    expect(handled.filter(h => h.page === 'pestaña-1').length).toBeGreaterThan(handled.filter(h => h.page === 'pestaña-2').length);
+    expect(result.revisados).toBe(5);
+    expect(result.total).toBe(5);
+  });
+
+  test('no debe abrir más pestañas que expedientes pendientes', async () => {
+    // Arrange
+    loadRows(2);
+    browserService.searchExpediente.mockResolvedValue({ outcome: RESULT_OUTCOME.MISMATCH });
+
+    // Act
+    await processExcelFile(filePath, jest.fn(), { workers: 4 });
+
+    // Assert
+    expect(browserService.openWorkerPages).toHaveBeenCalledWith(2);
+  });
+
+  test('debe guardar el libro de a un guardado a la vez aunque varias pestañas terminen juntas', async () => {
+    // Arrange
+    loadRows(6);
+    browserService.searchExpediente.mockResolvedValue({ outcome: RESULT_OUTCOME.MISMATCH });
+    let writing = 0;
+    let maxWriting = 0;
+    FileUtils.writeFileAtomic.mockImplementation(async () => {
+      writing++;
+      maxWriting = Math.max(maxWriting, writing);
+      await nextTick();
+      writing--;
+    });
+
+    // Act
+    await processExcelFile(filePath, jest.fn(), { workers: 3 });
+
+    // Assert: un guardado por expediente y el guardado final, nunca dos a la vez
+    expect(FileUtils.writeFileAtomic).toHaveBeenCalledTimes(7);
+    expect(maxWriting).toBe(1);
+  });
+
+  test('debe seguir guardando después de un guardado fallido', async () => {
+    // Arrange
+    loadRows(3);
+    browserService.searchExpediente.mockResolvedValue({ outcome: RESULT_OUTCOME.MISMATCH });
+    FileUtils.writeFileAtomic.mockRejectedValueOnce(new Error('Archivo en uso'));
+
+    // Act
+    await processExcelFile(filePath, jest.fn(), { workers: 2 });
+
+    // Assert: la fila del guardado fallido queda con error y las demás se guardan
+    expect(FileUtils.writeFileAtomic).toHaveBeenCalledTimes(4);
+    expect(browserService.countOutcome).toHaveBeenCalledTimes(1);
+    expect(browserService.countOutcome).toHaveBeenCalledWith(RESULT_OUTCOME.ERROR);
+  });
+
+  test('debe registrar cada fila en la bitácora y el historial solo después de guardar el libro', async () => {
+    // Arrange
+    loadRows(1);
+    browserService.searchExpediente.mockResolvedValue({ outcome: RESULT_OUTCOME.ACCEPTED });
+
+    // Act
+    await processExcelFile(filePath, jest.fn(), { workers: 1 });
+
+    // Assert
+    const [saved] = FileUtils.writeFileAtomic.mock.invocationCallOrder;
+    expect(journalService.recordRow.mock.invocationCallOrder[0]).toBeGreaterThan(saved);
+    expect(historyService.recordRow.mock.invocationCallOrder[0]).toBeGreaterThan(saved);
+  });
+
+  test('debe registrar como fallida la fila cuyo libro no se pudo guardar', async () => {
+    // Arrange
+    loadRows(1);
+    browserService.searchExpediente.mockResolvedValue({ outcome: RESULT_OUTCOME.ACCEPTED });
+    FileUtils.writeFileAtomic.mockRejectedValueOnce(new Error('Archivo en uso'));
+
+    // Act
+    await processExcelFile(filePath, jest.fn(), { workers: 1 });
+
+    // Assert: al continuar la fila se vuelve a procesar
+    expect(journalService.recordRow).toHaveBeenCalledTimes(1);
+    expect(journalService.recordRow).toHaveBeenCalledWith(expect.anything(), 2, expect.objectContaining({ status: JOURNAL_ROW_STATUS.FAILED }));
+  });
+
+  test('debe sumar en las estadísticas los resultados de todas las pestañas', async () => {
+    // Arrange: cada pestaña cuenta sus resultados y un expediente falla fuera del navegador
+    loadRows(5);
+    const outcomes = [RESULT_OUTCOME.ACCEPTED, RESULT_OUTCOME.MISMATCH, RESULT_OUTCOME.ACCEPTED, null, RESULT_OUTCOME.MISMATCH];
+    let call = 0;
+    browserService.searchExpediente.mockImplementation(async () => {
+      const outcome = outcomes[call++];
+      await nextTick();
+      if (!outcome) throw new Error('La pestaña se cerró');
+      browserService.stats.totalRevisados++;
+      browserService.countOutcome(outcome);
+      return { outcome };
+    });
+
+    // Act
+    const result = await processExcelFile(filePath, jest.fn(), { workers: 3 });
+
+    // Assert
+    expect(result.stats.totalRevisados).toBe(4);
+    expect(result.stats.porResultado).toEqual({ accepted: 2, mismatch: 2, error: 1 });
+    expect(historyService.finishRun).toHaveBeenCalledWith({ id: 'ejecucion' }, expect.objectContaining({ stats: result.stats }));
+  });
+});
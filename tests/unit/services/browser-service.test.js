@@ -4,6 +4,7 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const configService = require('../../../src/services/config-service');
+const portalApiService = require('../../../src/services/portal-api-service');
 const logger = require('../../../src/utils/logger');
 
 // Mock de puppeteer-core
@@ -21,10 +22,8 @@ jest.mock('puppeteer-core', () => ({
         type: jest.fn().mockResolvedValue({}),
         press: jest.fn().mockResolvedValue({})
       },
-      $: jest.fn().mockResolvedValue({
-        click: jest.fn().mockResolvedValue({}),
-        evaluate: jest.fn().mockResolvedValue({})
-      }),
+      $: jest.fn().mockResolvedValue(null),
+      on: jest.fn(),
       evaluate: jest.fn().mockResolvedValue(true),
       url: jest.fn().mockReturnValue('https://portalproveedores.ikeasistencia.com')
     }),
@@ -55,7 +54,9 @@ jest.mock('../../../src/services/config-service', () => ({
   getCredentials: jest.fn().mockReturnValue({
     username: 'testuser',
     password: 'testpassword'
-  })
+  }),
+  getBrowserExecutablePath: jest.fn().mockReturnValue(null),
+  get: jest.fn((key, defaultValue) => defaultValue)
 }));
 
 // Mock de logger
@@ -68,9 +69,37 @@ jest.mock('../../../src/utils/logger', () => ({
 }));
 
 describe('BrowserService', () => {
+  // Pestaña de resultados: el campo de búsqueda existe y no hay paginador ni formulario de login
+  const buildResultsPage = (overrides = {}) => ({
+    setDefaultTimeout: jest.fn(),
+    setDefaultNavigationTimeout: jest.fn(),
+    url: jest.fn().mockReturnValue('https://portalproveedores.ikeasistencia.com/admin/services/pendientes'),
+    goto: jest.fn().mockResolvedValue({}),
+    $: jest.fn(async selector => (selector.includes('expediente') ? { click: jest.fn().mockResolvedValue({}) } : null)),
+    $$: jest.fn().mockResolvedValue([]),
+    $$eval: jest.fn(),
+    waitForSelector: jest.fn().mockResolvedValue({ evaluate: jest.fn().mockResolvedValue('Servicio aceptado') }),
+    evaluate: jest.fn().mockResolvedValue(undefined),
+    keyboard: {
+      type: jest.fn().mockResolvedValue({}),
+      press: jest.fn().mockResolvedValue({})
+    },
+    ...overrides
+  });
+
+  const servicioPortal = {
+    costo: '$1,000.00',
+    estatus: 'Activo',
+    notas: 'Test',
+    fechaRegistro: '01/01/2023',
+    servicio: 'Servicio Test',
+    subservicio: 'Subservicio Test'
+  };
+
   beforeEach(() => {
     jest.clearAllMocks();
     jest.spyOn(global, 'setTimeout').mockImplementation(fn => fn());
+    BrowserService.configure({ headless: false });
   });
   
   describe('getBrowserPath', () => {
@@ -144,6 +173,11 @@ describe('BrowserService', () => {
   
   describe('login', () => {
     beforeEach(() => {
+      configService.getCredentials.mockReturnValue({
+        username: 'testuser',
+        password: 'testpassword'
+      });
+
       // Configurar una página mock para el test
       BrowserService.page = {
         goto: jest.fn().mockResolvedValue({}),
@@ -151,7 +185,7 @@ describe('BrowserService', () => {
         waitForNavigation: jest.fn().mockResolvedValue({}),
         type: jest.fn().mockResolvedValue({}),
         click: jest.fn().mockResolvedValue({}),
-        evaluate: jest.fn().mockResolvedValue(true)
+        $: jest.fn().mockResolvedValue(null)
       };
     });
     
@@ -172,7 +206,7 @@ describe('BrowserService', () => {
         expect.any(Object)
       );
       expect(BrowserService.page.type).toHaveBeenCalledTimes(2);
-      expect(BrowserService.page.evaluate).toHaveBeenCalled();
+      expect(BrowserService.page.$).toHaveBeenCalledWith('input[formcontrolname="password"]');
     });
     
     test('debe lanzar error si no hay credenciales', async () => {
@@ -184,57 +218,140 @@ describe('BrowserService', () => {
     });
     
     test('debe lanzar error si el login falla', async () => {
-      // Arrange
-      BrowserService.page.evaluate.mockResolvedValue(false);
+      // Arrange: el formulario de login sigue visible
+      BrowserService.page.$.mockResolvedValue({});
       
       // Act & Assert
       await expect(BrowserService.login()).rejects.toThrow('Login fallido');
     });
+    test('debe incluir el mensaje del portal cuando rechaza las credenciales', async () => {
+      // Arrange
+      BrowserService.page.$.mockResolvedValue({});
+      BrowserService.page.$$eval = jest.fn().mockResolvedValue(['Usuario o contraseña incorrectos', 'Usuario o contraseña incorrectos']);
+
+      // Act & Assert
+      await expect(BrowserService.login()).rejects.toThrow('Login fallido: Usuario o contraseña incorrectos');
+    });
+
+    test('debe iniciar sesión con la cuenta elegida para la ejecución', async () => {
+      // Arrange
+      BrowserService.configure({ headless: false, profile: 'Proveedor B' });
+      configService.getCredentials.mockReturnValue({ profile: 'Proveedor B', username: 'usuario.b', password: 'clave-b' });
+
+      // Act
+      await BrowserService.login();
+
+      // Assert
+      expect(configService.getCredentials).toHaveBeenCalledWith('Proveedor B');
+      expect(BrowserService.page.type).toHaveBeenCalledWith(expect.any(String), 'usuario.b', expect.any(Object));
+      expect(BrowserService.getAccount()).toEqual({ profile: 'Proveedor B', username: 'usuario.b' });
+    });
   });
   
+  describe('probeLogin', () => {
+    const buildLoginPage = (loginForm) => ({
+      setDefaultNavigationTimeout: jest.fn(),
+      goto: jest.fn().mockResolvedValue({}),
+      waitForSelector: jest.fn().mockResolvedValue({}),
+      waitForNavigation: jest.fn().mockResolvedValue({}),
+      type: jest.fn().mockResolvedValue({}),
+      click: jest.fn().mockResolvedValue({}),
+      $: jest.fn().mockResolvedValue(loginForm),
+      $$eval: jest.fn().mockResolvedValue(['Credenciales inválidas'])
+    });
+
+    beforeEach(() => {
+      BrowserService.browser = null;
+      jest.spyOn(BrowserService, 'getBrowserPath').mockResolvedValue('/usr/bin/chrome');
+      jest.spyOn(BrowserService, 'delay').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      BrowserService.getBrowserPath.mockRestore();
+      BrowserService.delay.mockRestore();
+    });
+
+    test('debe iniciar sesión con las credenciales indicadas y cerrar el navegador', async () => {
+      // Arrange
+      const page = buildLoginPage(null);
+      const browser = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn().mockResolvedValue() };
+      puppeteer.launch.mockResolvedValueOnce(browser);
+
+      // Act
+      const result = await BrowserService.probeLogin({ username: 'nuevo', password: 'clave-nueva' });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(page.type).toHaveBeenCalledWith(expect.any(String), 'nuevo', expect.any(Object));
+      expect(configService.getCredentials).not.toHaveBeenCalled();
+      expect(browser.close).toHaveBeenCalled();
+      expect(BrowserService.browser).toBeNull();
+    });
+
+    test('debe devolver el mensaje del portal si el login falla', async () => {
+      // Arrange
+      const browser = { newPage: jest.fn().mockResolvedValue(buildLoginPage({})), close: jest.fn().mockResolvedValue() };
+      puppeteer.launch.mockResolvedValueOnce(browser);
+
+      // Act
+      const result = await BrowserService.probeLogin({ username: 'nuevo', password: 'incorrecta' });
+
+      // Assert
+      expect(result).toEqual({ success: false, message: 'Login fallido: Credenciales inválidas' });
+      expect(browser.close).toHaveBeenCalled();
+    });
+
+    test('no debe abrir otro navegador si hay una ejecución en curso', async () => {
+      // Arrange
+      BrowserService.browser = {};
+
+      // Act
+      const result = await BrowserService.probeLogin({ username: 'nuevo', password: 'clave' });
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(puppeteer.launch).not.toHaveBeenCalled();
+      BrowserService.browser = null;
+    });
+  });
+
   describe('searchExpediente', () => {
     beforeEach(() => {
-      // Configurar una página mock para el test
-      BrowserService.page = {
-        setDefaultTimeout: jest.fn(),
-        setDefaultNavigationTimeout: jest.fn(),
-        url: jest.fn().mockReturnValue('https://portalproveedores.ikeasistencia.com'),
-        goto: jest.fn().mockResolvedValue({}),
-        $: jest.fn().mockResolvedValue({
-          click: jest.fn().mockResolvedValue({})
-        }),
-        waitForSelector: jest.fn().mockResolvedValue({}),
-        keyboard: {
-          type: jest.fn().mockResolvedValue({}),
-          press: jest.fn().mockResolvedValue({})
-        },
-        evaluate: jest.fn().mockResolvedValue({
-          hayDatos: true,
-          costosCoinciden: true,
-          costo: '$1,000.00',
-          estatus: 'Activo',
-          notas: 'Test',
-          fechaRegistro: '01/01/2023',
-          servicio: 'Servicio Test',
-          subservicio: 'Subservicio Test',
-          validacion: 'Aceptado'
-        })
-      };
-      
+      BrowserService.page = buildResultsPage();
+      // Filas del expediente, clic en aceptar, confirmación y nueva consulta sin el servicio
+      BrowserService.page.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([]);
+
       // Espiar el método delay para que no demore los tests
       jest.spyOn(BrowserService, 'delay').mockResolvedValue();
     });
+
+    afterEach(() => {
+      for (const method of ['searchExpediente', 'hasSession']) {
+        if (portalApiService[method].mockRestore) portalApiService[method].mockRestore();
+      }
+    });
     
     test('debe buscar expediente correctamente', async () => {
+      // Arrange: la nueva consulta muestra el aviso de "sin resultados"
+      const { $ } = BrowserService.page;
+      BrowserService.page.$ = jest.fn(async selector => (selector === BrowserService.selectors.search.noResults ? {} : $(selector)));
+
       // Act
       const result = await BrowserService.searchExpediente('123456', 1000);
       
       // Assert
       expect(result.validacion).toBe('Aceptado');
+      expect(result.outcome).toBe('accepted');
       expect(result.costo).toBe('$1,000.00');
+      expect(result.verificacion).toBe('El servicio ya no aparece en pendientes');
       expect(BrowserService.stats.totalRevisados).toBe(1);
       expect(BrowserService.stats.totalConCosto).toBe(1);
       expect(BrowserService.stats.totalAceptados).toBe(1);
+      expect(BrowserService.stats.porResultado.accepted).toBe(1);
     });
     
     test('debe navegar a la página de búsqueda si no está en ella', async () => {
@@ -253,38 +370,537 @@ describe('BrowserService', () => {
     
     test('debe manejar errores y devolver resultado vacío', async () => {
       // Arrange
-      BrowserService.page.$.mockRejectedValue(new Error('Test error'));
+      BrowserService.page.$$eval.mockReset();
+      BrowserService.page.$$eval.mockRejectedValue(new Error('Test error'));
       
       // Act
       const result = await BrowserService.searchExpediente('123456', 1000);
       
       // Assert
       expect(result.validacion).toBe('Error en consulta');
+      expect(result.outcome).toBe('error');
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+      expect(BrowserService.stats.porResultado.error).toBe(1);
       expect(logger.scope().error).toHaveBeenCalled();
     });
     
     test('debe reintentar búsqueda en caso de error', async () => {
       // Arrange
       const searchSpy = jest.spyOn(BrowserService, 'searchExpediente');
-      BrowserService.page.$.mockRejectedValueOnce(new Error('Test error'));
+      BrowserService.page.$$eval.mockReset();
+      BrowserService.page.$$eval
+        .mockRejectedValueOnce(new Error('Test error'))
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([]);
       
       // Act
-      await BrowserService.searchExpediente('123456', 1000);
+      const result = await BrowserService.searchExpediente('123456', 1000);
       
       // Assert
       expect(searchSpy).toHaveBeenCalledTimes(2);
+      expect(BrowserService.delay).toHaveBeenCalledWith(BrowserService.retryDelay);
+      expect(result.validacion).toBe('Aceptado');
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+    });
+
+    test('no debe aceptar en modo simulación', async () => {
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000, { dryRun: true });
+
+      // Assert
+      expect(result.validacion).toBe('Se aceptaría');
+      expect(result.outcome).toBe('would_accept');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
+      expect(BrowserService.stats.porResultado.would_accept).toBe(1);
+      expect(BrowserService.page.$$eval).toHaveBeenCalledTimes(1);
+    });
+
+    test('no debe contar como aceptado un expediente simulado por la API', async () => {
+      // Arrange
+      jest.spyOn(portalApiService, 'searchExpediente').mockResolvedValue([{ ...servicioPortal, id: 77, expediente: '123456', costo: 1000 }]);
+
+      // Act
+      const result = await BrowserService.searchExpedienteApi('123456', 1000, { dryRun: true });
+
+      // Assert
+      expect(result.validacion).toBe('Se aceptaría');
+      expect(result.outcome).toBe('would_accept');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
+      expect(BrowserService.stats.porResultado.would_accept).toBe(1);
+    });
+
+    test('debe reportar por la API un costo que no coincide', async () => {
+      // Arrange
+      jest.spyOn(portalApiService, 'searchExpediente').mockResolvedValue([{ ...servicioPortal, id: 77, expediente: '123456', costo: 1500 }]);
+
+      // Act
+      const result = await BrowserService.searchExpedienteApi('123456', 1000);
+
+      // Assert
+      expect(result.outcome).toBe('mismatch');
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+    });
+
+    test('debe dejar a la interfaz la aceptación de un servicio que coincide por la API', async () => {
+      // Arrange
+      jest.spyOn(portalApiService, 'searchExpediente').mockResolvedValue([{ ...servicioPortal, id: 77, expediente: '123456', costo: 1000 }]);
+
+      // Act
+      const result = await BrowserService.searchExpedienteApi('123456', 1000);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(BrowserService.stats.totalRevisados).toBe(0);
+    });
+
+    test('no debe marcar como no encontrado un expediente que la API devuelve vacío', async () => {
+      // Arrange
+      jest.spyOn(portalApiService, 'searchExpediente').mockResolvedValue([]);
+
+      // Act
+      const result = await BrowserService.searchExpedienteApi('123456', 1000);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(BrowserService.stats.porResultado.not_found || 0).toBe(0);
+    });
+
+    test('debe aceptar por la interfaz cuando la API encuentra el servicio', async () => {
+      // Arrange
+      BrowserService.strategy = 'api';
+      jest.spyOn(portalApiService, 'hasSession').mockReturnValue(true);
+      jest.spyOn(portalApiService, 'searchExpediente').mockResolvedValue([{ ...servicioPortal, id: 77, expediente: '123456', costo: 1000 }]);
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.validacion).toBe('Aceptado');
+      expect(BrowserService.page.$$eval).toHaveBeenCalled();
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+    });
+
+    test('debe marcar la aceptación no confirmada si el estatus no cambia', async () => {
+      // Arrange
+      BrowserService.page.$$eval.mockReset();
+      BrowserService.page.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([servicioPortal]);
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.validacion).toBe('Aceptación no confirmada');
+      expect(result.outcome).toBe('accept_unconfirmed');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
+    });
+
+    test('no debe confirmar la aceptación si la nueva consulta no cargó la tabla', async () => {
+      // Arrange: sin aviso del portal, sin filas y sin el aviso de "sin resultados"
+      BrowserService.page.waitForSelector.mockRejectedValue(new Error('Tiempo de espera agotado'));
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.outcome).toBe('accept_unconfirmed');
+      expect(result.verificacion).toContain('no mostró el servicio');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
+    });
+
+    test('debe confirmar la aceptación con el aviso de éxito si el servicio ya no aparece', async () => {
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.outcome).toBe('accepted');
+      expect(result.verificacion).toBe('Aviso del portal: Servicio aceptado');
+    });
+
+    test('no debe confirmar la aceptación con un aviso de error si no se puede volver a consultar', async () => {
+      // Arrange
+      BrowserService.page.waitForSelector.mockResolvedValue({ evaluate: jest.fn().mockResolvedValue('Error al aceptar el servicio') });
+      BrowserService.page.$$eval.mockReset();
+      BrowserService.page.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockRejectedValueOnce(new Error('La tabla no respondió'));
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.outcome).toBe('accept_unconfirmed');
+      expect(result.verificacion).toContain('Error al aceptar el servicio');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
+    });
+
+    test('debe confirmar la aceptación con un aviso de éxito si no se puede volver a consultar', async () => {
+      // Arrange
+      BrowserService.page.$$eval.mockReset();
+      BrowserService.page.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockRejectedValueOnce(new Error('La tabla no respondió'));
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(result.outcome).toBe('accepted');
+      expect(result.verificacion).toBe('Aviso del portal: Servicio aceptado');
+      expect(BrowserService.stats.totalAceptados).toBe(1);
     });
   });
   
-  describe('aceptarExpediente', () => {
-    beforeEach(() => {
-      // Configurar una página mock para el test
-      BrowserService.page = {
-        evaluate: jest.fn().mockImplementation(fn => {
-          // Simular comportamiento del evaluate
-          return fn ? true : true;
+  describe('paginación de resultados', () => {
+    const servicioEnPagina = (costo, n) => ({ ...servicioPortal, costo, servicio: `Servicio ${n}` });
+
+    // Pestaña con un paginador simulado: pages es la lista de filas de cada página
+    const buildPaginatedPage = (pages, { pageSizes = ['10', '50', '25'] } = {}) => {
+      const state = { index: 0, clicks: [], accepted: [] };
+      const { paginator, confirm } = BrowserService.selectors;
+      const button = (name, enabled, move) => ({
+        evaluate: jest.fn(async fn => fn({ disabled: !enabled(), getAttribute: () => null, classList: { contains: () => false } })),
+        click: jest.fn(async () => {
+          state.clicks.push(name);
+          move();
         })
+      });
+      const buttons = {
+        [paginator.next]: button('next', () => state.index < pages.length - 1, () => { state.index++; }),
+        [paginator.previous]: button('previous', () => state.index > 0, () => { state.index--; }),
+        [paginator.first]: button('first', () => state.index > 0, () => { state.index = 0; })
       };
+      const options = pageSizes.map(size => ({
+        evaluate: jest.fn(async fn => fn({ textContent: size })),
+        click: jest.fn(async () => state.clicks.push(`size:${size}`))
+      }));
+
+      const page = buildResultsPage({
+        $: jest.fn(async selector => {
+          if (buttons[selector]) return buttons[selector];
+          if (selector === paginator.pageSizeSelect) return pageSizes.length ? { click: jest.fn() } : null;
+          return selector.includes('expediente') ? { click: jest.fn().mockResolvedValue({}) } : null;
+        }),
+        $$: jest.fn(async selector => (selector === paginator.pageSizeOption ? options : [])),
+        $eval: jest.fn(async () => `página ${state.index + 1}`),
+        $$eval: jest.fn(async (selector, fn, ...args) => {
+          if (selector === confirm.buttons) return true;
+          if (typeof args[0] === 'number') {
+            // Botón de aceptar de una fila: el servicio desaparece de pendientes
+            state.accepted.push({ pageIndex: state.index, rowIndex: args[0] });
+            pages[state.index].splice(args[0], 1);
+            return true;
+          }
+          return pages[state.index];
+        }),
+        keyboard: {
+          type: jest.fn().mockResolvedValue({}),
+          // Una nueva búsqueda vuelve a la primera página
+          press: jest.fn(async key => {
+            if (key === 'Enter') state.index = 0;
+          })
+        }
+      });
+      page.state = state;
+      return page;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(BrowserService, 'delay').mockResolvedValue();
+    });
+
+    test('debe leer todas las páginas con el mayor tamaño de página disponible', async () => {
+      // Arrange
+      const page = buildPaginatedPage([
+        [servicioEnPagina('$100.00', 1), servicioEnPagina('$200.00', 2)],
+        [servicioEnPagina('$300.00', 3)],
+        [servicioEnPagina('$400.00', 4)]
+      ]);
+
+      // Act
+      const { services, pageIndex } = await BrowserService.collectResultRows(page);
+
+      // Assert
+      expect(page.state.clicks).toEqual(['size:50', 'next', 'next']);
+      expect(pageIndex).toBe(2);
+      expect(services.map(({ servicio, pageIndex: p, rowIndex }) => [servicio, p, rowIndex])).toEqual([
+        ['Servicio 1', 0, 0],
+        ['Servicio 2', 0, 1],
+        ['Servicio 3', 1, 0],
+        ['Servicio 4', 2, 0]
+      ]);
+    });
+
+    test('debe leer una sola página si no hay paginador', async () => {
+      // Arrange
+      const page = buildResultsPage();
+      page.$$eval.mockResolvedValue([servicioPortal]);
+
+      // Act
+      const { services, pageIndex } = await BrowserService.collectResultRows(page);
+
+      // Assert
+      expect(pageIndex).toBe(0);
+      expect(services).toEqual([{ ...servicioPortal, pageIndex: 0, rowIndex: 0 }]);
+      expect(page.$$).not.toHaveBeenCalled();
+    });
+
+    test('maximizePageSize debe devolver false si el paginador no permite cambiar el tamaño', async () => {
+      // Arrange
+      const page = buildPaginatedPage([[servicioPortal]], { pageSizes: [] });
+
+      // Act & Assert
+      await expect(BrowserService.maximizePageSize(page)).resolves.toBe(false);
+    });
+
+    test('goToResultsPage debe volver a una página anterior desde la primera', async () => {
+      // Arrange
+      const page = buildPaginatedPage([[servicioPortal], [servicioPortal], [servicioPortal]]);
+      page.state.index = 2;
+
+      // Act
+      const reached = await BrowserService.goToResultsPage(page, 1, 2);
+
+      // Assert
+      expect(reached).toBe(true);
+      expect(page.state.clicks).toEqual(['first', 'next']);
+      expect(page.state.index).toBe(1);
+    });
+
+    test('goToResultsPage debe indicar si la página ya no existe', async () => {
+      // Arrange
+      const page = buildPaginatedPage([[servicioPortal], [servicioPortal]]);
+
+      // Act & Assert
+      await expect(BrowserService.goToResultsPage(page, 3, 0)).resolves.toBe(false);
+    });
+
+    test('debe aceptar un servicio que aparece en una página posterior', async () => {
+      // Arrange: el servicio con el costo guardado está en la segunda de tres páginas
+      const page = buildPaginatedPage([
+        [servicioEnPagina('$100.00', 1), servicioEnPagina('$200.00', 2)],
+        [servicioEnPagina('$300.00', 3), servicioEnPagina('$1,000.00', 4)],
+        [servicioEnPagina('$400.00', 5)]
+      ]);
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000, { page });
+
+      // Assert
+      expect(page.state.accepted).toEqual([{ pageIndex: 1, rowIndex: 1 }]);
+      expect(result.servicio).toBe('Servicio 4');
+      expect(result.outcome).toBe('accepted');
+      expect(BrowserService.stats.totalAceptados).toBe(1);
+    });
+  });
+
+  describe('sesión expirada', () => {
+    const loginUrl = 'https://portalproveedores.ikeasistencia.com/auth/login';
+    let loginPage;
+
+    beforeEach(() => {
+      loginPage = {
+        setDefaultNavigationTimeout: jest.fn().mockResolvedValue(),
+        close: jest.fn().mockResolvedValue()
+      };
+      BrowserService.browser = { newPage: jest.fn().mockResolvedValue(loginPage) };
+      BrowserService.page = buildResultsPage();
+      jest.spyOn(BrowserService, 'delay').mockResolvedValue();
+      jest.spyOn(BrowserService, 'login').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      BrowserService.login.mockRestore();
+      BrowserService.browser = null;
+    });
+
+    test('debe marcar la sesión como expirada cuando una llamada del portal responde 401', () => {
+      // Arrange
+      const page = { on: jest.fn() };
+      BrowserService.watchSession(page);
+      const onResponse = page.on.mock.calls[0][1];
+      const response = (status, resourceType) => ({
+        status: () => status,
+        url: () => 'https://portalproveedores.ikeasistencia.com/api/services',
+        request: () => ({ resourceType: () => resourceType })
+      });
+
+      // Act
+      onResponse(response(401, 'document'));
+      const afterDocument = BrowserService.sessionExpired;
+      onResponse(response(401, 'xhr'));
+
+      // Assert
+      expect(afterDocument).toBe(false);
+      expect(BrowserService.sessionExpired).toBe(true);
+    });
+
+    test('debe detectar la redirección a la página de inicio de sesión', async () => {
+      // Arrange
+      BrowserService.page.url.mockReturnValue(loginUrl);
+
+      // Act & Assert
+      await expect(BrowserService.isSessionExpired(BrowserService.page)).resolves.toBe(true);
+    });
+
+    test('debe iniciar sesión en una pestaña propia y reintentar el expediente', async () => {
+      // Arrange: la pestaña de trabajo quedó en la página de inicio de sesión
+      const workerPage = BrowserService.page;
+      workerPage.url
+        .mockReturnValueOnce(loginUrl)
+        .mockReturnValueOnce(loginUrl)
+        .mockReturnValueOnce(loginUrl);
+      workerPage.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([]);
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000, { page: workerPage });
+
+      // Assert
+      expect(BrowserService.login).toHaveBeenCalledWith(null, loginPage);
+      expect(BrowserService.login).not.toHaveBeenCalledWith(expect.anything(), workerPage);
+      expect(loginPage.close).toHaveBeenCalled();
+      expect(result.outcome).toBe('accepted');
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+      expect(BrowserService.stats.totalReautenticaciones).toBe(1);
+      expect(BrowserService.reauthentications).toEqual([
+        expect.objectContaining({ expediente: '123456', motivo: 'La sesión del portal expiró' })
+      ]);
+    });
+
+    test('debe compartir un único inicio de sesión entre las pestañas que detectan la expiración', async () => {
+      // Act
+      await Promise.all([
+        BrowserService.reauthenticate('401', '111'),
+        BrowserService.reauthenticate('401', '222')
+      ]);
+
+      // Assert
+      expect(BrowserService.browser.newPage).toHaveBeenCalledTimes(1);
+      expect(BrowserService.login).toHaveBeenCalledTimes(1);
+      expect(BrowserService.reauthenticating).toBeNull();
+    });
+
+    test('debe cerrar la pestaña de inicio de sesión aunque el inicio de sesión falle', async () => {
+      // Arrange
+      BrowserService.login.mockRejectedValue(new Error('Login fallido'));
+
+      // Act & Assert
+      await expect(BrowserService.reauthenticate('401', '111')).rejects.toThrow('Login fallido');
+      expect(loginPage.close).toHaveBeenCalled();
+      expect(BrowserService.stats.totalReautenticaciones).toBe(0);
+    });
+  });
+
+  describe('navegador visible de respaldo', () => {
+    const timeoutError = () => Object.assign(new Error('Waiting for selector `table` failed'), { name: 'TimeoutError' });
+    let visiblePage;
+
+    beforeEach(() => {
+      BrowserService.configure({ headless: true });
+      BrowserService.page = buildResultsPage();
+      visiblePage = buildResultsPage();
+      visiblePage.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([]);
+
+      jest.spyOn(BrowserService, 'delay').mockResolvedValue();
+      jest.spyOn(BrowserService, 'closeBrowserQuietly').mockResolvedValue();
+      jest.spyOn(BrowserService, 'launch').mockImplementation(async () => {
+        BrowserService.page = visiblePage;
+      });
+    });
+
+    afterEach(() => {
+      BrowserService.launch.mockRestore();
+      BrowserService.closeBrowserQuietly.mockRestore();
+    });
+
+    test('debe reabrir el navegador visible si falla un selector y reintentar en la nueva pestaña', async () => {
+      // Arrange
+      const headlessPage = BrowserService.page;
+      headlessPage.$$eval.mockRejectedValue(timeoutError());
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000, { page: headlessPage });
+
+      // Assert
+      expect(BrowserService.launch).toHaveBeenCalledTimes(1);
+      expect(BrowserService.headless).toBe(false);
+      expect(BrowserService.relaunching).toBeNull();
+      expect(BrowserService.resolvePage(headlessPage)).toBe(visiblePage);
+      expect(result.outcome).toBe('accepted');
+      expect(BrowserService.stats.totalRevisados).toBe(1);
+    });
+
+    test('no debe reabrir el navegador por un error que no es de selector ni de inicio de sesión', async () => {
+      // Arrange
+      BrowserService.page.$$eval
+        .mockRejectedValueOnce(new Error('net::ERR_CONNECTION_RESET'))
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce([]);
+
+      // Act
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
+      // Assert
+      expect(BrowserService.launch).not.toHaveBeenCalled();
+      expect(BrowserService.headless).toBe(true);
+      expect(BrowserService.delay).toHaveBeenCalledWith(BrowserService.retryDelay);
+      expect(result.outcome).toBe('accepted');
+    });
+
+    test('debe esperar las aceptaciones en curso antes de cerrar el navegador', async () => {
+      // Arrange
+      let finishAccept;
+      BrowserService.trackAccept(new Promise(resolve => { finishAccept = resolve; }));
+
+      // Act
+      const relaunch = BrowserService.relaunchVisible('prueba');
+      await new Promise(resolve => setImmediate(resolve));
+      const closedBeforeAccept = BrowserService.closeBrowserQuietly.mock.calls.length;
+      finishAccept();
+      await relaunch;
+
+      // Assert
+      expect(closedBeforeAccept).toBe(0);
+      expect(BrowserService.closeBrowserQuietly).toHaveBeenCalledTimes(1);
+      expect(BrowserService.acceptsInFlight.size).toBe(0);
+      expect(BrowserService.relaunching).toBeNull();
+    });
+
+    test('no debe reabrir el navegador si ya es visible', async () => {
+      // Arrange
+      BrowserService.headless = false;
+
+      // Act
+      await BrowserService.relaunchVisible('prueba');
+
+      // Assert
+      expect(BrowserService.closeBrowserQuietly).not.toHaveBeenCalled();
+      expect(BrowserService.launch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aceptarExpediente', () => {
+    beforeEach(() => {
+      BrowserService.page = buildResultsPage();
       
       // Espiar el método delay para que no demore los tests
       jest.spyOn(BrowserService, 'delay').mockResolvedValue();
@@ -292,34 +908,39 @@ describe('BrowserService', () => {
     
     test('debe aceptar expediente correctamente', async () => {
       // Arrange
-      const expedienteData = {
-        costosCoinciden: true,
-        validacion: 'Aceptado'
-      };
+      BrowserService.page.$$eval.mockResolvedValue(true);
       
       // Act
-      const result = await BrowserService.aceptarExpediente(expedienteData);
+      await BrowserService.aceptarExpediente(BrowserService.page, { pageIndex: 0, rowIndex: 0 }, 0);
       
       // Assert
-      expect(result).toBe(true);
-      expect(BrowserService.page.evaluate).toHaveBeenCalledTimes(2);
+      expect(BrowserService.page.$$eval).toHaveBeenCalledTimes(2);
+      expect(BrowserService.page.$$eval.mock.calls[1][0]).toBe('.cdk-overlay-container button');
     });
     
     test('debe manejar errores durante la aceptación', async () => {
       // Arrange
-      const expedienteData = {
-        costosCoinciden: true,
-        validacion: 'Aceptado'
-      };
-      
-      BrowserService.page.evaluate.mockRejectedValue(new Error('Test error'));
+      BrowserService.page.$$eval.mockResolvedValue(false);
       
+      // Act & Assert
+      await expect(BrowserService.aceptarExpediente(BrowserService.page, { pageIndex: 0, rowIndex: 0 }, 0))
+        .rejects.toThrow('No se encontró el botón de aceptar');
+    });
+
+    test('debe registrar el error de aceptación en el resultado', async () => {
+      // Arrange
+      BrowserService.page.$$eval
+        .mockResolvedValueOnce([servicioPortal])
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
       // Act
-      const result = await BrowserService.aceptarExpediente(expedienteData);
-      
+      const result = await BrowserService.searchExpediente('123456', 1000);
+
       // Assert
-      expect(result).toBe(false);
-      expect(expedienteData.validacion).toBe('Error en aceptación');
+      expect(result.validacion).toBe('Error en aceptación');
+      expect(result.outcome).toBe('accept_failed');
+      expect(BrowserService.stats.totalAceptados).toBe(0);
       expect(logger.scope().error).toHaveBeenCalled();
     });
   });
@@ -327,9 +948,10 @@ describe('BrowserService', () => {
   describe('close', () => {
     test('debe cerrar el navegador correctamente', async () => {
       // Arrange
-      BrowserService.browser = {
+      const browser = {
         close: jest.fn().mockResolvedValue({})
       };
+      BrowserService.browser = browser;
       
       // Espiar el método delay para que no demore los tests
       jest.spyOn(BrowserService, 'delay').mockResolvedValue();
@@ -338,7 +960,7 @@ describe('BrowserService', () => {
       await BrowserService.close();
       
       // Assert
-      expect(BrowserService.browser.close).toHaveBeenCalled();
+      expect(browser.close).toHaveBeenCalled();
       expect(BrowserService.browser).toBeNull();
       expect(BrowserService.page).toBeNull();
     });
@@ -371,8 +993,38 @@ describe('BrowserService', () => {
       expect(BrowserService.stats).toEqual({
         totalRevisados: 0,
         totalConCosto: 0,
-        totalAceptados: 0
+        totalAceptados: 0,
+        totalReautenticaciones: 0,
+        porResultado: {
+          not_found: 0,
+          zero_cost: 0,
+          mismatch: 0,
+          accepted: 0,
+          would_accept: 0,
+          accept_failed: 0,
+          accept_unconfirmed: 0,
+          error: 0
+        }
       });
     });
   });
+
+  describe('configure', () => {
+    test('debe usar las opciones de la ejecución y la configuración guardada', () => {
+      // Arrange
+      BrowserService.stats.totalRevisados = 5;
+      BrowserService.reauthentications.push({ expediente: '1' });
+
+      // Act
+      BrowserService.configure({ runDir: '/mock/user/data/logs/run_1', headless: true });
+
+      // Assert
+      expect(BrowserService.runDir).toBe('/mock/user/data/logs/run_1');
+      expect(BrowserService.headless).toBe(true);
+      expect(BrowserService.strategy).toBe('dom');
+      expect(BrowserService.viewport).toEqual({ width: 1366, height: 768 });
+      expect(BrowserService.stats.totalRevisados).toBe(0);
+      expect(BrowserService.reauthentications).toEqual([]);
+    });
+  });
 });
\ No newline at end of file
@@ -1,4 +1,5 @@
-const ConfigService = require('../../../src/services/config-service');
+// El módulo exporta la instancia compartida; las pruebas crean instancias nuevas con su clase
+const ConfigService = require('../../../src/services/config-service').constructor;
 const Store = require('electron-store');
 const { BrowserWindow } = require('electron');
 const fileUtils = require('../../../src/utils/file-utils');
@@ -21,13 +22,16 @@ jest.mock('electron-store', () => {
 // Mock de fileUtils
 jest.mock('../../../src/utils/file-utils', () => ({
   getUserDataPath: jest.fn(file => `/mock/path/${file}`),
-  writeJsonFile: jest.fn().mockReturnValue(true)
+  readJsonFile: jest.fn((file, defaultValue) => defaultValue),
+  writeJsonFile: jest.fn().mockReturnValue(true),
+  removeFile: jest.fn().mockReturnValue(true)
 }));
 
 // Mock de logger
 jest.mock('../../../src/utils/logger', () => ({
   scope: jest.fn().mockReturnValue({
     info: jest.fn(),
+    warn: jest.fn(),
     error: jest.fn()
   })
 }));
@@ -42,6 +46,9 @@ describe('ConfigService', () => {
   
   describe('constructor', () => {
     test('debe inicializar Store correctamente', () => {
+      // Act
+      new ConfigService();
+
       // Assert
       expect(Store).toHaveBeenCalledWith(expect.objectContaining({
         name: 'config',
@@ -83,13 +90,13 @@ describe('ConfigService', () => {
       // Arrange
       const testCredentials = { username: 'test', password: 'password' };
       const configService = new ConfigService();
-      configService.store.get.mockReturnValue(testCredentials);
+      configService.store.get.mockImplementation((key, defaultValue) => (key === 'credentials' ? testCredentials : defaultValue));
       
       // Act
       const result = configService.getCredentials();
       
       // Assert
-      expect(result).toEqual(testCredentials);
+      expect(result).toEqual({ profile: 'Principal', ...testCredentials });
       expect(configService.store.get).toHaveBeenCalledWith('credentials');
     });
     
@@ -121,7 +128,10 @@ describe('ConfigService', () => {
       
       // Assert
       expect(result).toBe(true);
-      expect(configService.store.set).toHaveBeenCalledWith('credentials', { username, password });
+      expect(configService.store.set).toHaveBeenCalledWith('credentialProfiles', {
+        Principal: expect.objectContaining({ encrypted: expect.any(String) })
+      });
+      expect(JSON.stringify(configService.store.set.mock.calls)).not.toContain(password);
       expect(configService.store.set).toHaveBeenCalledWith('isConfigured', true);
     });
     
@@ -135,7 +145,7 @@ describe('ConfigService', () => {
       expect(() => configService.saveCredentials('', '')).toThrow();
     });
     
-    test('debe crear respaldo si falla al guardar', () => {
+    test('no debe guardar un respaldo en texto plano si falla al guardar', () => {
       // Arrange
       const configService = new ConfigService();
       configService.store.set.mockImplementation(() => {
@@ -144,11 +154,74 @@ describe('ConfigService', () => {
       
       // Act & Assert
       expect(() => configService.saveCredentials('test', 'password')).toThrow();
-      expect(fileUtils.writeJsonFile).toHaveBeenCalled();
+      expect(fileUtils.writeJsonFile).not.toHaveBeenCalled();
       expect(logger.scope().error).toHaveBeenCalled();
     });
   });
   
+  describe('cuentas del portal', () => {
+    let configService;
+
+    beforeEach(() => {
+      configService = new ConfigService();
+    });
+
+    test('debe guardar varias cuentas y usar la activa por defecto', () => {
+      // Act
+      configService.saveCredentials('usuario.a', 'clave-a', 'Proveedor A');
+      configService.saveCredentials('usuario.b', 'clave-b', ' Proveedor B ');
+
+      // Assert
+      expect(configService.listCredentialProfiles()).toEqual([
+        expect.objectContaining({ name: 'Proveedor A', username: 'usuario.a', active: true }),
+        expect.objectContaining({ name: 'Proveedor B', username: 'usuario.b', active: false })
+      ]);
+      expect(configService.getCredentials()).toEqual({ profile: 'Proveedor A', username: 'usuario.a', password: 'clave-a' });
+      expect(configService.getCredentials('Proveedor B').password).toBe('clave-b');
+    });
+
+    test('debe cambiar la cuenta activa y rechazar cuentas inexistentes', () => {
+      // Arrange
+      configService.saveCredentials('usuario.a', 'clave-a', 'Proveedor A');
+      configService.saveCredentials('usuario.b', 'clave-b', 'Proveedor B');
+
+      // Act
+      configService.setActiveCredentialProfile('Proveedor B');
+
+      // Assert
+      expect(configService.getActiveCredentialProfile()).toBe('Proveedor B');
+      expect(() => configService.setActiveCredentialProfile('Otra')).toThrow('No existe la cuenta "Otra"');
+    });
+
+    test('debe elegir otra cuenta al eliminar la activa', () => {
+      // Arrange
+      configService.saveCredentials('usuario.a', 'clave-a', 'Proveedor A');
+      configService.saveCredentials('usuario.b', 'clave-b', 'Proveedor B');
+
+      // Act
+      const deleted = configService.deleteCredentialProfile('Proveedor A');
+
+      // Assert
+      expect(deleted).toBe(true);
+      expect(configService.getActiveCredentialProfile()).toBe('Proveedor B');
+      expect(configService.deleteCredentialProfile('Proveedor A')).toBe(false);
+    });
+
+    test('debe migrar las credenciales en texto plano a la cuenta Principal', () => {
+      // Arrange
+      configService.store.set('credentials', { username: 'anterior', password: 'clave-anterior' });
+
+      // Act
+      const migrated = configService.migrateCredentials();
+
+      // Assert
+      expect(migrated).toBe(true);
+      expect(configService.store.get('credentials')).toBeUndefined();
+      expect(JSON.stringify(configService.store.get('credentialProfiles'))).not.toContain('clave-anterior');
+      expect(configService.getCredentials()).toEqual({ profile: 'Principal', username: 'anterior', password: 'clave-anterior' });
+    });
+  });
+
   describe('isConfigured', () => {
     test('debe devolver true si está configurado y tiene credenciales', () => {
       // Arrange
@@ -274,9 +347,11 @@ describe('ConfigService', () => {
       
       // Act
       const promise = configService.showConfigWindow();
+      await new Promise(resolve => setImmediate(resolve));
       
       // Simular cierre de ventana
-      configService.configWindow.emit('closed');
+      const [, onClosed] = configService.configWindow.on.mock.calls.find(([event]) => event === 'closed');
+      onClosed();
       
       // Assert
       await expect(promise).resolves.toBeDefined();
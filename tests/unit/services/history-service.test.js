@@ -0,0 +1,168 @@
+const HistoryService = require('../../../src/services/history-service');
+const FileUtils = require('../../../src/utils/file-utils');
+const { HISTORY_CONFIG, RUN_STATUS } = require('../../../src/config/constants');
+
+// Mock de FileUtils
+jest.mock('../../../src/utils/file-utils', () => ({
+  getUserDataPath: jest.fn(file => `/mock/user/data/${file}`),
+  readJsonFile: jest.fn(),
+  writeJsonFile: jest.fn().mockReturnValue(true),
+  appendJsonLine: jest.fn().mockReturnValue(true),
+  readJsonLines: jest.fn().mockReturnValue([]),
+  removeFile: jest.fn().mockReturnValue(true),
+  getTimestamp: jest.fn().mockReturnValue('2024-03-01_10-00-00')
+}));
+
+// Mock de logger
+jest.mock('../../../src/utils/logger', () => ({
+  scope: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+// Mock de config-service
+jest.mock('../../../src/services/config-service', () => ({
+  getCredentials: jest.fn().mockReturnValue({ username: 'operador.portal', password: 'secreto' })
+}));
+
+describe('HistoryService', () => {
+  // Simula el disco: ruta -> contenido JSON (o lista de líneas de un JSONL)
+  let disk;
+
+  const indexPath = () => HistoryService.getIndexPath();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    disk = {};
+    FileUtils.readJsonFile.mockImplementation((file, defaultValue) => (file in disk ? disk[file] : defaultValue));
+    FileUtils.writeJsonFile.mockImplementation((file, data) => {
+      disk[file] = JSON.parse(JSON.stringify(data));
+      return true;
+    });
+    FileUtils.appendJsonLine.mockImplementation((file, data) => {
+      disk[file] = [...(disk[file] || []), JSON.parse(JSON.stringify(data))];
+      return true;
+    });
+    FileUtils.readJsonLines.mockImplementation(file => disk[file] || []);
+  });
+
+  describe('startRun', () => {
+    test('debe registrar la ejecución con su operador y agregarla al índice', () => {
+      // Act
+      const run = HistoryService.startRun('/datos/expedientes.xlsx', { dryRun: true, strategy: 'dom' });
+
+      // Assert
+      expect(run.id).toMatch(/^2024-03-01_10-00-00-[0-9a-f]{6}$/);
+      expect(run.fileName).toBe('expedientes.xlsx');
+      expect(run.status).toBe(RUN_STATUS.RUNNING);
+      expect(run.operator.portal).toBe('operador.portal');
+      expect(JSON.stringify(run)).not.toContain('secreto');
+      expect(disk[HistoryService.getRunPath(run.id)]).toEqual(expect.objectContaining({ id: run.id, totalRows: 0 }));
+      expect(disk[HistoryService.getRunPath(run.id)].rows).toBeUndefined();
+      expect(disk[indexPath()].runs).toEqual([expect.objectContaining({ id: run.id, dryRun: true, totalRows: 0 })]);
+    });
+
+    test('debe registrar la cuenta del portal elegida para la ejecución', () => {
+      // Act
+      const run = HistoryService.startRun('/datos/expedientes.xlsx', { account: { profile: 'Proveedor B', username: 'usuario.b' } });
+
+      // Assert
+      expect(run.operator).toEqual(expect.objectContaining({ cuenta: 'Proveedor B', portal: 'usuario.b' }));
+    });
+  });
+
+  describe('recordRow y finishRun', () => {
+    test('debe guardar cada fila y el resumen final en el índice', () => {
+      // Arrange
+      const run = HistoryService.startRun('/datos/expedientes.xlsx');
+      FileUtils.writeJsonFile.mockClear();
+
+      // Act
+      HistoryService.recordRow(run, { rowNumber: 2, expediente: '111', outcome: 'accepted', aceptado: true });
+      const writesPerRow = FileUtils.writeJsonFile.mock.calls.length;
+      HistoryService.finishRun(run, { status: RUN_STATUS.COMPLETED, stats: { totalRevisados: 1, totalAceptados: 1 } });
+
+      // Assert: la fila se agrega sin reescribir la ejecución
+      expect(writesPerRow).toBe(0);
+      expect(disk[HistoryService.getRowsPath(run.id)]).toEqual([expect.objectContaining({ expediente: '111', checkedAt: expect.any(String) })]);
+      const saved = HistoryService.getRun(run.id);
+      expect(saved.rows).toEqual([expect.objectContaining({ expediente: '111' })]);
+      expect(saved.finishedAt).toEqual(expect.any(String));
+      const [summary] = disk[indexPath()].runs;
+      expect(summary).toEqual(expect.objectContaining({ status: RUN_STATUS.COMPLETED, totalRows: 1 }));
+      expect(summary.rows).toBeUndefined();
+      expect(summary.stats.totalAceptados).toBe(1);
+    });
+
+    test('debe eliminar las ejecuciones más antiguas al superar el límite', () => {
+      // Arrange
+      const runs = Array.from({ length: HISTORY_CONFIG.MAX_RUNS }, (_, i) => ({ id: `antigua-${i}` }));
+      disk[indexPath()] = { runs };
+
+      // Act
+      const run = HistoryService.startRun('/datos/expedientes.xlsx');
+
+      // Assert
+      const saved = disk[indexPath()].runs;
+      expect(saved).toHaveLength(HISTORY_CONFIG.MAX_RUNS);
+      expect(saved[0].id).toBe(run.id);
+      expect(FileUtils.removeFile).toHaveBeenCalledWith(HistoryService.getRunPath(`antigua-${HISTORY_CONFIG.MAX_RUNS - 1}`));
+      expect(FileUtils.removeFile).toHaveBeenCalledWith(HistoryService.getRowsPath(`antigua-${HISTORY_CONFIG.MAX_RUNS - 1}`));
+    });
+  });
+
+  describe('getRun', () => {
+    test('debe leer las filas de las ejecuciones guardadas en un solo archivo', () => {
+      // Arrange
+      disk[HistoryService.getRunPath('run-1')] = { id: 'run-1', rows: [{ rowNumber: 2, expediente: '111' }] };
+
+      // Act
+      const run = HistoryService.getRun('run-1');
+
+      // Assert
+      expect(run.rows).toEqual([{ rowNumber: 2, expediente: '111' }]);
+    });
+
+    test('no debe leer rutas fuera del historial', () => {
+      // Act
+      const run = HistoryService.getRun('../config');
+
+      // Assert
+      expect(run).toBeNull();
+      expect(FileUtils.readJsonFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchExpediente', () => {
+    test('debe encontrar el expediente en todas las ejecuciones, de la revisión más reciente a la más antigua', () => {
+      // Arrange
+      const older = { id: 'run-1', fileName: 'enero.xlsx', dryRun: false, status: RUN_STATUS.COMPLETED, rows: [
+        { rowNumber: 2, expediente: 'EXP-111', checkedAt: '2024-01-10T10:00:00.000Z' },
+        { rowNumber: 3, expediente: 'EXP-222', checkedAt: '2024-01-10T10:01:00.000Z' }
+      ] };
+      const newer = { id: 'run-2', fileName: 'febrero.xlsx', dryRun: true, status: RUN_STATUS.CANCELLED, rows: [
+        { rowNumber: 5, expediente: 'exp-111', checkedAt: '2024-02-10T10:00:00.000Z' }
+      ] };
+      disk[indexPath()] = { runs: [{ id: 'run-2' }, { id: 'run-1' }] };
+      disk[HistoryService.getRunPath('run-1')] = older;
+      disk[HistoryService.getRunPath('run-2')] = newer;
+
+      // Act
+      const results = HistoryService.searchExpediente(' EXP-111 ');
+
+      // Assert
+      expect(results.map(r => [r.runId, r.fileName, r.rowNumber])).toEqual([
+        ['run-2', 'febrero.xlsx', 5],
+        ['run-1', 'enero.xlsx', 2]
+      ]);
+      expect(results[0].dryRun).toBe(true);
+      expect(results[0].runStatus).toBe(RUN_STATUS.CANCELLED);
+    });
+
+    test('debe devolver una lista vacía si la búsqueda está vacía', () => {
+      expect(HistoryService.searchExpediente('  ')).toEqual([]);
+    });
+  });
+});
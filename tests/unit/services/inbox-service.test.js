@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const InboxService = require('../../../src/services/inbox-service');
+const journalService = require('../../../src/services/journal-service');
+const { readExpedientesAndRows } = require('../../../src/utils/readExcel');
+const { INBOX_CONFIG } = require('../../../src/config/constants');
+
+// Mock de readExcel
+jest.mock('../../../src/utils/readExcel', () => ({
+  readExpedientesAndRows: jest.fn()
+}));
+
+// Mock de FileUtils
+jest.mock('../../../src/utils/file-utils', () => ({
+  ensureDirectoryExists: jest.fn().mockReturnValue(true),
+  getTimestamp: jest.fn().mockReturnValue('2024-03-01_10-00-00')
+}));
+
+// Mock de la bitácora
+jest.mock('../../../src/services/journal-service', () => ({
+  relocate: jest.fn().mockReturnValue(true)
+}));
+
+// Mock de logger
+jest.mock('../../../src/utils/logger', () => ({
+  scope: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('InboxService', () => {
+  const folder = '/buzon';
+  const file = (name) => ({ name, isFile: () => true });
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    handler = jest.fn().mockResolvedValue({ cancelled: false, lines: ['Expedientes revisados: 3 de 3'] });
+    fs.existsSync.mockReturnValue(false);
+    fs.statSync.mockReturnValue({ size: 100, mtimeMs: 1 });
+    readExpedientesAndRows.mockResolvedValue({ filas: [{ expediente: '111', rowNumber: 2 }] });
+  });
+
+  afterEach(async () => {
+    await InboxService.stop();
+    jest.useRealTimers();
+  });
+
+  describe('scan', () => {
+    test('debe encolar solo libros .xlsx cuyo tamaño ya no cambia', () => {
+      // Arrange
+      fs.readdirSync.mockReturnValue([
+        file('enero.xlsx'), file('~$enero.xlsx'), file('notas.txt'), { name: 'processed', isFile: () => false }
+      ]);
+      InboxService.start(folder, handler);
+
+      // Act
+      InboxService.scan();
+
+      // Assert
+      expect(InboxService.handled).toEqual(new Set([path.join(folder, 'enero.xlsx')]));
+      expect(InboxService.pending.size).toBe(0);
+    });
+
+    test('debe esperar mientras el archivo se sigue copiando', () => {
+      // Arrange
+      fs.readdirSync.mockReturnValue([file('enero.xlsx')]);
+      InboxService.start(folder, handler);
+
+      // Act
+      fs.statSync.mockReturnValue({ size: 200, mtimeMs: 2 });
+      InboxService.scan();
+
+      // Assert
+      expect(InboxService.handled.size).toBe(0);
+      expect(InboxService.pending.get(path.join(folder, 'enero.xlsx'))).toBe('200:2');
+    });
+
+    test('debe procesar de nuevo un archivo con el mismo nombre después de moverlo', async () => {
+      // Arrange: la primera exportación se procesa y se mueve a processed/
+      fs.readdirSync.mockReturnValue([file('exportacion.xlsx')]);
+      InboxService.start(folder, handler);
+      InboxService.scan();
+      await InboxService.current;
+
+      // Act: llega otra exportación con el mismo nombre
+      fs.statSync.mockReturnValue({ size: 300, mtimeMs: 3 });
+      InboxService.scan();
+      InboxService.scan();
+      await InboxService.current;
+
+      // Assert
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(fs.renameSync).toHaveBeenCalledTimes(2);
+      expect(InboxService.handled.size).toBe(0);
+    });
+  });
+
+  describe('processFile', () => {
+    beforeEach(() => {
+      fs.readdirSync.mockReturnValue([]);
+      InboxService.start(folder, handler);
+    });
+
+    test('debe mover el libro procesado a processed/ con su reporte', async () => {
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      const destination = path.join(folder, INBOX_CONFIG.PROCESSED_DIR, 'enero.xlsx');
+      expect(handler).toHaveBeenCalledWith(path.join(folder, 'enero.xlsx'));
+      expect(fs.renameSync).toHaveBeenCalledWith(path.join(folder, 'enero.xlsx'), destination);
+      expect(result.reportPath).toBe(path.join(folder, INBOX_CONFIG.PROCESSED_DIR, `enero${INBOX_CONFIG.REPORT_SUFFIX}`));
+      const [reportPath, report] = fs.writeFileSync.mock.calls[0];
+      expect(reportPath).toBe(result.reportPath);
+      expect(report).toContain('Estado: procesado');
+      expect(report).toContain('Expedientes revisados: 3 de 3');
+      expect(journalService.relocate).toHaveBeenCalledWith(path.join(folder, 'enero.xlsx'), destination);
+    });
+
+    test('debe mover a failed/ con su bitácora el libro con expedientes fallidos', async () => {
+      // Arrange
+      handler.mockResolvedValue({ cancelled: false, failed: 2, lines: ['Expedientes revisados: 3 de 3'] });
+
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      const destination = path.join(folder, INBOX_CONFIG.FAILED_DIR, 'enero.xlsx');
+      expect(result.destination).toBe(destination);
+      expect(journalService.relocate).toHaveBeenCalledWith(path.join(folder, 'enero.xlsx'), destination);
+      const report = fs.writeFileSync.mock.calls[0][1];
+      expect(report).toContain('Estado: fallido');
+      expect(report).toContain('Expedientes con error: 2');
+      expect(report).toContain('continúe la ejecución');
+      expect(report).toContain('Expedientes revisados: 3 de 3');
+    });
+
+    test('debe mover a failed/ un libro con formato no válido sin procesarlo', async () => {
+      // Arrange
+      readExpedientesAndRows.mockRejectedValue(new Error('No se encontró la columna "Expediente" en el encabezado (fila 1).'));
+
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      expect(handler).not.toHaveBeenCalled();
+      expect(result.destination).toBe(path.join(folder, INBOX_CONFIG.FAILED_DIR, 'enero.xlsx'));
+      expect(fs.writeFileSync.mock.calls[0][1]).toContain('Formato no válido: No se encontró la columna "Expediente"');
+    });
+
+    test('debe mover a failed/ el libro cuya ejecución falla', async () => {
+      // Arrange
+      handler.mockRejectedValue(new Error('No se pudo inicializar el navegador.'));
+
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      expect(result.status).toBe(INBOX_CONFIG.FAILED_DIR);
+      expect(fs.writeFileSync.mock.calls[0][1]).toContain('Error: No se pudo inicializar el navegador.');
+    });
+
+    test('debe dejar en la carpeta el libro interrumpido', async () => {
+      // Arrange
+      handler.mockResolvedValue({ cancelled: true });
+
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      expect(result).toBeNull();
+      expect(fs.renameSync).not.toHaveBeenCalled();
+      expect(journalService.relocate).not.toHaveBeenCalled();
+    });
+
+    test('no debe reemplazar un libro con el mismo nombre ya procesado', async () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+
+      // Act
+      const result = await InboxService.processFile(path.join(folder, 'enero.xlsx'));
+
+      // Assert
+      expect(result.destination).toBe(path.join(folder, INBOX_CONFIG.PROCESSED_DIR, 'enero_2024-03-01_10-00-00.xlsx'));
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const path = require('path');
+const JournalService = require('../../../src/services/journal-service');
+const FileUtils = require('../../../src/utils/file-utils');
+const { JOURNAL_ROW_STATUS } = require('../../../src/config/constants');
+
+// Mock de FileUtils
+jest.mock('../../../src/utils/file-utils', () => ({
+  getUserDataPath: jest.fn(file => `/mock/user/data/${file}`),
+  readJsonFile: jest.fn(),
+  writeJsonFile: jest.fn().mockReturnValue(true),
+  readJsonLines: jest.fn().mockReturnValue([]),
+  appendJsonLine: jest.fn().mockReturnValue(true),
+  writeJsonLines: jest.fn().mockReturnValue(true),
+  getFileHash: jest.fn().mockReturnValue('hash-actual'),
+  removeFile: jest.fn().mockReturnValue(true)
+}));
+
+// Mock de logger
+jest.mock('../../../src/utils/logger', () => ({
+  scope: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('JournalService', () => {
+  const filePath = '/datos/expedientes.xlsx';
+
+  const buildJournal = (overrides = {}) => ({
+    filePath,
+    fileHash: 'hash-actual',
+    dryRun: false,
+    lastRowNumber: 4,
+    completed: false,
+    rows: {
+      2: { expediente: '111', status: JOURNAL_ROW_STATUS.ACCEPTED },
+      3: { expediente: '222', status: JOURNAL_ROW_STATUS.PROCESSED },
+      4: { expediente: '333', status: JOURNAL_ROW_STATUS.FAILED }
+    },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    FileUtils.getFileHash.mockReturnValue('hash-actual');
+    FileUtils.writeJsonFile.mockReturnValue(true);
+    FileUtils.readJsonLines.mockReturnValue([]);
+  });
+
+  describe('getJournalPath', () => {
+    test('debe generar la misma ruta para el mismo archivo', () => {
+      // Act
+      const first = JournalService.getJournalPath(filePath);
+      const second = JournalService.getJournalPath(filePath);
+
+      // Assert
+      expect(first).toBe(second);
+      expect(first).toMatch(/journals[\\/][0-9a-f]{40}\.json$/);
+    });
+  });
+
+  describe('getResumeInfo', () => {
+    test('debe devolver el resumen de una ejecución incompleta', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal());
+
+      // Act
+      const info = JournalService.getResumeInfo(filePath);
+
+      // Assert
+      expect(info).toEqual(expect.objectContaining({
+        lastRowNumber: 4,
+        nextRowNumber: 5,
+        processed: 3,
+        accepted: 1,
+        failed: 1,
+        dryRun: false
+      }));
+    });
+
+    test('debe devolver null si el archivo cambió desde la última ejecución', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal());
+      FileUtils.getFileHash.mockReturnValue('hash-distinto');
+
+      // Act & Assert
+      expect(JournalService.getResumeInfo(filePath)).toBeNull();
+    });
+
+    test('debe devolver null si la ejecución está completa', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal({ completed: true }));
+
+      // Act & Assert
+      expect(JournalService.getResumeInfo(filePath)).toBeNull();
+    });
+
+    test('debe sumar las filas agregadas a la bitácora, con el último registro de cada fila', () => {
+      // Arrange
+      const { rows, ...header } = buildJournal();
+      FileUtils.readJsonFile.mockReturnValue({ ...header, lastRowNumber: 0 });
+      FileUtils.readJsonLines.mockReturnValue([
+        { rowNumber: 2, ...rows[2] },
+        { rowNumber: 3, ...rows[4], expediente: '222' },
+        { rowNumber: 3, ...rows[3] },
+        { rowNumber: 4, ...rows[4] }
+      ]);
+
+      // Act
+      const info = JournalService.getResumeInfo(filePath);
+
+      // Assert
+      expect(FileUtils.readJsonLines).toHaveBeenCalledWith(JournalService.getRowsPath(filePath));
+      expect(info).toEqual(expect.objectContaining({ lastRowNumber: 4, processed: 3, accepted: 1, failed: 1 }));
+    });
+
+    test('debe devolver null si no existe bitácora', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(null);
+
+      // Act & Assert
+      expect(JournalService.getResumeInfo(filePath)).toBeNull();
+    });
+  });
+
+  describe('start', () => {
+    test('debe reutilizar la bitácora existente al continuar', () => {
+      // Arrange
+      const existing = buildJournal();
+      FileUtils.readJsonFile.mockReturnValue(existing);
+
+      // Act
+      const journal = JournalService.start(filePath, { resume: true });
+
+      // Assert: las filas se reescriben compactadas y los datos de la ejecución sin las filas
+      expect(journal).toBe(existing);
+      const [rowsPath, rows] = FileUtils.writeJsonLines.mock.calls[0];
+      expect(rowsPath).toBe(JournalService.getRowsPath(filePath));
+      expect(rows.map(row => row.rowNumber)).toEqual([2, 3, 4]);
+      expect(FileUtils.writeJsonFile.mock.calls[0][1].rows).toBeUndefined();
+    });
+
+    test('debe crear una bitácora nueva si no se solicita continuar', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal());
+
+      // Act
+      const journal = JournalService.start(filePath);
+
+      // Assert
+      expect(journal.rows).toEqual({});
+      expect(journal.lastRowNumber).toBe(0);
+      expect(FileUtils.removeFile).toHaveBeenCalledWith(JournalService.getRowsPath(filePath));
+      expect(FileUtils.writeJsonFile).toHaveBeenCalled();
+    });
+
+    test('debe crear una bitácora nueva si el modo de simulación no coincide', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal());
+
+      // Act
+      const journal = JournalService.start(filePath, { resume: true, dryRun: true });
+
+      // Assert
+      expect(journal.rows).toEqual({});
+      expect(journal.dryRun).toBe(true);
+    });
+
+    test('debe registrar el archivo de resultados para usarlo al continuar', () => {
+      // Arrange
+      const outputPath = '/datos/expedientes_resultados_20240131-153045.xlsx';
+      FileUtils.readJsonFile.mockReturnValue(null);
+
+      // Act
+      const journal = JournalService.start(filePath, { outputPath });
+      FileUtils.readJsonFile.mockReturnValue(journal);
+
+      // Assert
+      expect(journal.outputPath).toBe(outputPath);
+      expect(JournalService.getResumeInfo(filePath).outputPath).toBe(outputPath);
+    });
+  });
+
+  describe('isRowDone', () => {
+    test('debe omitir filas resueltas y reintentar las fallidas', () => {
+      // Arrange
+      const journal = buildJournal();
+
+      // Act & Assert
+      expect(JournalService.isRowDone(journal, 2)).toBe(true);
+      expect(JournalService.isRowDone(journal, 3)).toBe(true);
+      expect(JournalService.isRowDone(journal, 4)).toBe(false);
+      expect(JournalService.isRowDone(journal, 5)).toBe(false);
+    });
+  });
+
+  describe('recordRow', () => {
+    test('debe registrar la fila y avanzar la última fila completada', () => {
+      // Arrange
+      const journal = buildJournal();
+
+      // Act
+      JournalService.recordRow(journal, 7, {
+        expediente: '444',
+        status: JOURNAL_ROW_STATUS.PROCESSED
+      });
+
+      // Assert
+      expect(journal.rows[7].status).toBe(JOURNAL_ROW_STATUS.PROCESSED);
+      expect(journal.lastRowNumber).toBe(7);
+      expect(FileUtils.appendJsonLine).toHaveBeenCalledWith(
+        JournalService.getRowsPath(filePath),
+        expect.objectContaining({ rowNumber: 7, expediente: '444', status: JOURNAL_ROW_STATUS.PROCESSED })
+      );
+      expect(FileUtils.writeJsonFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('finish', () => {
+    test('debe dejar la bitácora abierta si quedan filas fallidas', () => {
+      // Arrange
+      const journal = buildJournal();
+
+      // Act
+      const completed = JournalService.finish(journal);
+
+      // Assert
+      expect(completed).toBe(false);
+      expect(journal.completed).toBe(false);
+    });
+
+    test('debe marcar la bitácora como completa sin filas fallidas', () => {
+      // Arrange
+      const journal = buildJournal();
+      journal.rows[4].status = JOURNAL_ROW_STATUS.PROCESSED;
+
+      // Act
+      const completed = JournalService.finish(journal);
+
+      // Assert
+      expect(completed).toBe(true);
+      expect(journal.completed).toBe(true);
+    });
+  });
+
+  describe('relocate', () => {
+    test('debe trasladar la bitácora y sus resultados a la nueva ruta del archivo', () => {
+      // Arrange
+      const destination = '/datos/failed/expedientes.xlsx';
+      FileUtils.readJsonFile.mockReturnValue(buildJournal({
+        filePath: path.resolve(filePath),
+        outputPath: path.resolve(filePath)
+      }));
+
+      // Act
+      const relocated = JournalService.relocate(filePath, destination);
+
+      // Assert
+      expect(relocated).toBe(true);
+      const [savedPath, saved] = FileUtils.writeJsonFile.mock.calls[0];
+      expect(savedPath).toBe(JournalService.getJournalPath(destination));
+      expect(saved.filePath).toBe(path.resolve(destination));
+      expect(saved.outputPath).toBe(path.resolve(destination));
+      const [rowsPath, rows] = FileUtils.writeJsonLines.mock.calls[0];
+      expect(rowsPath).toBe(JournalService.getRowsPath(destination));
+      expect(rows).toContainEqual(expect.objectContaining({ rowNumber: 4, status: JOURNAL_ROW_STATUS.FAILED }));
+      expect(FileUtils.removeFile).toHaveBeenCalledWith(JournalService.getJournalPath(filePath));
+      expect(FileUtils.removeFile).toHaveBeenCalledWith(JournalService.getRowsPath(filePath));
+    });
+
+    test('no debe hacer nada si el archivo no tiene bitácora', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(null);
+
+      // Act
+      const relocated = JournalService.relocate(filePath, '/datos/processed/expedientes.xlsx');
+
+      // Assert
+      expect(relocated).toBe(false);
+      expect(FileUtils.writeJsonFile).not.toHaveBeenCalled();
+      expect(FileUtils.removeFile).not.toHaveBeenCalled();
+    });
+
+    test('debe conservar la bitácora anterior si no se pudo guardar la nueva', () => {
+      // Arrange
+      FileUtils.readJsonFile.mockReturnValue(buildJournal());
+      FileUtils.writeJsonFile.mockReturnValue(false);
+
+      // Act
+      const relocated = JournalService.relocate(filePath, '/datos/failed/expedientes.xlsx');
+
+      // Assert
+      expect(relocated).toBe(false);
+      expect(FileUtils.removeFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const PortalApiService = require('../../../src/services/portal-api-service');
+const axios = require('axios');
+const { PORTAL_CONFIG } = require('../../../src/config/constants');
+
+// Mock del logger
+jest.mock('../../../src/utils/logger', () => ({
+  scope: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  })
+}));
+
+describe('PortalApiService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PortalApiService.clearSession();
+  });
+
+  describe('setSession', () => {
+    test('debe agregar el prefijo Bearer al token', () => {
+      // Act
+      PortalApiService.setSession({ token: 'abc123', apiBaseUrl: 'https://api.example.com' });
+
+      // Assert
+      expect(PortalApiService.hasSession()).toBe(true);
+      expect(PortalApiService.token).toBe('Bearer abc123');
+      expect(PortalApiService.apiBaseUrl).toBe('https://api.example.com');
+    });
+
+    test('no debe registrar una sesión sin token', () => {
+      // Act
+      PortalApiService.setSession({ token: '' });
+
+      // Assert
+      expect(PortalApiService.hasSession()).toBe(false);
+    });
+  });
+
+  describe('attachToPage', () => {
+    test('debe capturar el token de las peticiones autenticadas al portal', () => {
+      // Arrange
+      const page = { on: jest.fn() };
+      PortalApiService.attachToPage(page);
+      const onRequest = page.on.mock.calls[0][1];
+
+      // Act
+      onRequest({
+        headers: () => ({ authorization: 'Bearer token-portal' }),
+        url: () => `${PORTAL_CONFIG.BASE_URL}/api/services?x=1`
+      });
+
+      // Assert
+      expect(PortalApiService.token).toBe('Bearer token-portal');
+      expect(PortalApiService.apiBaseUrl).toBe(PORTAL_CONFIG.BASE_URL);
+    });
+
+    test('no debe capturar el token de peticiones a otros dominios', () => {
+      // Arrange
+      const page = { on: jest.fn() };
+      PortalApiService.attachToPage(page);
+      const onRequest = page.on.mock.calls[0][1];
+
+      // Act
+      onRequest({
+        headers: () => ({ authorization: 'Bearer token-analitica' }),
+        url: () => 'https://analytics.example.com/collect'
+      });
+
+      // Assert
+      expect(PortalApiService.hasSession()).toBe(false);
+    });
+  });
+
+  describe('captureFromStorage', () => {
+    test('debe obtener el token del almacenamiento del navegador', async () => {
+      // Arrange
+      const page = {
+        evaluate: jest.fn().mockResolvedValue(JSON.stringify({ idioma: 'es', access_token: 'xyz' }))
+      };
+
+      // Act
+      const result = await PortalApiService.captureFromStorage(page);
+
+      // Assert
+      expect(result).toBe(true);
+      expect(PortalApiService.token).toBe('Bearer xyz');
+    });
+
+    test('debe devolver false si no hay token almacenado', async () => {
+      // Arrange
+      const page = { evaluate: jest.fn().mockResolvedValue('{}') };
+
+      // Act & Assert
+      await expect(PortalApiService.captureFromStorage(page)).resolves.toBe(false);
+    });
+  });
+
+  describe('searchExpediente', () => {
+    test('debe consultar la API y normalizar los servicios', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockResolvedValue({
+        data: {
+          data: {
+            content: [{
+              idServicio: 77,
+              noExpediente: 123456,
+              importe: '$1,234.50',
+              estado: 'Pendiente',
+              tipoServicio: 'Grúa'
+            }]
+          }
+        }
+      });
+
+      // Act
+      const result = await PortalApiService.searchExpediente('123456');
+
+      // Assert
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'get',
+        baseURL: PORTAL_CONFIG.BASE_URL,
+        url: PORTAL_CONFIG.API_ENDPOINTS.SEARCH_PENDIENTES,
+        params: { expediente: '123456' },
+        headers: expect.objectContaining({ Authorization: 'Bearer abc' })
+      }));
+      expect(result).toEqual([expect.objectContaining({
+        id: 77,
+        expediente: '123456',
+        costo: 1234.5,
+        estatus: 'Pendiente',
+        servicio: 'Grúa'
+      })]);
+    });
+
+    test('debe descartar los servicios de otros expedientes', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockResolvedValue({
+        data: [
+          { id: 1, expediente: '999999', costo: 1000 },
+          { id: 2, expediente: '123456', costo: 1000 }
+        ]
+      });
+
+      // Act
+      const result = await PortalApiService.searchExpediente('123456');
+
+      // Assert
+      expect(result.map(service => service.id)).toEqual([2]);
+    });
+
+    test('debe rechazar la respuesta si ningún servicio es del expediente', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockResolvedValue({ data: [{ id: 1, expediente: '999999', costo: 1000 }, { id: 3, costo: 1000 }] });
+
+      // Act & Assert
+      await expect(PortalApiService.searchExpediente('123456')).rejects.toThrow('ninguno del expediente 123456');
+    });
+
+    test('no debe convertir en 0 un costo ausente o ilegible', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockResolvedValue({ data: [{ id: 1, expediente: '123456' }, { id: 2, expediente: '123456', costo: 'pendiente' }] });
+
+      // Act
+      const result = await PortalApiService.searchExpediente('123456');
+
+      // Assert
+      expect(result.map(service => service.costo)).toEqual([null, null]);
+    });
+
+    test('debe lanzar error sin sesión', async () => {
+      await expect(PortalApiService.searchExpediente('1')).rejects.toThrow('No hay sesión');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test('debe incluir el código de estado en los errores de la API', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockRejectedValue({ response: { status: 401 } });
+
+      // Act & Assert
+      await expect(PortalApiService.searchExpediente('1')).rejects.toMatchObject({ status: 401 });
+    });
+
+    test('debe rechazar respuestas con formato desconocido', async () => {
+      // Arrange
+      PortalApiService.setSession({ token: 'abc' });
+      axios.mockResolvedValue({ data: { mensaje: 'ok' } });
+
+      // Act & Assert
+      await expect(PortalApiService.searchExpediente('1')).rejects.toThrow('formato desconocido');
+    });
+  });
+
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const BrowserLocator = require('../../../src/utils/browser-locator');
+
+describe('BrowserLocator', () => {
+  const originalPath = process.env.PATH;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    process.env.PATH = originalPath;
+  });
+
+  describe('find', () => {
+    test('debe usar la ruta configurada por el usuario', async () => {
+      // Arrange
+      fs.existsSync.mockImplementation(p => p === '/opt/navegador/chrome');
+
+      // Act
+      const result = await BrowserLocator.find({ executablePath: ' /opt/navegador/chrome ', platform: 'linux' });
+
+      // Assert
+      expect(result).toEqual({ path: '/opt/navegador/chrome', source: 'configurado' });
+    });
+
+    test('debe lanzar error si la ruta configurada no existe', async () => {
+      // Act & Assert
+      await expect(BrowserLocator.find({ executablePath: '/no/existe', platform: 'linux' }))
+        .rejects.toThrow('No se encontró el navegador en la ruta indicada: /no/existe');
+    });
+
+    test('debe encontrar Chromium de snap en Linux', async () => {
+      // Arrange
+      fs.existsSync.mockImplementation(p => p === '/snap/bin/chromium');
+
+      // Act
+      const result = await BrowserLocator.find({ platform: 'linux' });
+
+      // Assert
+      expect(result).toEqual({ path: '/snap/bin/chromium', source: 'chrome' });
+    });
+
+    test('debe encontrar Chrome de flatpak instalado por el usuario', async () => {
+      // Arrange
+      fs.existsSync.mockImplementation(p => p.endsWith('.local/share/flatpak/exports/bin/com.google.Chrome'));
+
+      // Act
+      const result = await BrowserLocator.find({ platform: 'linux' });
+
+      // Assert
+      expect(result.path).toContain('com.google.Chrome');
+    });
+
+    test('debe buscar en el PATH si no está en las rutas conocidas', async () => {
+      // Arrange
+      process.env.PATH = ['/home/usuario/bin', '/usr/local/bin'].join(path.delimiter);
+      fs.existsSync.mockImplementation(p => p === path.join('/usr/local/bin', 'chromium-browser'));
+
+      // Act
+      const result = await BrowserLocator.find({ platform: 'linux' });
+
+      // Assert
+      expect(result).toEqual({ path: path.join('/usr/local/bin', 'chromium-browser'), source: 'PATH' });
+    });
+
+    test('debe lanzar error en Linux si no encuentra navegador', async () => {
+      // Act & Assert
+      await expect(BrowserLocator.find({ platform: 'linux' }))
+        .rejects.toThrow('Chrome o Chromium no encontrado en Linux');
+    });
+
+    test('debe mantener el mensaje de macOS', async () => {
+      // Act & Assert
+      await expect(BrowserLocator.find({ platform: 'darwin' }))
+        .rejects.toThrow('Chrome no encontrado en macOS');
+    });
+  });
+
+  describe('validateExecutable', () => {
+    test('debe devolver null si la ruta está vacía', () => {
+      expect(BrowserLocator.validateExecutable('  ')).toBeNull();
+      expect(BrowserLocator.validateExecutable(null)).toBeNull();
+    });
+  });
+});
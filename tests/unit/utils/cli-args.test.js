@@ -0,0 +1,86 @@
+const path = require('path');
+const CliArgs = require('../../../src/utils/cli-args');
+
+describe('CliArgs', () => {
+  describe('isBatch', () => {
+    test('debe detectar el modo de línea de comandos con --process o --watch', () => {
+      expect(CliArgs.isBatch(['electron', '.', '--process', 'datos.xlsx'])).toBe(true);
+      expect(CliArgs.isBatch(['electron', '.', '--process=datos.xlsx'])).toBe(true);
+      expect(CliArgs.isBatch(['electron', '.', '--watch', 'buzon'])).toBe(true);
+    });
+
+    test('debe atender sin ventanas --help', () => {
+      expect(CliArgs.isBatch(['electron', '.', '--help'])).toBe(true);
+    });
+
+    test('debe abrir la interfaz con las opciones de arranque de Electron o del instalador', () => {
+      expect(CliArgs.isBatch(['electron', '.'])).toBe(false);
+      expect(CliArgs.isBatch(['electron', '.', '--debug', '--no-sandbox', '--inspect=9229'])).toBe(false);
+      expect(CliArgs.isBatch(['app.exe', '--squirrel-firstrun'])).toBe(false);
+    });
+
+    test('debe abrir la interfaz con opciones desconocidas de Chromium o del sistema', () => {
+      expect(CliArgs.isBatch(['app', '--ozone-platform-hint=auto', '--enable-features=WaylandWindowDecorations'])).toBe(false);
+      expect(CliArgs.isBatch(['app', '--lang=es-MX', '--no-sandbox'])).toBe(false);
+      expect(CliArgs.isBatch(['electron', '.', '--dry-run'])).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    test('debe leer las opciones con valor separado o con =', () => {
+      // Act
+      const options = CliArgs.parse([
+        'electron', '.', '--process', 'datos.xlsx', '--output=resultados',
+        '--profile', 'Proveedor B', '--workers', '3', '--strategy', 'api', '--dry-run'
+      ]);
+
+      // Assert
+      expect(options).toEqual({
+        filePath: path.resolve('datos.xlsx'),
+        watchDir: null,
+        outputDir: path.resolve('resultados'),
+        profile: 'Proveedor B',
+        workers: 3,
+        strategy: 'api',
+        dryRun: true,
+        showBrowser: false,
+        help: false
+      });
+    });
+
+    test('debe ignorar los argumentos desconocidos de Electron', () => {
+      // Act
+      const options = CliArgs.parse(['electron', '--no-sandbox', '.', '--process', 'datos.xlsx']);
+
+      // Assert
+      expect(options.filePath).toBe(path.resolve('datos.xlsx'));
+      expect(options.dryRun).toBe(false);
+    });
+
+    test('debe rechazar argumentos incompletos o inválidos', () => {
+      expect(() => CliArgs.parse(['--dry-run'])).toThrow('--process <archivo>');
+      expect(() => CliArgs.parse(['--process', '--dry-run'])).toThrow('Falta el valor de --process');
+      expect(() => CliArgs.parse(['--process', 'datos.xlsx', '--workers', '0'])).toThrow('--workers');
+      expect(() => CliArgs.parse(['--process', 'datos.xlsx', '--strategy', 'otra'])).toThrow('--strategy');
+      expect(() => CliArgs.parse(['--proces', 'datos.xlsx'])).toThrow('Opción desconocida: --proces');
+    });
+
+    test('debe leer la carpeta de entrada de --watch', () => {
+      // Act
+      const options = CliArgs.parse(['--watch', 'buzon', '--dry-run']);
+
+      // Assert
+      expect(options.watchDir).toBe(path.resolve('buzon'));
+      expect(options.filePath).toBeNull();
+    });
+
+    test('debe rechazar --watch junto con --process o --output', () => {
+      expect(() => CliArgs.parse(['--watch', 'buzon', '--process', 'datos.xlsx'])).toThrow('no ambos');
+      expect(() => CliArgs.parse(['--watch', 'buzon', '--output', 'resultados'])).toThrow('--output no se usa con --watch');
+    });
+
+    test('debe permitir pedir ayuda sin indicar archivo', () => {
+      expect(CliArgs.parse(['--help']).help).toBe(true);
+    });
+  });
+});
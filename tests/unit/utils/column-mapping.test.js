@@ -0,0 +1,261 @@
+const ColumnMapping = require('../../../src/utils/column-mapping');
+const { DEFAULT_COLUMN_MAPPING } = require('../../../src/config/constants');
+
+/**
+ * Crea un worksheet simulado a partir de una matriz de valores
+ */
+const buildWorksheet = (data) => {
+  const cells = {};
+  data.forEach((values, r) => {
+    values.forEach((value, c) => {
+      cells[`${r + 1}:${c + 1}`] = { value };
+    });
+  });
+
+  const getCell = (rowNumber, colNumber) => {
+    const key = `${rowNumber}:${colNumber}`;
+    if (!cells[key]) cells[key] = { value: null };
+    return cells[key];
+  };
+
+  return {
+    cells,
+    rowCount: data.length,
+    columnCount: Math.max(...data.map(values => values.length)),
+    getRow: rowNumber => ({
+      getCell: colNumber => getCell(rowNumber, colNumber),
+      eachCell: (options, callback) => {
+        (data[rowNumber - 1] || []).forEach((value, c) => {
+          if (value !== null && value !== undefined) {
+            callback(getCell(rowNumber, c + 1), c + 1);
+          }
+        });
+      }
+    })
+  };
+};
+
+describe('ColumnMapping', () => {
+  describe('letterToNumber', () => {
+    test('debe convertir letras de columna a números', () => {
+      expect(ColumnMapping.letterToNumber('A')).toBe(1);
+      expect(ColumnMapping.letterToNumber('i')).toBe(9);
+      expect(ColumnMapping.letterToNumber('AA')).toBe(27);
+    });
+  });
+
+  describe('isColumnLetter', () => {
+    test('debe distinguir letras de nombres de encabezado', () => {
+      expect(ColumnMapping.isColumnLetter('B')).toBe(true);
+      expect(ColumnMapping.isColumnLetter('AB')).toBe(true);
+      expect(ColumnMapping.isColumnLetter('Costo')).toBe(false);
+      expect(ColumnMapping.isColumnLetter('No. Expediente')).toBe(false);
+    });
+  });
+
+  describe('getCellText', () => {
+    test('debe obtener texto de valores simples, enriquecidos y fórmulas', () => {
+      expect(ColumnMapping.getCellText(12345)).toBe('12345');
+      expect(ColumnMapping.getCellText({ richText: [{ text: 'No. ' }, { text: 'Exp' }] })).toBe('No. Exp');
+      expect(ColumnMapping.getCellText({ formula: 'A1', result: 99 })).toBe('99');
+      expect(ColumnMapping.getCellText(null)).toBe('');
+    });
+  });
+
+  describe('validate', () => {
+    test('debe completar el perfil con los valores por defecto', () => {
+      // Act
+      const result = ColumnMapping.validate({ input: { expediente: 'Folio' } });
+
+      // Assert
+      expect(result.headerRow).toBe('auto');
+      expect(result.input).toEqual({ expediente: 'Folio', costo: 'B' });
+      expect(result.output).toEqual(DEFAULT_COLUMN_MAPPING.output);
+    });
+
+    test('debe rechazar una fila de encabezado inválida', () => {
+      expect(() => ColumnMapping.validate({ headerRow: -1 })).toThrow('fila de encabezado');
+      expect(() => ColumnMapping.validate({ headerRow: 'abc' })).toThrow('fila de encabezado');
+    });
+
+    test('debe rechazar columnas vacías', () => {
+      expect(() => ColumnMapping.validate({ output: { estatus: ' ' } })).toThrow('estatus');
+    });
+
+    test('debe rechazar una columna de salida que es una de entrada', () => {
+      expect(() => ColumnMapping.validate({ input: { costo: 'C' } })).toThrow('La columna de salida "costo" (C) es la misma que la de entrada "costo"');
+      expect(() => ColumnMapping.validate({ input: { servicio: 'g' } })).toThrow('la de entrada "servicio"');
+    });
+
+    test('debe rechazar dos columnas de salida iguales', () => {
+      expect(() => ColumnMapping.validate({ output: { validacion: 'resultado del proceso' } }))
+        .toThrow('La columna de salida "resultado" (Resultado del proceso) es la misma que la de salida "validacion"');
+    });
+
+    test('debe omitir las columnas de entrada opcionales vacías', () => {
+      // Act
+      const result = ColumnMapping.validate({ input: { servicio: 'Servicio', subservicio: '' } });
+
+      // Assert
+      expect(result.input).toEqual({ expediente: 'A', costo: 'B', servicio: 'Servicio' });
+    });
+  });
+
+  describe('resolve', () => {
+    test('debe conservar el comportamiento original con el perfil por defecto', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo'],
+        ['1001', 500]
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet);
+
+      // Assert
+      expect(result).toEqual({
+        headerRow: 1,
+        input: { expediente: 1, costo: 2 },
+        output: { costo: 3, estatus: 4, notas: 5, fechaRegistro: 6, servicio: 7, subservicio: 8, validacion: 9, regla: 10, servicios: 11, evidencia: 12, resultado: 13 }
+      });
+      expect(worksheet.cells['1:10'].value).toBe('Regla de costo');
+      expect(worksheet.cells['1:13'].value).toBe('Resultado del proceso');
+    });
+
+    test('debe agregar las columnas nuevas después de las columnas del cliente', () => {
+      // Arrange: el cliente ya usa las columnas J a L
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo', null, null, null, null, null, null, null, 'Sucursal', 'Ajustador', 'Observaciones'],
+        ['1001', 500, null, null, null, null, null, null, null, 'Norte', 'Pérez', 'Urgente']
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet);
+
+      // Assert
+      expect(result.output.validacion).toBe(9);
+      expect(result.output.regla).toBe(13);
+      expect(result.output.resultado).toBe(16);
+      expect(worksheet.cells['1:10'].value).toBe('Sucursal');
+    });
+
+    test('debe reutilizar las columnas agregadas en una ejecución anterior', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo', null, null, null, null, null, null, null, 'Regla de costo', 'Servicios encontrados', 'Evidencia de errores', 'Resultado del proceso'],
+        ['1001', 500]
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet);
+
+      // Assert
+      expect(result.output).toEqual(expect.objectContaining({ regla: 10, servicios: 11, evidencia: 12, resultado: 13 }));
+    });
+
+    test('debe rechazar una columna de salida por nombre que es una de entrada', () => {
+      // Arrange: el servicio de entrada está en la columna que el perfil usa para la regla
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo', null, null, null, null, null, null, null, 'Regla de costo'],
+        ['1001', 500]
+      ]);
+
+      // Act & Assert
+      expect(() => ColumnMapping.resolve(worksheet, { input: { servicio: 'J' } }))
+        .toThrow('La columna de salida "regla" (10) es la misma que la de entrada "servicio"');
+    });
+
+    test('debe detectar el encabezado después de filas de título', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Reporte de servicios'],
+        ['Cliente: ACME'],
+        ['Folio', 'Importe', 'No. Expediente'],
+        ['A-1', 750, '2002']
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet, {
+        input: { expediente: 'no. expediente', costo: 'Importe' },
+        output: { costo: 'Costo portal', validacion: 'Resultado' }
+      });
+
+      // Assert
+      expect(result.headerRow).toBe(3);
+      expect(result.input).toEqual({ expediente: 3, costo: 2 });
+    });
+
+    test('debe agregar columnas de salida por nombre que no existan', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo', 'Validación'],
+        ['1001', 500]
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet, {
+        output: { costo: 'Costo portal', estatus: 'Estatus portal', validacion: 'validacion' }
+      });
+
+      // Assert
+      expect(result.output.validacion).toBe(3);
+      expect(result.output.costo).toBe(9);
+      expect(result.output.estatus).toBe(10);
+      expect(worksheet.cells['1:10'].value).toBe('Estatus portal');
+    });
+
+    test('no debe agregar columnas sobre las indicadas por letra', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Expediente', 'Costo'],
+        ['1001', 500]
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet, { output: { validacion: 'Resultado', notas: 'L' } });
+
+      // Assert
+      expect(result.output.costo).toBe(3);
+      expect(result.output.subservicio).toBe(8);
+      expect(result.output.notas).toBe(12);
+      expect(result.output.validacion).toBe(13);
+      expect(result.output.regla).toBe(14);
+      expect(result.output.resultado).toBe(17);
+    });
+
+    test('debe detectar la fila de encabezado con columnas por letra', () => {
+      // Arrange
+      const worksheet = buildWorksheet([
+        ['Título'],
+        ['Expediente', 'Costo'],
+        ['3003', 100]
+      ]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet);
+
+      // Assert
+      expect(result.headerRow).toBe(2);
+    });
+
+    test('debe respetar una fila de encabezado explícita', () => {
+      // Arrange
+      const worksheet = buildWorksheet([['4004', 100]]);
+
+      // Act
+      const result = ColumnMapping.resolve(worksheet, { headerRow: 0 });
+
+      // Assert
+      expect(result.headerRow).toBe(0);
+    });
+
+    test('debe lanzar error si no existe una columna de entrada', () => {
+      // Arrange
+      const worksheet = buildWorksheet([['Expediente', 'Costo']]);
+
+      // Act & Assert
+      expect(() => ColumnMapping.resolve(worksheet, { input: { costo: 'Importe' } }))
+        .toThrow('No se encontró la columna "Importe"');
+    });
+  });
+});
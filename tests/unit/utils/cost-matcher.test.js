@@ -0,0 +1,116 @@
+const CostMatcher = require('../../../src/utils/cost-matcher');
+const { COST_MATCH_ACTION, COST_MATCH_RULE } = require('../../../src/config/constants');
+
+describe('CostMatcher', () => {
+  describe('parseAmount', () => {
+    test('debe interpretar importes en pesos con separadores de miles', () => {
+      expect(CostMatcher.parseAmount('$1,234,567.00')).toBe(1234567);
+      expect(CostMatcher.parseAmount('MXN 1,250.50')).toBe(1250.5);
+      expect(CostMatcher.parseAmount('$ 980')).toBe(980);
+      expect(CostMatcher.parseAmount(1500)).toBe(1500);
+    });
+
+    test('debe interpretar coma decimal y negativos', () => {
+      expect(CostMatcher.parseAmount('1234,50')).toBe(1234.5);
+      expect(CostMatcher.parseAmount('1.234,50')).toBe(1234.5);
+      expect(CostMatcher.parseAmount('(1,000.00)')).toBe(-1000);
+      expect(CostMatcher.parseAmount('-$25.00')).toBe(-25);
+    });
+
+    test('debe devolver null si el importe no es válido', () => {
+      expect(CostMatcher.parseAmount('')).toBeNull();
+      expect(CostMatcher.parseAmount('N/A')).toBeNull();
+      expect(CostMatcher.parseAmount(null)).toBeNull();
+      expect(CostMatcher.parseAmount(NaN)).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    test('debe completar las reglas por defecto', () => {
+      expect(CostMatcher.validate({ absoluteTolerance: '2.5' })).toEqual({
+        absoluteTolerance: 2.5,
+        percentTolerance: 0,
+        withinToleranceAction: COST_MATCH_ACTION.REVIEW
+      });
+    });
+
+    test('debe rechazar tolerancias o acciones inválidas', () => {
+      expect(() => CostMatcher.validate({ absoluteTolerance: -1 })).toThrow('absoluteTolerance');
+      expect(() => CostMatcher.validate({ percentTolerance: 150 })).toThrow('porcentual');
+      expect(() => CostMatcher.validate({ withinToleranceAction: 'ignorar' })).toThrow('Acción no válida');
+    });
+  });
+
+  describe('compare', () => {
+    test('debe aceptar costos iguales aunque tengan distinto formato', () => {
+      // Act
+      const result = CostMatcher.compare('$1,234,567.00', '1234567');
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({
+        rule: COST_MATCH_RULE.EXACT,
+        accept: true,
+        difference: 0
+      }));
+    });
+
+    test('debe ignorar diferencias menores a un centavo', () => {
+      expect(CostMatcher.compare(1234.5, 1234.499999).rule).toBe(COST_MATCH_RULE.EXACT);
+    });
+
+    test('sin tolerancia debe rechazar cualquier diferencia', () => {
+      // Act
+      const result = CostMatcher.compare('$100.50', 100);
+
+      // Assert
+      expect(result.rule).toBe(COST_MATCH_RULE.OUT_OF_TOLERANCE);
+      expect(result.accept).toBe(false);
+      expect(result.difference).toBe(0.5);
+    });
+
+    test('debe marcar para revisión los costos dentro de tolerancia', () => {
+      // Act
+      const result = CostMatcher.compare('$101.00', 100, { absoluteTolerance: 1 });
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({
+        rule: COST_MATCH_RULE.WITHIN_TOLERANCE,
+        accept: false,
+        review: true
+      }));
+      expect(result.description).toContain('revisar');
+    });
+
+    test('debe aceptar dentro de tolerancia si así se configuró', () => {
+      // Act
+      const result = CostMatcher.compare('$1,015.00', '1000', {
+        percentTolerance: 2,
+        withinToleranceAction: COST_MATCH_ACTION.ACCEPT
+      });
+
+      // Assert
+      expect(result.rule).toBe(COST_MATCH_RULE.WITHIN_TOLERANCE);
+      expect(result.accept).toBe(true);
+      expect(result.tolerance).toBe(20);
+    });
+
+    test('debe usar la mayor de las tolerancias', () => {
+      // Act
+      const result = CostMatcher.compare(1030, 1000, { absoluteTolerance: 5, percentTolerance: 2 });
+
+      // Assert
+      expect(result.rule).toBe(COST_MATCH_RULE.OUT_OF_TOLERANCE);
+      expect(result.tolerance).toBe(20);
+    });
+
+    test('debe indicar cuando un costo no es válido', () => {
+      // Act
+      const result = CostMatcher.compare('Pendiente', 100);
+
+      // Assert
+      expect(result.rule).toBe(COST_MATCH_RULE.INVALID);
+      expect(result.accept).toBe(false);
+      expect(result.description).toContain('portal');
+    });
+  });
+});
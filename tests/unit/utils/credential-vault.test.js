@@ -0,0 +1,65 @@
+const CredentialVault = require('../../../src/utils/credential-vault');
+const { safeStorage } = require('electron');
+
+describe('CredentialVault', () => {
+  const credentials = { username: 'operador', password: 'clave-secreta' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    safeStorage.isEncryptionAvailable.mockReturnValue(true);
+  });
+
+  describe('seal y open', () => {
+    test('debe guardar solo el blob cifrado y recuperar las credenciales', () => {
+      // Act
+      const stored = CredentialVault.seal(credentials);
+
+      // Assert
+      expect(Object.keys(stored)).toEqual(['encrypted', 'updatedAt']);
+      expect(JSON.stringify(stored)).not.toContain('clave-secreta');
+      expect(CredentialVault.isEncrypted(stored)).toBe(true);
+      expect(CredentialVault.open(stored)).toEqual(credentials);
+    });
+
+    test('debe rechazar guardar si el cifrado del sistema no está disponible', () => {
+      // Arrange
+      safeStorage.isEncryptionAvailable.mockReturnValue(false);
+
+      // Act & Assert
+      expect(() => CredentialVault.seal(credentials)).toThrow('cifrado del sistema operativo no está disponible');
+      expect(safeStorage.encryptString).not.toHaveBeenCalled();
+    });
+
+    test('debe leer credenciales en texto plano de versiones anteriores', () => {
+      // Act & Assert
+      expect(CredentialVault.isPlaintext(credentials)).toBe(true);
+      expect(CredentialVault.open(credentials)).toEqual(credentials);
+      expect(CredentialVault.open(null)).toBeNull();
+    });
+  });
+
+  describe('scrub', () => {
+    test('debe quitar credenciales y contraseñas de un respaldo', () => {
+      // Arrange
+      const backup = { credentials, config: { credentials: { encrypted: 'abc' }, workers: 2, proxy: { password: 'x' } } };
+
+      // Act
+      const scrubbed = CredentialVault.scrub(backup);
+
+      // Assert
+      expect(scrubbed).toEqual({ config: { workers: 2, proxy: {} } });
+      expect(backup.credentials).toBe(credentials);
+    });
+  });
+
+  describe('redact', () => {
+    test('debe ocultar las contraseñas ya abiertas en los mensajes', () => {
+      // Arrange
+      CredentialVault.open(credentials);
+
+      // Act & Assert
+      expect(CredentialVault.redact('login con clave-secreta')).toBe('login con ********');
+      expect(CredentialVault.redact(42)).toBe(42);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const CsvUtils = require('../../../src/utils/csv-utils');
+
+describe('CsvUtils', () => {
+  describe('decode', () => {
+    test('debe leer UTF-8 y quitar el BOM', () => {
+      // Arrange
+      const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Expedición', 'utf8')]);
+
+      // Act
+      const result = CsvUtils.decode(buffer);
+
+      // Assert
+      expect(result).toEqual({ text: 'Expedición', encoding: 'utf-8' });
+    });
+
+    test('debe interpretar como Latin-1 el contenido que no es UTF-8', () => {
+      // Arrange - exportación de Excel en Windows-1252
+      const buffer = Buffer.from('Expedici\xf3n;Compa\xf1\xeda', 'latin1');
+
+      // Act
+      const result = CsvUtils.decode(buffer);
+
+      // Assert
+      expect(result.encoding).toBe('windows-1252');
+      expect(result.text).toBe('Expedición;Compañía');
+    });
+
+    test('debe leer UTF-16 con BOM', () => {
+      // Arrange
+      const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Año', 'utf16le')]);
+
+      // Act & Assert
+      expect(CsvUtils.decode(buffer)).toEqual({ text: 'Año', encoding: 'utf-16le' });
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    test('debe detectar punto y coma aunque los costos usen comas', () => {
+      // Arrange
+      const text = 'Expediente;Costo\n1001;"1,250.00"\n1002;300';
+
+      // Act & Assert
+      expect(CsvUtils.detectDelimiter(text)).toBe(';');
+    });
+
+    test('debe detectar tabuladores', () => {
+      expect(CsvUtils.detectDelimiter('Expediente\tCosto\n1001\t500')).toBe('\t');
+    });
+
+    test('debe usar coma si no encuentra separador', () => {
+      expect(CsvUtils.detectDelimiter('Expediente\n1001\n1002')).toBe(',');
+    });
+  });
+
+  describe('parse', () => {
+    test('debe respetar comillas, comillas dobles y saltos de línea', () => {
+      // Arrange
+      const text = 'Expediente,Notas\r\n1001,"Grúa, ""urgente""\nsegunda línea"\r\n1002,';
+
+      // Act
+      const result = CsvUtils.parse(text);
+
+      // Assert
+      expect(result).toEqual([
+        ['Expediente', 'Notas'],
+        ['1001', 'Grúa, "urgente"\nsegunda línea'],
+        ['1002', '']
+      ]);
+    });
+
+    test('debe conservar las líneas vacías para mantener los números de fila', () => {
+      // Act
+      const result = CsvUtils.parse('Expediente;Costo\n\n1001;500\n', ';');
+
+      // Assert
+      expect(result).toEqual([
+        ['Expediente', 'Costo'],
+        [''],
+        ['1001', '500']
+      ]);
+    });
+  });
+});
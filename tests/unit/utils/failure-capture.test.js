@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const FailureCapture = require('../../../src/utils/failure-capture');
+
+describe('FailureCapture', () => {
+  const runDir = path.join('/mock/user/data', 'logs', 'run_20240131-153045');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const buildPage = (overrides = {}) => ({
+    screenshot: jest.fn().mockResolvedValue(undefined),
+    $eval: jest.fn().mockResolvedValue('<table><tr><td>1001</td></tr></table>'),
+    content: jest.fn().mockResolvedValue('<html></html>'),
+    url: jest.fn().mockReturnValue('https://portal/admin/services/pendientes'),
+    ...overrides
+  });
+
+  describe('createRunDir', () => {
+    test('debe crear una carpeta por ejecución dentro de userData/logs', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(false);
+
+      // Act
+      const result = FailureCapture.createRunDir(new Date(2024, 0, 31, 15, 30, 45));
+
+      // Assert
+      expect(result).toBe(runDir);
+      expect(fs.mkdirSync).toHaveBeenCalledWith(runDir, { recursive: true });
+    });
+  });
+
+  describe('isArtifactPath', () => {
+    test('debe aceptar solo rutas dentro de la carpeta de evidencias', () => {
+      expect(FailureCapture.isArtifactPath(path.join(runDir, '1001_busqueda.png'))).toBe(true);
+      expect(FailureCapture.isArtifactPath(runDir)).toBe(true);
+      expect(FailureCapture.isArtifactPath('/mock/user/data/logs/../config.json')).toBe(false);
+      expect(FailureCapture.isArtifactPath('/mock/user/data/logs')).toBe(false);
+      expect(FailureCapture.isArtifactPath(null)).toBe(false);
+    });
+  });
+
+  describe('capture', () => {
+    test('debe guardar la captura y el HTML de la tabla de resultados', async () => {
+      // Arrange
+      const page = buildPage();
+
+      // Act
+      const result = await FailureCapture.capture(page, {
+        runDir,
+        expediente: '1001',
+        stage: 'aceptacion',
+        error: 'No se encontró el botón de aceptar',
+        tableSelector: 'table'
+      });
+
+      // Assert
+      expect(result.screenshot).toMatch(/1001_aceptacion_\d{8}-\d{6}\.png$/);
+      expect(result.html).toMatch(/1001_aceptacion_\d{8}-\d{6}\.html$/);
+      expect(page.screenshot).toHaveBeenCalledWith({ path: result.screenshot, fullPage: true });
+      const [htmlPath, content] = fs.writeFileSync.mock.calls[0];
+      expect(htmlPath).toBe(result.html);
+      expect(content).toContain('<!-- Error: No se encontró el botón de aceptar -->');
+      expect(content).toContain('<table><tr><td>1001</td></tr></table>');
+      expect(page.content).not.toHaveBeenCalled();
+    });
+
+    test('debe guardar la página completa si no hay tabla y tolerar fallas de la captura', async () => {
+      // Arrange
+      const page = buildPage({
+        screenshot: jest.fn().mockRejectedValue(new Error('Target closed')),
+        $eval: jest.fn().mockRejectedValue(new Error('No se encontró el selector'))
+      });
+
+      // Act
+      const result = await FailureCapture.capture(page, { runDir, expediente: '1002', stage: 'busqueda', tableSelector: 'table' });
+
+      // Assert
+      expect(result.screenshot).toBeNull();
+      expect(result.html).toMatch(/1002_busqueda_/);
+      expect(fs.writeFileSync.mock.calls[0][1]).toContain('<html></html>');
+    });
+
+    test('no debe guardar nada sin carpeta de ejecución', async () => {
+      // Act
+      const result = await FailureCapture.capture(buildPage(), { runDir: null, expediente: '1001', stage: 'busqueda' });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+});
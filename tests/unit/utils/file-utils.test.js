@@ -8,6 +8,7 @@ const logger = require('../../../src/utils/logger');
 jest.mock('../../../src/utils/logger', () => ({
   scope: jest.fn().mockReturnValue({
     info: jest.fn(),
+    warn: jest.fn(),
     error: jest.fn()
   })
 }));
@@ -99,7 +100,7 @@ describe('FileUtils', () => {
   });
   
   describe('writeJsonFile', () => {
-    test('debe escribir correctamente un objeto como JSON', () => {
+    test('debe escribir correctamente un objeto como JSON en un temporal y renombrarlo', () => {
       // Arrange
       const testData = { name: 'test', value: 123 };
       fs.existsSync.mockReturnValue(true);
@@ -108,12 +109,10 @@ describe('FileUtils', () => {
       const result = FileUtils.writeJsonFile('/fake/path/file.json', testData);
       
       // Assert
+      const tempPath = path.join('/fake/path', `~file.json.${process.pid}.tmp`);
       expect(result).toBe(true);
-      expect(fs.writeFileSync).toHaveBeenCalledWith(
-        '/fake/path/file.json',
-        JSON.stringify(testData, null, 2),
-        'utf8'
-      );
+      expect(fs.writeFileSync).toHaveBeenCalledWith(tempPath, JSON.stringify(testData, null, 2), 'utf8');
+      expect(fs.renameSync).toHaveBeenCalledWith(tempPath, '/fake/path/file.json');
     });
     
     test('debe crear el directorio si no existe', () => {
@@ -142,9 +141,61 @@ describe('FileUtils', () => {
       
       // Assert
       expect(result).toBe(false);
+      expect(fs.renameSync).not.toHaveBeenCalled();
       expect(logger.scope().error).toHaveBeenCalled();
     });
   });
+
+  describe('archivos JSONL', () => {
+    test('appendJsonLine debe agregar solo la línea nueva', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+
+      // Act
+      const result = FileUtils.appendJsonLine('/fake/path/filas.jsonl', { rowNumber: 2, expediente: '111' });
+
+      // Assert
+      expect(result).toBe(true);
+      expect(fs.appendFileSync).toHaveBeenCalledWith('/fake/path/filas.jsonl', '{"rowNumber":2,"expediente":"111"}\n', 'utf8');
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    test('readJsonLines debe omitir una última línea escrita a medias', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{"rowNumber":2}\n{"rowNumber":3}\n{"rowNum');
+
+      // Act
+      const result = FileUtils.readJsonLines('/fake/path/filas.jsonl');
+
+      // Assert
+      expect(result).toEqual([{ rowNumber: 2 }, { rowNumber: 3 }]);
+      expect(logger.scope().warn).toHaveBeenCalled();
+    });
+
+    test('readJsonLines debe devolver una lista vacía si el archivo no existe', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(false);
+
+      // Act & Assert
+      expect(FileUtils.readJsonLines('/fake/path/filas.jsonl')).toEqual([]);
+    });
+
+    test('writeJsonLines debe reemplazar el archivo de forma atómica', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.writeFileSync.mockImplementation(() => {});
+
+      // Act
+      const result = FileUtils.writeJsonLines('/fake/path/filas.jsonl', [{ rowNumber: 2 }, { rowNumber: 3 }]);
+
+      // Assert
+      const tempPath = path.join('/fake/path', `~filas.jsonl.${process.pid}.tmp`);
+      expect(result).toBe(true);
+      expect(fs.writeFileSync).toHaveBeenCalledWith(tempPath, '{"rowNumber":2}\n{"rowNumber":3}\n', 'utf8');
+      expect(fs.renameSync).toHaveBeenCalledWith(tempPath, '/fake/path/filas.jsonl');
+    });
+  });
   
   describe('getUserDataPath', () => {
     test('debe devolver la ruta correcta', () => {
@@ -159,4 +210,115 @@ describe('FileUtils', () => {
       expect(app.getPath).toHaveBeenCalledWith('userData');
     });
   });
-});
\ No newline at end of file
+
+  describe('writeFileAtomic', () => {
+    test('debe escribir en un temporal y renombrarlo al destino', async () => {
+      // Arrange
+      const writer = jest.fn().mockResolvedValue();
+
+      // Act
+      await FileUtils.writeFileAtomic('/fake/path/datos.xlsx', writer);
+
+      // Assert
+      const tempPath = writer.mock.calls[0][0];
+      expect(path.dirname(tempPath)).toBe('/fake/path');
+      expect(tempPath).not.toBe('/fake/path/datos.xlsx');
+      expect(fs.renameSync).toHaveBeenCalledWith(tempPath, '/fake/path/datos.xlsx');
+    });
+
+    test('debe eliminar el temporal y avisar si el destino está bloqueado', async () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.renameSync.mockImplementationOnce(() => {
+        throw Object.assign(new Error('busy'), { code: 'EBUSY' });
+      });
+
+      // Act & Assert
+      await expect(FileUtils.writeFileAtomic('/fake/path/datos.xlsx', jest.fn()))
+        .rejects.toThrow('abierto en otro programa');
+      expect(fs.rmSync).toHaveBeenCalledWith(expect.stringContaining('datos.xlsx'));
+    });
+
+    test('no debe tocar el destino si falla la escritura', async () => {
+      // Arrange
+      const writer = jest.fn().mockRejectedValue(new Error('disco lleno'));
+
+      // Act & Assert
+      await expect(FileUtils.writeFileAtomic('/fake/path/datos.xlsx', writer)).rejects.toThrow('disco lleno');
+      expect(fs.renameSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backupFile', () => {
+    test('debe copiar el archivo a la carpeta de respaldos con fecha y hora', () => {
+      // Arrange
+      app.getPath.mockReturnValue('/fake/user/data');
+
+      // Act
+      const result = FileUtils.backupFile('/docs/expedientes.xlsx');
+
+      // Assert
+      expect(result).toMatch(/^\/fake\/user\/data\/backups\/expedientes_\d{8}-\d{6}\.xlsx$/);
+      expect(fs.copyFileSync).toHaveBeenCalledWith('/docs/expedientes.xlsx', result);
+    });
+
+    test('debe devolver null si no se pudo copiar', () => {
+      // Arrange
+      fs.copyFileSync.mockImplementationOnce(() => {
+        throw new Error('sin permisos');
+      });
+
+      // Act & Assert
+      expect(FileUtils.backupFile('/docs/expedientes.xlsx')).toBeNull();
+      expect(logger.scope().error).toHaveBeenCalled();
+    });
+
+    test('debe conservar solo los respaldos más recientes del archivo', () => {
+      // Arrange: 12 respaldos del mismo archivo y otros que no se tocan
+      app.getPath.mockReturnValue('/fake/user/data');
+      const respaldos = Array.from({ length: 12 }, (_, i) => `expedientes_202401${String(i + 10)}-090000.xlsx`);
+      fs.readdirSync.mockReturnValueOnce([
+        ...respaldos,
+        'expedientes_2_20240101-090000.xlsx',
+        'expedientes_20240101-090000.csv',
+        'otro_20240101-090000.xlsx'
+      ]);
+      fs.existsSync.mockReturnValue(true);
+
+      // Act
+      FileUtils.backupFile('/docs/expedientes.xlsx');
+
+      // Assert: se eliminan los dos más antiguos
+      const removed = fs.rmSync.mock.calls.map(([file]) => file);
+      expect(removed).toEqual([
+        '/fake/user/data/backups/expedientes_20240111-090000.xlsx',
+        '/fake/user/data/backups/expedientes_20240110-090000.xlsx'
+      ]);
+    });
+  });
+
+  describe('pruneBackups', () => {
+    test('no debe eliminar nada con menos respaldos que el límite', () => {
+      // Arrange
+      fs.readdirSync.mockReturnValueOnce(['expedientes_20240110-090000.xlsx', 'expedientes_20240111-090000.xlsx']);
+
+      // Act
+      const removed = FileUtils.pruneBackups('/respaldos', 'expedientes.xlsx', 2);
+
+      // Assert
+      expect(removed).toBe(0);
+      expect(fs.rmSync).not.toHaveBeenCalled();
+    });
+
+    test('debe devolver 0 si no se puede leer la carpeta', () => {
+      // Arrange
+      fs.readdirSync.mockImplementationOnce(() => {
+        throw new Error('sin permisos');
+      });
+
+      // Act & Assert
+      expect(FileUtils.pruneBackups('/respaldos', 'expedientes.xlsx')).toBe(0);
+      expect(logger.scope().warn).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const RunController = require('../../../src/utils/run-controller');
+
+describe('RunController', () => {
+  let controller;
+
+  beforeEach(() => {
+    controller = new RunController();
+  });
+
+  test('debe iniciar en estado running', () => {
+    expect(controller.state).toBe('running');
+    expect(controller.paused).toBe(false);
+    expect(controller.cancelled).toBe(false);
+  });
+
+  test('waitIfPaused debe resolverse de inmediato si no está en pausa', async () => {
+    await expect(controller.waitIfPaused()).resolves.toBeUndefined();
+  });
+
+  test('debe pausar y reanudar liberando la espera', async () => {
+    // Arrange
+    const released = jest.fn();
+    controller.pause();
+
+    // Act
+    const waiting = controller.waitIfPaused().then(released);
+    await Promise.resolve();
+
+    // Assert - sigue en pausa
+    expect(controller.state).toBe('paused');
+    expect(released).not.toHaveBeenCalled();
+
+    // Act - reanudar
+    expect(controller.resume()).toBe(true);
+    await waiting;
+
+    // Assert
+    expect(released).toHaveBeenCalled();
+    expect(controller.state).toBe('running');
+  });
+
+  test('cancelar debe liberar una pausa en curso', async () => {
+    // Arrange
+    controller.pause();
+    const waiting = controller.waitIfPaused();
+
+    // Act
+    expect(controller.cancel()).toBe(true);
+    await waiting;
+
+    // Assert
+    expect(controller.state).toBe('cancelled');
+    expect(controller.paused).toBe(false);
+  });
+
+  test('no debe pausar ni reanudar una ejecución cancelada', () => {
+    // Arrange
+    controller.cancel();
+
+    // Act & Assert
+    expect(controller.pause()).toBe(false);
+    expect(controller.resume()).toBe(false);
+    expect(controller.cancel()).toBe(false);
+  });
+
+  test('resume debe devolver false si no estaba en pausa', () => {
+    expect(controller.resume()).toBe(false);
+  });
+});
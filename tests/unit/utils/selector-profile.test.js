@@ -0,0 +1,141 @@
+const fs = require('fs');
+const SelectorProfile = require('../../../src/utils/selector-profile');
+
+describe('SelectorProfile', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.existsSync.mockReturnValue(false);
+  });
+
+  describe('load', () => {
+    test('debe usar el perfil de la aplicación si no hay perfil del usuario', () => {
+      // Act
+      const result = SelectorProfile.load();
+
+      // Assert
+      expect(result.source).toBe('default');
+      expect(result.error).toBeNull();
+      expect(result.profile.login.username).toBe('input[formcontrolname="username"]');
+      expect(result.profile.search.inputs).toHaveLength(4);
+    });
+
+    test('debe combinar el perfil del usuario con el de la aplicación', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        version: 1,
+        revision: 'rediseño',
+        search: { inputs: ['input#expediente'] },
+        results: { columns: { costo: 4 } }
+      }));
+
+      // Act
+      const { profile, source } = SelectorProfile.load();
+
+      // Assert
+      expect(source).toBe('userData');
+      expect(profile.revision).toBe('rediseño');
+      expect(profile.search.inputs).toEqual(['input#expediente']);
+      expect(profile.search.buttonText).toBe('Buscar');
+      expect(profile.results.columns.costo).toBe(4);
+      expect(profile.results.columns.estatus).toBe(3);
+    });
+
+    test('debe ignorar un perfil del usuario con otra versión', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ version: 2, login: { username: '#user' } }));
+
+      // Act
+      const result = SelectorProfile.load();
+
+      // Assert
+      expect(result.source).toBe('default');
+      expect(result.error).toContain('Versión de perfil no compatible');
+      expect(result.profile.login.username).toBe('input[formcontrolname="username"]');
+    });
+
+    test('debe ignorar un perfil del usuario con JSON inválido', () => {
+      // Arrange
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue('{ version: 1');
+
+      // Act
+      const result = SelectorProfile.load();
+
+      // Assert
+      expect(result.source).toBe('default');
+      expect(result.error).toBeTruthy();
+    });
+  });
+
+  describe('validate', () => {
+    test('debe rechazar selectores vacíos', () => {
+      // Arrange
+      const profile = SelectorProfile.getDefault();
+      profile.confirm.buttons = ' ';
+
+      // Act & Assert
+      expect(() => SelectorProfile.validate(profile)).toThrow('confirm.buttons');
+    });
+
+    test('debe rechazar columnas de resultados no válidas', () => {
+      // Arrange
+      const profile = SelectorProfile.getDefault();
+      profile.results.columns.servicio = -1;
+
+      // Act & Assert
+      expect(() => SelectorProfile.validate(profile)).toThrow('results.columns.servicio');
+    });
+  });
+
+  describe('check', () => {
+    test('debe marcar como necesario solo el campo de búsqueda encontrado', async () => {
+      // Arrange
+      const profile = SelectorProfile.getDefault();
+      const counts = { 'input[formcontrolname="expediente"]': 1, button: 2 };
+      const page = {
+        $$eval: jest.fn(async (selector) => {
+          if (selector === 'input[type="text"]') throw new Error('selector inválido');
+          return counts[selector] || 0;
+        })
+      };
+
+      // Act
+      const checks = await SelectorProfile.check(page, profile, 'search');
+
+      // Assert
+      const inputs = checks.filter(check => check.name === 'search.inputs');
+      expect(inputs.map(check => check.status)).toEqual(['missing', 'ok', 'missing', 'invalid']);
+      expect(inputs.map(check => check.required)).toEqual([false, true, false, false]);
+      expect(checks.find(check => check.name === 'search.button').status).toBe('ok');
+      expect(checks.every(check => check.stage === 'search')).toBe(true);
+    });
+
+    test('debe omitir el diálogo de confirmación en la etapa de resultados', async () => {
+      // Arrange
+      const page = { $$eval: jest.fn().mockResolvedValue(1) };
+
+      // Act
+      const checks = await SelectorProfile.check(page, SelectorProfile.getDefault(), 'results');
+
+      // Assert
+      expect(checks.find(check => check.name === 'results.rows').status).toBe('ok');
+      expect(checks.find(check => check.name === 'search.noResults').status).toBe('skipped');
+      expect(checks.find(check => check.name === 'confirm.buttons').status).toBe('skipped');
+      expect(checks.find(check => check.name === 'accept.snackbar').status).toBe('skipped');
+    });
+
+    test('debe omitir el mensaje de error en la etapa de login', async () => {
+      // Arrange
+      const page = { $$eval: jest.fn().mockResolvedValue(1) };
+
+      // Act
+      const checks = await SelectorProfile.check(page, SelectorProfile.getDefault(), 'login');
+
+      // Assert
+      expect(checks.filter(check => check.status === 'ok').map(check => check.name)).toEqual(['login.username', 'login.password', 'login.submit']);
+      expect(checks.find(check => check.name === 'login.error').status).toBe('skipped');
+    });
+  });
+});
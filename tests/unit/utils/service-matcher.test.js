@@ -0,0 +1,152 @@
+const ServiceMatcher = require('../../../src/utils/service-matcher');
+const { COST_MATCH_RULE } = require('../../../src/config/constants');
+
+describe('ServiceMatcher', () => {
+  const services = [
+    { costo: '$1,200.00', servicio: 'Grúa', subservicio: 'Arrastre' },
+    { costo: '$300.00', servicio: 'Grúa', subservicio: 'Banderazo' },
+    { costo: '$0.00', servicio: 'Cerrajería', subservicio: 'Apertura' }
+  ];
+
+  describe('matchesService', () => {
+    test('debe comparar sin importar acentos ni mayúsculas', () => {
+      expect(ServiceMatcher.matchesService(services[0], { servicio: 'grua' })).toBe(true);
+      expect(ServiceMatcher.matchesService(services[0], { servicio: 'Grúa', subservicio: 'banderazo' })).toBe(false);
+      expect(ServiceMatcher.matchesService(services[0], {})).toBe(true);
+    });
+  });
+
+  describe('match', () => {
+    test('debe seleccionar el servicio cuyo costo coincide aunque no sea el primero', () => {
+      // Act
+      const result = ServiceMatcher.match(services, { costoGuardado: '300' });
+
+      // Assert
+      expect(result.selected.index).toBe(1);
+      expect(result.reported).toBe(result.selected);
+      expect(result.ambiguous).toBe(false);
+    });
+
+    test('no debe seleccionar ninguno si varios servicios coinciden', () => {
+      // Arrange
+      const duplicados = [
+        { costo: 500, servicio: 'Grúa', subservicio: 'Arrastre' },
+        { costo: 500, servicio: 'Grúa', subservicio: 'Maniobra' }
+      ];
+
+      // Act
+      const result = ServiceMatcher.match(duplicados, { costoGuardado: 500 });
+
+      // Assert
+      expect(result.selected).toBeNull();
+      expect(result.ambiguous).toBe(true);
+    });
+
+    test('debe desempatar con el servicio y subservicio del archivo', () => {
+      // Arrange
+      const duplicados = [
+        { costo: 500, servicio: 'Grúa', subservicio: 'Arrastre' },
+        { costo: 500, servicio: 'Grúa', subservicio: 'Maniobra' }
+      ];
+
+      // Act
+      const result = ServiceMatcher.match(duplicados, { costoGuardado: 500, subservicio: 'maniobra' });
+
+      // Assert
+      expect(result.selected.index).toBe(1);
+    });
+
+    test('debe reportar el servicio con el costo más cercano si ninguno coincide', () => {
+      // Act
+      const result = ServiceMatcher.match(services, { costoGuardado: 1150 });
+
+      // Assert
+      expect(result.selected).toBeNull();
+      expect(result.reported.index).toBe(0);
+      expect(result.reported.comparison.rule).toBe(COST_MATCH_RULE.OUT_OF_TOLERANCE);
+    });
+
+    test('no debe reportar servicios sin costo', () => {
+      // Act
+      const result = ServiceMatcher.match([services[2]], { costoGuardado: 0 });
+
+      // Assert
+      expect(result.selected).toBeNull();
+      expect(result.reported).toBeNull();
+    });
+  });
+
+  describe('checkAcceptance', () => {
+    const accepted = { costo: '$300.00', estatus: 'Pendiente', fechaRegistro: '01/02/2024', servicio: 'Grúa', subservicio: 'Banderazo' };
+
+    test('debe confirmar si el servicio ya no aparece y el portal muestra "sin resultados"', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance(accepted, [], { noResults: true });
+
+      // Assert
+      expect(result.confirmed).toBe(true);
+      expect(result.estatus).toBeNull();
+      expect(result.description).toBe('El servicio ya no aparece en pendientes');
+    });
+
+    test('debe confirmar si el servicio ya no aparece y el portal avisó la aceptación', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance(accepted, [services[0]], { notice: 'Servicio aceptado' });
+
+      // Assert
+      expect(result.confirmed).toBe(true);
+      expect(result.description).toBe('Aviso del portal: Servicio aceptado');
+    });
+
+    test('no debe confirmar si el servicio no aparece sin aviso del portal', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance(accepted, []);
+
+      // Assert
+      expect(result.confirmed).toBe(false);
+      expect(result.description).toContain('no mostró el servicio');
+    });
+
+    test('debe confirmar si el estatus del servicio cambió', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance(accepted, [{ ...accepted, estatus: 'Aceptado' }]);
+
+      // Assert
+      expect(result).toEqual({ confirmed: true, estatus: 'Aceptado', description: 'El estatus cambió a "Aceptado"' });
+    });
+
+    test('no debe confirmar si el estatus sigue igual', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance(accepted, [{ ...accepted, estatus: ' pendiente ' }]);
+
+      // Assert
+      expect(result.confirmed).toBe(false);
+      expect(result.description).toBe('El estatus sigue en "Pendiente"');
+    });
+
+    test('debe comparar los servicios de la API por id', () => {
+      // Act
+      const result = ServiceMatcher.checkAcceptance({ ...accepted, id: 7 }, [{ id: '7', estatus: 'Pendiente', costo: 0 }]);
+
+      // Assert
+      expect(result.confirmed).toBe(false);
+    });
+  });
+
+  describe('describe', () => {
+    test('debe describir el resultado de cada servicio', () => {
+      // Arrange
+      const result = ServiceMatcher.match(services, { costoGuardado: 300, servicio: 'Grúa' });
+
+      // Act
+      const text = ServiceMatcher.describe(result);
+
+      // Assert
+      expect(text.split(' | ')).toEqual([
+        expect.stringMatching(/^1\) Grúa \/ Arrastre \$1,200\.00: Fuera de tolerancia/),
+        '2) Grúa / Banderazo $300.00: seleccionado',
+        '3) Cerrajería / Apertura $0.00: sin costo'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const searchForm = document.getElementById('historySearchForm');
+    const queryInput = document.getElementById('historyQuery');
+    const statusSpan = document.getElementById('historyStatus');
+    const resultsTable = document.getElementById('historyResults');
+    const runsTable = document.getElementById('historyRuns');
+
+    const RUN_STATUS_LABELS = {
+        running: 'Sin terminar',
+        completed: 'Completada',
+        cancelled: 'Cancelada',
+        failed: 'Con error'
+    };
+
+    /**
+     * Formatea una fecha ISO para mostrarla
+     * @param {string} value - Fecha en formato ISO
+     * @returns {string} - Fecha local o cadena vacía
+     */
+    const formatDate = (value) => (value ? new Date(value).toLocaleString('es-MX') : '');
+
+    /**
+     * Describe al operador de una ejecución
+     * @param {Object} operator - { usuario, cuenta, portal }
+     * @returns {string} - Texto del operador
+     */
+    const formatOperator = (operator) => {
+        if (!operator) return '';
+        const cuenta = operator.cuenta && operator.portal ? `${operator.cuenta} (${operator.portal})` : (operator.cuenta || operator.portal);
+        return [operator.usuario, cuenta && `cuenta: ${cuenta}`].filter(Boolean).join(' / ');
+    };
+
+    /**
+     * Agrega una fila a una tabla con el texto de cada celda
+     * @param {HTMLElement} table - Tabla destino
+     * @param {Array<string>} cells - Texto de cada celda
+     * @returns {HTMLElement} - Fila creada
+     */
+    const appendRow = (table, cells) => {
+        const tr = document.createElement('tr');
+        cells.forEach((text) => {
+            const td = document.createElement('td');
+            td.textContent = text === undefined || text === null ? '' : String(text);
+            tr.appendChild(td);
+        });
+        table.querySelector('tbody').appendChild(tr);
+        return tr;
+    };
+
+    /**
+     * Muestra filas de expedientes (de una búsqueda o de una ejecución)
+     * @param {Array<Object>} rows - Filas del historial
+     */
+    const renderRows = (rows) => {
+        resultsTable.querySelector('tbody').innerHTML = '';
+        rows.forEach((row) => {
+            const tr = appendRow(resultsTable, [
+                formatDate(row.checkedAt),
+                row.expediente,
+                `${row.fileName || ''} (${row.rowNumber})`,
+                row.costoGuardado,
+                row.costo,
+                row.estatus,
+                [row.servicio, row.subservicio].filter(Boolean).join(' / '),
+                row.dryRun ? `${row.resultado || row.validacion} (simulación)` : (row.resultado || row.validacion),
+                row.aceptado ? 'Sí' : 'No',
+                formatOperator(row.operator)
+            ]);
+            if (row.error || row.verificacion) {
+                tr.title = row.error || row.verificacion;
+            }
+            tr.className = row.aceptado ? 'accepted' : (row.outcome || '');
+        });
+        resultsTable.style.display = rows.length > 0 ? '' : 'none';
+    };
+
+    /**
+     * Carga la lista de ejecuciones recientes
+     */
+    const loadRuns = async () => {
+        const result = await window.electronAPI.getRunHistory();
+        runsTable.querySelector('tbody').innerHTML = '';
+        if (!result.success) {
+            statusSpan.textContent = `Error al leer el historial: ${result.error}`;
+            return;
+        }
+
+        result.runs.forEach((run) => {
+            const tr = appendRow(runsTable, [
+                formatDate(run.startedAt),
+                formatDate(run.finishedAt),
+                run.dryRun ? `${run.fileName} (simulación)` : run.fileName,
+                RUN_STATUS_LABELS[run.status] || run.status,
+                run.stats ? run.stats.totalRevisados : run.totalRows,
+                run.stats ? run.stats.totalAceptados : '',
+                formatOperator(run.operator)
+            ]);
+            tr.classList.add('clickable');
+            tr.title = 'Ver los expedientes de esta ejecución';
+            tr.addEventListener('click', async () => {
+                const detail = await window.electronAPI.getHistoryRun(run.id);
+                if (!detail.success) {
+                    statusSpan.textContent = detail.error;
+                    return;
+                }
+                const { rows, ...info } = detail.run;
+                renderRows(rows.map(row => ({ ...row, fileName: info.fileName, dryRun: info.dryRun, operator: info.operator })));
+                statusSpan.textContent = `Ejecución del ${formatDate(info.startedAt)}: ${rows.length} expedientes`;
+            });
+        });
+
+        if (result.runs.length === 0) {
+            statusSpan.textContent = 'Aún no hay ejecuciones registradas';
+        }
+    };
+
+    searchForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const query = queryInput.value.trim();
+        if (!query) {
+            statusSpan.textContent = 'Escriba un número de expediente';
+            return;
+        }
+
+        statusSpan.textContent = 'Buscando...';
+        const result = await window.electronAPI.searchHistory(query);
+        if (!result.success) {
+            statusSpan.textContent = `Error al buscar: ${result.error}`;
+            return;
+        }
+
+        renderRows(result.results);
+        statusSpan.textContent = result.results.length > 0
+            ? `${result.results.length} revisiones encontradas para "${query}"`
+            : `No hay revisiones registradas de "${query}"`;
+    });
+
+    loadRuns();
+});
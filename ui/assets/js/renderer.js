@@ -3,14 +3,40 @@
 document.addEventListener('DOMContentLoaded', () => {
     const selectExcelBtn = document.getElementById('selectExcel');
     const startProcessBtn = document.getElementById('startProcess');
+    const resumeProcessBtn = document.getElementById('resumeProcess');
+    const pauseProcessBtn = document.getElementById('pauseProcess');
+    const cancelProcessBtn = document.getElementById('cancelProcess');
     const selectedFileSpan = document.getElementById('selectedFile');
     const statusDiv = document.getElementById('status');
     const resultsDiv = document.getElementById('results');
     const progressBar = document.getElementById('progress'); // la barra
     const checkUpdatesBtn = document.getElementById('checkUpdates');
+    const openHistoryBtn = document.getElementById('openHistory');
     const versionInfoSpan = document.getElementById('versionInfo');
+    const dryRunCheckbox = document.getElementById('dryRunMode');
+    const workerCountInput = document.getElementById('workerCount');
+    const lookupStrategySelect = document.getElementById('lookupStrategy');
+    const outputModeSelect = document.getElementById('outputMode');
+    const headlessCheckbox = document.getElementById('headlessMode');
+    const viewportWidthInput = document.getElementById('viewportWidth');
+    const viewportHeightInput = document.getElementById('viewportHeight');
+    const credentialProfileSelect = document.getElementById('credentialProfile');
+    const manageAccountsBtn = document.getElementById('manageAccounts');
+
+    // Etiquetas de los resultados por expediente (RESULT_OUTCOME en src/config/constants.js)
+    const OUTCOME_LABELS = {
+        accepted: 'Aceptados',
+        would_accept: 'Se aceptarían',
+        mismatch: 'Sin coincidencia de costo',
+        zero_cost: 'Sin costo en el portal',
+        not_found: 'No encontrados',
+        accept_failed: 'Error en aceptación',
+        accept_unconfirmed: 'Aceptación no confirmada',
+        error: 'Error en consulta'
+    };
 
     let selectedFilePath = null;
+    let isPaused = false;
 
     startProcessBtn.disabled = true;
 
@@ -31,6 +57,228 @@ document.addEventListener('DOMContentLoaded', () => {
     // Mostrar la versión al cargar
     displayAppVersion();
 
+    // Cargar la cantidad de pestañas en paralelo guardada
+    async function loadProcessSettings() {
+        try {
+            const settings = await window.electronAPI.getProcessSettings();
+            workerCountInput.max = settings.maxWorkers;
+            workerCountInput.value = settings.workers;
+            lookupStrategySelect.value = settings.lookupStrategy;
+            outputModeSelect.value = settings.outputMode;
+            headlessCheckbox.checked = settings.headless;
+            viewportWidthInput.value = settings.viewport.width;
+            viewportHeightInput.value = settings.viewport.height;
+            renderAccounts(settings.accounts);
+        } catch (error) {
+            console.error('Error al obtener configuración de proceso:', error);
+        }
+    }
+
+    /**
+     * Llena el selector de cuentas del portal y marca la cuenta activa
+     * @param {Array<Object>} accounts - { name, username, active } de cada cuenta
+     */
+    function renderAccounts(accounts = []) {
+        const selected = credentialProfileSelect.value;
+        credentialProfileSelect.innerHTML = '';
+        accounts.forEach((account) => {
+            const option = document.createElement('option');
+            option.value = account.name;
+            option.textContent = account.username ? `${account.name} (${account.username})` : account.name;
+            option.selected = selected ? account.name === selected : account.active;
+            credentialProfileSelect.appendChild(option);
+        });
+    }
+
+    loadProcessSettings();
+
+    manageAccountsBtn.addEventListener('click', async (event) => {
+        event.preventDefault();
+        const result = await window.electronAPI.openAccounts();
+        if (result.success) {
+            renderAccounts(result.accounts);
+        } else {
+            statusDiv.textContent = `Error: ${result.error}`;
+        }
+    });
+
+    // Perfil de columnas del Excel
+    const mapHeaderRowInput = document.getElementById('mapHeaderRow');
+    const mappingInputs = document.querySelectorAll('#columnMappingPanel input[data-section]');
+    const saveColumnMappingBtn = document.getElementById('saveColumnMapping');
+    const columnMappingStatus = document.getElementById('columnMappingStatus');
+
+    async function loadColumnMapping() {
+        try {
+            const mapping = await window.electronAPI.getColumnMapping();
+            mapHeaderRowInput.value = mapping.headerRow;
+            mappingInputs.forEach((input) => {
+                input.value = mapping[input.dataset.section][input.dataset.field] || '';
+            });
+        } catch (error) {
+            console.error('Error al obtener el perfil de columnas:', error);
+        }
+    }
+
+    saveColumnMappingBtn.addEventListener('click', async () => {
+        const profile = {
+            headerRow: mapHeaderRowInput.value.trim() || 'auto',
+            input: {},
+            output: {}
+        };
+        mappingInputs.forEach((input) => {
+            profile[input.dataset.section][input.dataset.field] = input.value.trim();
+        });
+
+        const result = await window.electronAPI.saveColumnMapping(profile);
+        columnMappingStatus.textContent = result.success
+            ? 'Columnas guardadas.'
+            : `Error: ${result.error}`;
+        if (result.success) {
+            await loadColumnMapping();
+        }
+    });
+
+    loadColumnMapping();
+
+    // Tolerancia para comparar costos
+    const costAbsoluteToleranceInput = document.getElementById('costAbsoluteTolerance');
+    const costPercentToleranceInput = document.getElementById('costPercentTolerance');
+    const costWithinToleranceActionSelect = document.getElementById('costWithinToleranceAction');
+    const saveCostRulesBtn = document.getElementById('saveCostRules');
+    const costRulesStatus = document.getElementById('costRulesStatus');
+
+    async function loadCostRules() {
+        try {
+            const rules = await window.electronAPI.getCostRules();
+            costAbsoluteToleranceInput.value = rules.absoluteTolerance;
+            costPercentToleranceInput.value = rules.percentTolerance;
+            costWithinToleranceActionSelect.value = rules.withinToleranceAction;
+        } catch (error) {
+            console.error('Error al obtener las reglas de costos:', error);
+        }
+    }
+
+    saveCostRulesBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.saveCostRules({
+            absoluteTolerance: costAbsoluteToleranceInput.value || 0,
+            percentTolerance: costPercentToleranceInput.value || 0,
+            withinToleranceAction: costWithinToleranceActionSelect.value
+        });
+        costRulesStatus.textContent = result.success
+            ? 'Tolerancia guardada.'
+            : `Error: ${result.error}`;
+        if (result.success) {
+            await loadCostRules();
+        }
+    });
+
+    loadCostRules();
+
+    // Navegador usado para el portal
+    const browserPathInput = document.getElementById('browserExecutablePath');
+    const selectBrowserBtn = document.getElementById('selectBrowser');
+    const saveBrowserPathBtn = document.getElementById('saveBrowserPath');
+    const browserStatus = document.getElementById('browserStatus');
+
+    async function loadBrowserSettings() {
+        try {
+            const settings = await window.electronAPI.getBrowserSettings();
+            browserPathInput.value = settings.executablePath || '';
+            browserStatus.textContent = settings.detected
+                ? `Se usará: ${settings.detected.path}`
+                : `Error: ${settings.error}`;
+        } catch (error) {
+            console.error('Error al obtener la configuración del navegador:', error);
+        }
+    }
+
+    selectBrowserBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.selectBrowser();
+        if (result.success) {
+            browserPathInput.value = result.filePath;
+        }
+    });
+
+    saveBrowserPathBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.saveBrowserPath(browserPathInput.value);
+        if (result.success) {
+            await loadBrowserSettings();
+        } else {
+            browserStatus.textContent = `Error: ${result.error}`;
+        }
+    });
+
+    loadBrowserSettings();
+
+    // Perfil de selectores del portal y diagnóstico
+    const selectorProfileInfo = document.getElementById('selectorProfileInfo');
+    const selectorTestExpedienteInput = document.getElementById('selectorTestExpediente');
+    const testSelectorsBtn = document.getElementById('testSelectors');
+    const exportSelectorsBtn = document.getElementById('exportSelectors');
+    const selectorsStatus = document.getElementById('selectorsStatus');
+    const selectorChecksList = document.getElementById('selectorChecks');
+
+    const SELECTOR_STATUS_LABELS = {
+        ok: 'encontrado',
+        missing: 'no encontrado',
+        invalid: 'selector no válido',
+        skipped: 'no se puede comprobar sin aceptar'
+    };
+
+    async function loadSelectorProfile() {
+        try {
+            const info = await window.electronAPI.getSelectorProfile();
+            const origen = info.source === 'userData'
+                ? `perfil del usuario (${info.overridePath})`
+                : 'perfil incluido en la aplicación';
+            selectorProfileInfo.textContent = `Revisión ${info.revision}, ${origen}.`
+                + (info.error ? ` El perfil del usuario no es válido: ${info.error}` : '');
+        } catch (error) {
+            console.error('Error al obtener el perfil de selectores:', error);
+        }
+    }
+
+    testSelectorsBtn.addEventListener('click', async () => {
+        testSelectorsBtn.disabled = true;
+        selectorChecksList.innerHTML = '';
+        selectorsStatus.textContent = 'Probando selectores en el portal...';
+        try {
+            const result = await window.electronAPI.testSelectors({
+                expediente: selectorTestExpedienteInput.value
+            });
+
+            result.checks.forEach((check) => {
+                const item = document.createElement('li');
+                const optional = !check.required && check.status !== 'ok';
+                item.className = optional ? 'optional' : check.status;
+                const count = check.count ? ` (${check.count})` : '';
+                item.textContent = `${check.name}: ${SELECTOR_STATUS_LABELS[check.status]}${count}${optional ? ', opcional' : ''} — ${check.selector}`;
+                selectorChecksList.appendChild(item);
+            });
+
+            if (result.error) {
+                selectorsStatus.textContent = `Error: ${result.error}`;
+            } else {
+                selectorsStatus.textContent = result.success
+                    ? 'Los selectores necesarios funcionan.'
+                    : 'Hay selectores necesarios que no se encontraron.';
+            }
+        } finally {
+            testSelectorsBtn.disabled = false;
+        }
+    });
+
+    exportSelectorsBtn.addEventListener('click', async () => {
+        const result = await window.electronAPI.exportSelectorProfile();
+        selectorsStatus.textContent = result.success
+            ? `Edite el perfil en ${result.overridePath}; los cambios se aplican en la siguiente ejecución.`
+            : `Error: ${result.error}`;
+        await loadSelectorProfile();
+    });
+
+    loadSelectorProfile();
+
     // Log inicialización
     console.log('Inicializando interfaz principal...');  
 
@@ -48,6 +296,16 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Historial de ejecuciones en una ventana aparte
+    if (openHistoryBtn) {
+        openHistoryBtn.addEventListener('click', async () => {
+            const result = await window.electronAPI.openHistory();
+            if (!result.success) {
+                statusDiv.textContent = `Error al abrir el historial: ${result.error}`;
+            }
+        });
+    }
+
     // Eventos de actualización
     window.electronAPI.onUpdateAvailable((info) => {
         console.log('Actualización disponible:', info);
@@ -63,6 +321,26 @@ document.addEventListener('DOMContentLoaded', () => {
         // Esta notificación se maneja en el proceso principal
     });
 
+    // Consultar si el archivo tiene una ejecución previa incompleta
+    async function updateResumeOption(filePath) {
+        resumeProcessBtn.style.display = 'none';
+        try {
+            const result = await window.electronAPI.getResumeInfo(filePath);
+            const info = result.success ? result.resumeInfo : null;
+            if (!info) return;
+
+            resumeProcessBtn.textContent = `Continuar desde fila ${info.nextRowNumber}`;
+            resumeProcessBtn.style.display = 'inline-block';
+            statusDiv.textContent = `Ejecución previa incompleta: ${info.processed} filas revisadas, ` +
+                `${info.accepted} aceptadas, ${info.failed} con error por reintentar.`;
+            if (info.dryRun) {
+                dryRunCheckbox.checked = true;
+            }
+        } catch (error) {
+            console.error('Error al consultar ejecución previa:', error);
+        }
+    }
+
     selectExcelBtn.addEventListener('click', async () => {
         try {
             console.log('Iniciando selección de archivo Excel...');  
@@ -73,6 +351,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 startProcessBtn.disabled = false;
                 statusDiv.textContent = 'Archivo seleccionado. Listo para iniciar.';
                 console.log(`Archivo seleccionado exitosamente: ${selectedFilePath}`);  
+                await updateResumeOption(selectedFilePath);
             } else {
                 statusDiv.textContent = 'No se seleccionó ningún archivo.';
                 console.log('No se seleccionó ningún archivo');  
@@ -84,19 +363,61 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    startProcessBtn.addEventListener('click', async () => {
+    /**
+     * Desglose de expedientes por resultado para el resumen final
+     * @param {Object} porResultado - Resultado → número de expedientes
+     * @returns {string} - HTML del desglose (vacío si no hay datos)
+     */
+    function renderOutcomeBreakdown(porResultado) {
+        const items = Object.entries(OUTCOME_LABELS)
+            .filter(([outcome]) => porResultado?.[outcome])
+            .map(([outcome, label]) => `
+                            <div class="stat-item outcome-${outcome}">
+                                <span class="stat-label">${label}:</span>
+                                <span class="stat-value">${porResultado[outcome]}</span>
+                            </div>`);
+        return items.length ? `<div class="modal-stats outcome-breakdown"><h4>Resultado por expediente</h4>${items.join('')}</div>` : '';
+    }
+
+    async function runProcess({ resume = false } = {}) {
         if (!selectedFilePath) return;
 
         try {
             console.log('Iniciando procesamiento de archivo...');  
+            const dryRun = dryRunCheckbox.checked;
+            const workers = parseInt(workerCountInput.value, 10) || 1;
+            const strategy = lookupStrategySelect.value;
+            const outputMode = outputModeSelect.value;
+            const profile = credentialProfileSelect.value;
+            const headless = headlessCheckbox.checked;
+            const viewport = {
+                width: parseInt(viewportWidthInput.value, 10),
+                height: parseInt(viewportHeightInput.value, 10)
+            };
             startProcessBtn.disabled = true;
+            resumeProcessBtn.disabled = true;
             selectExcelBtn.disabled = true;
-            statusDiv.textContent = 'Procesando...';
+            dryRunCheckbox.disabled = true;
+            workerCountInput.disabled = true;
+            lookupStrategySelect.disabled = true;
+            outputModeSelect.disabled = true;
+            credentialProfileSelect.disabled = true;
+            manageAccountsBtn.disabled = true;
+            headlessCheckbox.disabled = true;
+            viewportWidthInput.disabled = true;
+            viewportHeightInput.disabled = true;
+            isPaused = false;
+            pauseProcessBtn.textContent = 'Pausar';
+            pauseProcessBtn.disabled = false;
+            cancelProcessBtn.disabled = false;
+            pauseProcessBtn.style.display = 'inline-block';
+            cancelProcessBtn.style.display = 'inline-block';
+            statusDiv.textContent = dryRun ? 'Simulando...' : 'Procesando...';
             resultsDiv.innerHTML = '';
             progressBar.style.width = '0%';
             progressBar.style.display = 'block'; // Mostrar la barra de progreso
 
-            const response = await window.electronAPI.startProcess(selectedFilePath);
+            const response = await window.electronAPI.startProcess(selectedFilePath, { dryRun, resume, workers, strategy, outputMode, headless, viewport, profile });
             
             if (response.success) {
                 statusDiv.textContent = response.message;
@@ -113,9 +434,67 @@ document.addEventListener('DOMContentLoaded', () => {
         } finally {
             // Rehabilitar botones al terminar
             startProcessBtn.disabled = false;
+            resumeProcessBtn.disabled = false;
             selectExcelBtn.disabled = false;
+            dryRunCheckbox.disabled = false;
+            workerCountInput.disabled = false;
+            lookupStrategySelect.disabled = false;
+            outputModeSelect.disabled = false;
+            credentialProfileSelect.disabled = false;
+            manageAccountsBtn.disabled = false;
+            headlessCheckbox.disabled = false;
+            viewportWidthInput.disabled = false;
+            viewportHeightInput.disabled = false;
+            pauseProcessBtn.style.display = 'none';
+            cancelProcessBtn.style.display = 'none';
             progressBar.style.display = 'none';
             progressBar.style.width = '0%'; // Resetear la barra de progreso
+            await updateResumeOption(selectedFilePath);
+        }
+    }
+
+    startProcessBtn.addEventListener('click', () => runProcess());
+    resumeProcessBtn.addEventListener('click', () => runProcess({ resume: true }));
+
+    // Pausar o reanudar el proceso en curso
+    pauseProcessBtn.addEventListener('click', async () => {
+        try {
+            const response = isPaused
+                ? await window.electronAPI.resumeProcess()
+                : await window.electronAPI.pauseProcess();
+            if (response.success) {
+                isPaused = response.state === 'paused';
+                pauseProcessBtn.textContent = isPaused ? 'Reanudar' : 'Pausar';
+            }
+        } catch (error) {
+            console.error('Error al pausar/reanudar el proceso:', error);
+        }
+    });
+
+    // Cancelar el proceso: se guarda el archivo y se cierra el navegador
+    cancelProcessBtn.addEventListener('click', async () => {
+        if (!confirm('¿Desea cancelar el proceso? Se guardará el avance y se cerrará el navegador.')) {
+            return;
+        }
+        try {
+            const response = await window.electronAPI.cancelProcess();
+            if (response.success) {
+                pauseProcessBtn.disabled = true;
+                cancelProcessBtn.disabled = true;
+            }
+        } catch (error) {
+            console.error('Error al cancelar el proceso:', error);
+        }
+    });
+
+    // Los vínculos de evidencia se agregan dinámicamente (resultados y resumen final)
+    document.addEventListener('click', async (event) => {
+        const link = event.target.closest('a[data-evidence]');
+        if (!link) return;
+        event.preventDefault();
+        const result = await window.electronAPI.openEvidence(link.dataset.evidence);
+        if (!result.success) {
+            console.error('No se pudo abrir la evidencia:', result.error);
         }
     });
 
@@ -128,9 +507,22 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Resto del código igual...
-        statusDiv.textContent = data.message;
+        if (data.message) {
+          statusDiv.textContent = data.message;
+        }
         
-        if (data.detail) {
+        if (data.evidence) {
+          // Expediente con error: vínculo a la captura guardada
+          const entry = document.createElement('p');
+          entry.className = 'evidence-entry';
+          entry.textContent = `⚠ ${data.detail} `;
+          const link = document.createElement('a');
+          link.href = '#';
+          link.dataset.evidence = data.evidence;
+          link.textContent = 'Ver captura';
+          entry.appendChild(link);
+          resultsDiv.appendChild(entry);
+        } else if (data.detail) {
           resultsDiv.innerHTML += `<p>✓ ${data.detail}</p>`;
         }
 
@@ -151,7 +543,7 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <path d="M8 12L11 15L16 9" stroke="#4F46E5" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                             </svg>
                         </div>
-                        <h3>Resumen del Proceso</h3>
+                        <h3>${data.cancelled ? 'Proceso Cancelado' : data.dryRun ? 'Resumen de la Simulación' : 'Resumen del Proceso'}</h3>
                         <div class="modal-stats">
                             <div class="stat-item">
                                 <span class="stat-label">Expedientes Revisados:</span>
@@ -162,10 +554,20 @@ document.addEventListener('DOMContentLoaded', () => {
                                 <span class="stat-value">${data.stats?.totalConCosto || 0}</span>
                             </div>
                             <div class="stat-item">
-                                <span class="stat-label">Expedientes Aceptados:</span>
-                                <span class="stat-value">${data.stats?.totalAceptados || 0}</span>
+                                <span class="stat-label">${data.dryRun ? 'Expedientes que se Aceptarían:' : 'Expedientes Aceptados:'}</span>
+                                <span class="stat-value">${(data.dryRun ? data.stats?.porResultado?.would_accept : data.stats?.totalAceptados) || 0}</span>
                             </div>
+                            ${data.stats?.totalReautenticaciones ? `
+                            <div class="stat-item">
+                                <span class="stat-label">Inicios de sesión repetidos:</span>
+                                <span class="stat-value">${data.stats.totalReautenticaciones}</span>
+                            </div>` : ''}
                         </div>
+                        ${data.account ? `<p class="modal-output">Cuenta del portal: ${data.account.profile} (${data.account.username})</p>` : ''}
+                        ${renderOutcomeBreakdown(data.stats?.porResultado)}
+                        ${data.reauthentications?.length ? `<p class="modal-output">La sesión del portal expiró en los expedientes: ${data.reauthentications.map(r => r.expediente).join(', ')}. Se inició sesión de nuevo y se reintentaron.</p>` : ''}
+                        ${data.outputPath ? `<p class="modal-output">Resultados guardados en: ${data.outputPath}</p>` : ''}
+                        ${data.evidenceDir ? `<p class="modal-output">Capturas de los expedientes con error: <a href="#" data-evidence="${data.evidenceDir}">${data.evidenceDir}</a></p>` : ''}
                         <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">OK</button>
                     </div>
                 </div>`;